@@ -2,11 +2,22 @@
 
 import express from 'express';
 import cors from 'cors';
-import fetch from 'node-fetch';
-import https from 'https';
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { DEFAULT_EXEC_TIMEOUT, DEFAULT_EXEC_MAX_TIMEOUT } from './shared/guest-exec.js';
+import { DEFAULT_CACHE_TTL } from './shared/inventory.js';
+import { POWER_ACTIONS } from './shared/power.js';
+import { loadApiKeys, loadCorsOrigins, requireApiKey, requireScope } from './shared/auth.js';
+import { createLogger, loadLoggingConfig, requestLogger } from './shared/logger.js';
+import { ClusterRegistry } from './shared/clusters.js';
+import { SelfMetrics, ProxmoxCollector, DEFAULT_MIN_INTERVAL, metricsHandler } from './shared/prometheus.js';
+import { AlertMonitor, loadAlertConfig } from './shared/alerts.js';
+import { AuditLog, loadAuditConfig, auditRequests } from './shared/audit.js';
+import { loadConfirmConfig } from './shared/confirmations.js';
+import { loadPolicy } from './shared/policy.js';
+import { ProxmoxError, httpStatusOf, formatError } from './shared/errors.js';
+import { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, renderText, resultData, resultWarnings } from './shared/output.js';
 
 // Load environment variables from .env file
 const __filename = fileURLToPath(import.meta.url);
@@ -26,44 +37,124 @@ try {
   console.error('Warning: Could not load .env file:', error.message);
 }
 
+// The confirmation token of a destructive call, from the X-Confirmation-Token
+// header or the JSON body. Never the query string: request logs record URLs.
+function confirmationTokenOf(req) {
+  return req.get('X-Confirmation-Token') || req.body?.confirmationToken;
+}
+
 class ProxmoxClaudeServer {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 3000;
+    this.logging = loadLoggingConfig();
+    this.logger = createLogger({ name: 'proxmox-claude-http', ...this.logging });
     
-    // Proxmox configuration
-    this.proxmoxHost = process.env.PROXMOX_HOST;
-    this.proxmoxPort = process.env.PROXMOX_PORT || '8006';
-    this.proxmoxUser = process.env.PROXMOX_USER || 'root@pam';
-    this.proxmoxTokenName = process.env.PROXMOX_TOKEN_NAME;
-    this.proxmoxTokenValue = process.env.PROXMOX_TOKEN_VALUE;
+    // Proxmox clusters (PROXMOX_CLUSTERS_FILE, or a single one from PROXMOX_*).
+    // POLICY_FILE rules, when given, replace the PROXMOX_ALLOW_ELEVATED switch.
     this.allowElevated = process.env.PROXMOX_ALLOW_ELEVATED === 'true';
+    this.policy = loadPolicy();
+    this.clusters = ClusterRegistry.fromEnv(process.env, {
+      allowElevated: this.allowElevated,
+      policy: this.policy,
+      execTimeout: parseInt(process.env.PROXMOX_EXEC_TIMEOUT || DEFAULT_EXEC_TIMEOUT, 10),
+      execMaxTimeout: parseInt(process.env.PROXMOX_EXEC_MAX_TIMEOUT || DEFAULT_EXEC_MAX_TIMEOUT, 10),
+      cacheTtl: parseInt(process.env.PROXMOX_CACHE_TTL || DEFAULT_CACHE_TTL, 10),
+      confirm: loadConfirmConfig()
+    });
 
-    // Create HTTPS agent that ignores self-signed certificates
-    this.httpsAgent = new https.Agent({
-      rejectUnauthorized: false
+    // Prometheus /metrics: API and tool-call self-metrics, inventory collected at most once per interval
+    this.metrics = new SelfMetrics({ toolCalls: false });
+    this.metrics.observeClusters(this.clusters);
+    this.collector = new ProxmoxCollector(this.clusters, {
+      minIntervalSeconds: parseInt(process.env.METRICS_MIN_INTERVAL || DEFAULT_MIN_INTERVAL, 10)
     });
 
+    // Background health checks with webhook notifications (ALERT_*)
+    this.alerts = new AlertMonitor(this.clusters, { ...loadAlertConfig(), logger: this.logger });
+
+    // Append-only record of mutating calls (AUDIT_*)
+    this.audit = new AuditLog(this.clusters, { ...loadAuditConfig(), logger: this.logger });
+
+    // Inbound authentication
+    this.apiKeys = loadApiKeys();
+    this.corsOrigins = loadCorsOrigins();
+
     this.setupMiddleware();
     this.setupRoutes();
   }
 
   setupMiddleware() {
     // Request logging
-    this.app.use((req, res, next) => {
-      console.log(`REQUEST: ${req.method} ${req.url} from ${req.ip}`);
-      console.log(`Headers:`, req.headers);
-      next();
-    });
+    this.app.use(requestLogger(this.logger, this.logging));
 
     // CORS for Claude Desktop
     this.app.use(cors({
-      origin: '*',
-      methods: ['GET', 'POST', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      origin: this.corsOrigins,
+      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Confirmation-Token'],
+      exposedHeaders: ['X-Partial-Result']
     }));
 
     this.app.use(express.json());
+
+    // Every mutating call goes to the audit log once answered. Mounted first
+    // so calls refused for their API key are recorded too.
+    this.app.use(['/api', '/claude'], auditRequests(this.audit));
+
+    // Everything except /health needs an API key
+    this.app.use(['/api', '/claude', '/metrics'], requireApiKey(this.apiKeys, this.rejectRequest));
+
+    // Optional `format` query parameter selects the output format
+    this.app.use('/api', (req, res, next) => {
+      if (req.query.format !== undefined && !OUTPUT_FORMATS.includes(req.query.format)) {
+        return this.rejectRequest(req, res, 400, `Unknown format "${req.query.format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+      }
+      next();
+    });
+
+    // Optional `cluster` (query or body) picks a configured cluster, "all" aggregates listings
+    this.app.use(['/api', '/claude'], (req, res, next) => {
+      req.cluster = req.query.cluster || req.body?.cluster;
+      if (!this.clusters.has(req.cluster)) {
+        return this.rejectRequest(req, res, 404, `Unknown cluster "${req.cluster}" (configured: ${this.clusters.names().join(', ')})`);
+      }
+      next();
+    });
+  }
+
+  rejectRequest(req, res, status, message) {
+    res.status(status).json({ success: false, error: message });
+  }
+
+  // Proxmox failures answer with their own status, type and hint; anything else is a 500
+  fail(res, error) {
+    if (!(error instanceof ProxmoxError)) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+    const { message, ...details } = error.toJSON();
+    res.status(error.httpStatus).json({ success: false, error: message, ...details });
+  }
+
+  // Send a service result in the `format` query parameter's output format
+  respond(req, res, result) {
+    const { format = DEFAULT_OUTPUT_FORMAT } = req.query;
+    res.locals.result = result;
+    // Partial listings name the nodes they lack, whatever the format
+    const warnings = resultWarnings(result);
+    if (warnings.length > 0) {
+      res.set('X-Partial-Result', [...new Set(warnings.map(warning => warning.node))].join(', '));
+    }
+    if (format === 'table' || format === 'csv') {
+      return res.type(format === 'csv' ? 'text/csv' : 'text/plain').send(renderText(result, format));
+    }
+    if (format === 'json') {
+      return res.json({ success: true, data: resultData(result) });
+    }
+    if (format === 'text') {
+      return res.json({ success: true, data: { ...result, content: [{ type: 'text', text: renderText(result, 'text') }] } });
+    }
+    res.json({ success: true, data: result });
   }
 
   setupRoutes() {
@@ -77,23 +168,82 @@ class ProxmoxClaudeServer {
       });
     });
 
+    // Firing and recently resolved alerts (all clusters unless `cluster` is given)
+    this.app.get('/api/alerts', async (req, res) => {
+      try {
+        const result = await this.alerts.report({ cluster: req.cluster });
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Audit log of mutating calls (filters: since, until, vmid, actor, action, status, limit).
+    // Elevated only: it names every caller and the arguments of their calls.
+    this.app.get('/api/audit', requireScope('elevated', this.rejectRequest), async (req, res) => {
+      try {
+        const { since, until, vmid, actor, action, status, limit } = req.query;
+        const result = await this.audit.report({ since, until, vmid, actor, action, status, limit });
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Would this call be allowed? Evaluates the policy without running anything
+    this.app.get('/api/policy/check', async (req, res) => {
+      try {
+        const { action, node, vmid, command } = req.query;
+        // Repeated `args` parameters are the command's arguments, in order
+        const args = req.query.args === undefined ? undefined : [].concat(req.query.args);
+        const result = await this.clusters.run(req.cluster, service => service.explainPolicy(action, { node, vmid, command, args }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Prometheus exposition format
+    this.app.get('/metrics', metricsHandler(this.collector, this.metrics));
+
+    // Configured clusters with reachability
+    this.app.get('/api/clusters', async (req, res) => {
+      try {
+        const result = await this.clusters.describe();
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
     // Get all Proxmox nodes
     this.app.get('/api/nodes', async (req, res) => {
       try {
-        const result = await this.getNodes();
-        res.json({ success: true, data: result });
+        const result = await this.clusters.run(req.cluster, service => service.getNodes(), { aggregate: true });
+        this.respond(req, res, result);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        this.fail(res, error);
       }
     });
 
     // Get specific node status
     this.app.get('/api/nodes/:node', async (req, res) => {
       try {
-        const result = await this.getNodeStatus(req.params.node);
-        res.json({ success: true, data: result });
+        const result = await this.clusters.run(req.cluster, service => service.getNodeStatus(req.params.node));
+        this.respond(req, res, result);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        this.fail(res, error);
+      }
+    });
+
+    // Historical node metrics
+    this.app.get('/api/nodes/:node/metrics', async (req, res) => {
+      try {
+        const { timeframe, cf } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.getMetrics({ node: req.params.node, timeframe, cf }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
       }
     });
 
@@ -101,10 +251,10 @@ class ProxmoxClaudeServer {
     this.app.get('/api/vms', async (req, res) => {
       try {
         const { node, type = 'all' } = req.query;
-        const result = await this.getVMs(node, type);
-        res.json({ success: true, data: result });
+        const result = await this.clusters.run(req.cluster, service => service.getVMs(node, type), { aggregate: true });
+        this.respond(req, res, result);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        this.fail(res, error);
       }
     });
 
@@ -113,22 +263,185 @@ class ProxmoxClaudeServer {
       try {
         const { node, vmid } = req.params;
         const { type = 'qemu' } = req.query;
-        const result = await this.getVMStatus(node, vmid, type);
-        res.json({ success: true, data: result });
+        const result = await this.clusters.run(req.cluster, service => service.getVMStatus(node, vmid, type));
+        this.respond(req, res, result);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        this.fail(res, error);
+      }
+    });
+
+    // Normalized VM/container configuration with pending changes
+    this.app.get('/api/vms/:node/:vmid/config', async (req, res) => {
+      try {
+        const { node, vmid } = req.params;
+        const { type = 'qemu' } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.getVMConfig(node, vmid, type));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Change VM/container configuration; `dryRun` previews the diff
+    this.app.put('/api/vms/:node/:vmid/config', requireScope('elevated', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, vmid } = req.params;
+        const {
+          type = 'qemu', cores, sockets, memory, balloon, addNics, removeNics, resizeDisks,
+          tags, addTags, removeTags, description, dryRun
+        } = req.body;
+        const result = await this.clusters.run(req.cluster, service => service.updateVMConfig(node, vmid, type, {
+          cores, sockets, memory, balloon, addNics, removeNics, resizeDisks, tags, addTags, removeTags, description
+        }, { dryRun }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Historical VM/container metrics
+    this.app.get('/api/vms/:node/:vmid/metrics', async (req, res) => {
+      try {
+        const { node, vmid } = req.params;
+        const { type = 'qemu', timeframe, cf } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.getMetrics({ node, vmid, type, timeframe, cf }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // List snapshots of a VM/container
+    this.app.get('/api/vms/:node/:vmid/snapshots', async (req, res) => {
+      try {
+        const { node, vmid } = req.params;
+        const { type = 'qemu' } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.getSnapshots(node, vmid, type));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Take a snapshot
+    this.app.post('/api/vms/:node/:vmid/snapshots', requireScope('operator', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, vmid } = req.params;
+        const { type = 'qemu', name, description, vmstate } = req.body;
+        const result = await this.clusters.run(req.cluster, service => service.createVMSnapshot(node, vmid, type, { name, description, vmstate }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Roll back to a snapshot
+    this.app.post('/api/vms/:node/:vmid/snapshots/:snapname/rollback', requireScope('elevated', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, vmid, snapname } = req.params;
+        const { type = 'qemu' } = req.body;
+        const confirmationToken = confirmationTokenOf(req);
+        const result = await this.clusters.run(req.cluster, service => service.rollbackVMSnapshot(node, vmid, snapname, type, {
+          confirmationToken, actor: req.apiKey.name
+        }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Delete a snapshot
+    this.app.delete('/api/vms/:node/:vmid/snapshots/:snapname', requireScope('elevated', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, vmid, snapname } = req.params;
+        const { type = 'qemu' } = req.query;
+        const confirmationToken = confirmationTokenOf(req);
+        const result = await this.clusters.run(req.cluster, service => service.deleteVMSnapshot(node, vmid, snapname, type, {
+          confirmationToken, actor: req.apiKey.name
+        }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Clone a VM or template (optionally with cloud-init); `dryRun` returns the calls unsent
+    this.app.post('/api/vms/:node/:vmid/clone', requireScope('elevated', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, vmid } = req.params;
+        const { newid, name, target, storage, full, pool, description, cloudInit, start, dryRun } = req.body;
+        const result = await this.clusters.run(req.cluster, service => service.cloneVM(node, vmid, {
+          newid, name, target, storage, full, pool, description, cloudInit, start, dryRun
+        }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Create an LXC container from a template
+    this.app.post('/api/vms/:node/lxc', requireScope('elevated', this.rejectRequest), async (req, res) => {
+      try {
+        const { node } = req.params;
+        const {
+          ostemplate, vmid, hostname, storage, diskSize, cores, memory, swap,
+          password, sshKeys, bridge, ipConfig, unprivileged, pool, start, dryRun
+        } = req.body;
+        const result = await this.clusters.run(req.cluster, service => service.createContainer(node, {
+          ostemplate, vmid, hostname, storage, diskSize, cores, memory, swap,
+          password, sshKeys, bridge, ipConfig, unprivileged, pool, start, dryRun
+        }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Destroy a VM or container
+    this.app.delete('/api/vms/:node/:vmid', requireScope('elevated', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, vmid } = req.params;
+        const { type = 'qemu', purge, dryRun } = req.query;
+        const confirmationToken = confirmationTokenOf(req);
+        const result = await this.clusters.run(req.cluster, service => service.destroyGuest(node, vmid, type, {
+          purge: purge === 'true',
+          dryRun: dryRun === 'true',
+          confirmationToken,
+          actor: req.apiKey.name
+        }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
       }
     });
 
     // Execute VM command
-    this.app.post('/api/vms/:node/:vmid/exec', async (req, res) => {
+    this.app.post('/api/vms/:node/:vmid/exec', requireScope('elevated', this.rejectRequest), async (req, res) => {
       try {
         const { node, vmid } = req.params;
-        const { command, type = 'qemu' } = req.body;
-        const result = await this.executeVMCommand(node, vmid, command, type);
-        res.json({ success: true, data: result });
+        const { command, args, input, timeout, type = 'qemu' } = req.body;
+        const confirmationToken = confirmationTokenOf(req);
+        const result = await this.clusters.run(req.cluster, service => service.executeVMCommand(node, vmid, command, type, {
+          args, input, timeout, confirmationToken, actor: req.apiKey.name
+        }));
+        this.respond(req, res, result);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        this.fail(res, error);
+      }
+    });
+
+    // VM/container power actions (start, shutdown, stop, reboot, suspend, resume)
+    this.app.post(`/api/vms/:node/:vmid/:action(${Object.keys(POWER_ACTIONS).join('|')})`, requireScope('operator', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, vmid, action } = req.params;
+        const { type = 'qemu', timeout, forceStop } = req.body;
+        const confirmationToken = confirmationTokenOf(req);
+        const result = await this.clusters.run(req.cluster, service => service.runVMPowerAction(node, vmid, action, type, {
+          timeout, forceStop, confirmationToken, actor: req.apiKey.name
+        }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
       }
     });
 
@@ -136,403 +449,195 @@ class ProxmoxClaudeServer {
     this.app.get('/api/storage', async (req, res) => {
       try {
         const { node } = req.query;
-        const result = await this.getStorage(node);
-        res.json({ success: true, data: result });
+        const result = await this.clusters.run(req.cluster, service => service.getStorage(node), { aggregate: true });
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Historical storage usage
+    this.app.get('/api/storage/:node/:storage/metrics', async (req, res) => {
+      try {
+        const { node, storage } = req.params;
+        const { timeframe, cf } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.getMetrics({ node, storage, timeframe, cf }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Start an on-demand vzdump backup
+    this.app.post('/api/backups', requireScope('operator', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, vmids, vmid, storage, mode, compress, notes } = req.body;
+        const result = await this.clusters.run(req.cluster, service => service.startBackup({ node, vmids: vmids ?? vmid, storage, mode, compress, notes }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Scheduled backup jobs
+    this.app.get('/api/backups/jobs', async (req, res) => {
+      try {
+        const result = await this.clusters.run(req.cluster, service => service.getBackupJobs(), { aggregate: true });
+        this.respond(req, res, result);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        this.fail(res, error);
+      }
+    });
+
+    // Restore an archive to a new or existing vmid
+    this.app.post('/api/backups/restore', requireScope('elevated', this.rejectRequest), async (req, res) => {
+      try {
+        const { node, archive, vmid, storage, force, start } = req.body;
+        const confirmationToken = confirmationTokenOf(req);
+        const result = await this.clusters.run(req.cluster, service => service.restoreBackup(node, {
+          archive, vmid, storage, force, start, confirmationToken, actor: req.apiKey.name
+        }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // List backup archives on a storage
+    this.app.get('/api/backups/:node/:storage', async (req, res) => {
+      try {
+        const { node, storage } = req.params;
+        const { vmid } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.getBackups(node, storage, vmid));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // List recent/running tasks across the cluster
+    this.app.get('/api/tasks', async (req, res) => {
+      try {
+        const { node, user, type, vmid, errors, running, limit } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.getTasks({ node, user, type, vmid, errors, running, limit }), { aggregate: true });
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Get task status
+    this.app.get('/api/tasks/:upid', async (req, res) => {
+      try {
+        const result = await this.clusters.run(req.cluster, service => service.getTaskStatus(req.params.upid));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Read task log from a given line
+    this.app.get('/api/tasks/:upid/log', async (req, res) => {
+      try {
+        const { start, limit } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.getTaskLog(req.params.upid, { start, limit }));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
+      }
+    });
+
+    // Wait for a task to finish
+    this.app.get('/api/tasks/:upid/wait', async (req, res) => {
+      try {
+        const { timeout } = req.query;
+        const result = await this.clusters.run(req.cluster, service => service.waitForTask(req.params.upid, timeout));
+        this.respond(req, res, result);
+      } catch (error) {
+        this.fail(res, error);
       }
     });
 
     // Get cluster status
     this.app.get('/api/cluster', async (req, res) => {
       try {
-        const result = await this.getClusterStatus();
-        res.json({ success: true, data: result });
+        const result = await this.clusters.run(req.cluster, service => service.getClusterStatus(), { aggregate: true });
+        this.respond(req, res, result);
       } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        this.fail(res, error);
       }
     });
 
     // Claude Desktop friendly endpoints with formatted responses
     this.app.get('/claude/nodes', async (req, res) => {
       try {
-        const result = await this.getNodes();
+        const result = await this.clusters.run(req.cluster, service => service.getNodes(), { aggregate: true });
         res.json({
           response: result.content[0].text,
           data: result
         });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(httpStatusOf(error)).json({ error: error.message, response: formatError(error) });
       }
     });
 
     this.app.get('/claude/vms', async (req, res) => {
       try {
         const { node, type = 'all' } = req.query;
-        const result = await this.getVMs(node, type);
+        const result = await this.clusters.run(req.cluster, service => service.getVMs(node, type), { aggregate: true });
         res.json({
           response: result.content[0].text,
           data: result
         });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(httpStatusOf(error)).json({ error: error.message, response: formatError(error) });
       }
     });
 
     this.app.get('/claude/cluster', async (req, res) => {
       try {
-        const result = await this.getClusterStatus();
+        const result = await this.clusters.run(req.cluster, service => service.getClusterStatus(), { aggregate: true });
         res.json({
           response: result.content[0].text,
           data: result
         });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(httpStatusOf(error)).json({ error: error.message, response: formatError(error) });
       }
     });
   }
 
-  async proxmoxRequest(endpoint, method = 'GET', data = null) {
-    const url = `https://${this.proxmoxHost}:${this.proxmoxPort}/api2/json${endpoint}`;
-    const headers = {
-      'Authorization': `PVEAPIToken=${this.proxmoxUser}!${this.proxmoxTokenName}=${this.proxmoxTokenValue}`,
-      'Content-Type': 'application/json',
-    };
-
-    const options = {
-      method,
-      headers,
-      agent: this.httpsAgent,
-    };
-
-    if (data && method !== 'GET') {
-      options.body = JSON.stringify(data);
-    }
-
-    const response = await fetch(url, options);
-    
-    if (!response.ok) {
-      throw new Error(`Proxmox API error: ${response.status} ${response.statusText}`);
-    }
-
-    const result = await response.json();
-    return result.data;
-  }
-
-  async getNodes() {
-    const nodes = await this.proxmoxRequest('/nodes');
-    
-    let output = '🖥️  **Proxmox Cluster Nodes**\n\n';
-    
-    for (const node of nodes) {
-      const status = node.status === 'online' ? '🟢' : '🔴';
-      output += `${status} **${node.node}**\n`;
-      output += `   • Status: ${node.status}\n`;
-      output += `   • Uptime: ${node.uptime ? this.formatUptime(node.uptime) : 'N/A'}\n`;
-      output += `   • CPU: ${node.cpu ? `${(node.cpu * 100).toFixed(1)}%` : 'N/A'}\n`;
-      output += `   • Memory: ${node.mem && node.maxmem ? 
-        `${this.formatBytes(node.mem)} / ${this.formatBytes(node.maxmem)} (${((node.mem / node.maxmem) * 100).toFixed(1)}%)` : 'N/A'}\n`;
-      output += `   • Load: ${node.loadavg ? node.loadavg.join(', ') : 'N/A'}\n\n`;
-    }
-    
-    return {
-      content: [{ type: 'text', text: output }],
-      nodes: nodes
-    };
-  }
-
-  async getNodeStatus(nodeName) {
-    const nodeStatus = await this.proxmoxRequest(`/nodes/${nodeName}/status`);
-    
-    let output = `🖥️  **Node: ${nodeName}**\n\n`;
-    output += `• **Status**: ${nodeStatus.uptime ? 'Online' : 'Offline'}\n`;
-    output += `• **Uptime**: ${nodeStatus.uptime ? this.formatUptime(nodeStatus.uptime) : 'N/A'}\n`;
-    output += `• **CPU Usage**: ${nodeStatus.cpu ? `${(nodeStatus.cpu * 100).toFixed(1)}%` : 'N/A'}\n`;
-    output += `• **Memory**: ${nodeStatus.memory ? 
-      `${this.formatBytes(nodeStatus.memory.used)} / ${this.formatBytes(nodeStatus.memory.total)} (${((nodeStatus.memory.used / nodeStatus.memory.total) * 100).toFixed(1)}%)` : 'N/A'}\n`;
-    output += `• **Load Average**: ${nodeStatus.loadavg ? nodeStatus.loadavg.join(', ') : 'N/A'}\n`;
-    output += `• **Root FS**: ${nodeStatus.rootfs ? 
-      `${this.formatBytes(nodeStatus.rootfs.used)} / ${this.formatBytes(nodeStatus.rootfs.total)} (${((nodeStatus.rootfs.used / nodeStatus.rootfs.total) * 100).toFixed(1)}%)` : 'N/A'}\n`;
-    
-    return {
-      content: [{ type: 'text', text: output }],
-      nodeStatus: nodeStatus
-    };
-  }
-
-  async getVMs(nodeName = null, type = 'all') {
-    let vms = [];
-    
-    if (nodeName) {
-      // Get VMs from specific node
-      if (type === 'all' || type === 'qemu') {
-        const qemuVMs = await this.proxmoxRequest(`/nodes/${nodeName}/qemu`);
-        vms.push(...qemuVMs.map(vm => ({ ...vm, type: 'qemu', node: nodeName })));
-      }
-      if (type === 'all' || type === 'lxc') {
-        const lxcVMs = await this.proxmoxRequest(`/nodes/${nodeName}/lxc`);
-        vms.push(...lxcVMs.map(vm => ({ ...vm, type: 'lxc', node: nodeName })));
-      }
-    } else {
-      // Get VMs from all nodes
-      const nodes = await this.proxmoxRequest('/nodes');
-      for (const node of nodes) {
-        if (type === 'all' || type === 'qemu') {
-          try {
-            const qemuVMs = await this.proxmoxRequest(`/nodes/${node.node}/qemu`);
-            vms.push(...qemuVMs.map(vm => ({ ...vm, type: 'qemu', node: node.node })));
-          } catch (error) {
-            // Node might be offline, continue
-          }
-        }
-        if (type === 'all' || type === 'lxc') {
-          try {
-            const lxcVMs = await this.proxmoxRequest(`/nodes/${node.node}/lxc`);
-            vms.push(...lxcVMs.map(vm => ({ ...vm, type: 'lxc', node: node.node })));
-          } catch (error) {
-            // Node might be offline, continue
-          }
-        }
-      }
-    }
-    
-    let output = '💻 **Virtual Machines**\n\n';
-    
-    // Sort VMs by ID
-    vms.sort((a, b) => a.vmid - b.vmid);
-    
-    for (const vm of vms) {
-      const status = vm.status === 'running' ? '🟢' : vm.status === 'stopped' ? '🔴' : '🟡';
-      const typeIcon = vm.type === 'qemu' ? '🖥️' : '📦';
-      
-      output += `${status} ${typeIcon} **${vm.name || `VM-${vm.vmid}`}** (ID: ${vm.vmid})\n`;
-      output += `   • Node: ${vm.node}\n`;
-      output += `   • Status: ${vm.status}\n`;
-      output += `   • Type: ${vm.type.toUpperCase()}\n`;
-      
-      if (vm.status === 'running') {
-        output += `   • Uptime: ${vm.uptime ? this.formatUptime(vm.uptime) : 'N/A'}\n`;
-        output += `   • CPU: ${vm.cpu ? `${(vm.cpu * 100).toFixed(1)}%` : 'N/A'}\n`;
-        output += `   • Memory: ${vm.mem && vm.maxmem ? 
-          `${this.formatBytes(vm.mem)} / ${this.formatBytes(vm.maxmem)}` : 'N/A'}\n`;
-      }
-      
-      output += '\n';
-    }
-    
-    return {
-      content: [{ type: 'text', text: output }],
-      vms: vms
-    };
-  }
-
-  async getVMStatus(node, vmid, type = 'qemu') {
-    const vmStatus = await this.proxmoxRequest(`/nodes/${node}/${type}/${vmid}/status/current`);
-    
-    const status = vmStatus.status === 'running' ? '🟢' : vmStatus.status === 'stopped' ? '🔴' : '🟡';
-    const typeIcon = type === 'qemu' ? '🖥️' : '📦';
-    
-    let output = `${status} ${typeIcon} **${vmStatus.name || `VM-${vmid}`}** (ID: ${vmid})\n\n`;
-    output += `• **Node**: ${node}\n`;
-    output += `• **Status**: ${vmStatus.status}\n`;
-    output += `• **Type**: ${type.toUpperCase()}\n`;
-    
-    if (vmStatus.status === 'running') {
-      output += `• **Uptime**: ${vmStatus.uptime ? this.formatUptime(vmStatus.uptime) : 'N/A'}\n`;
-      output += `• **CPU Usage**: ${vmStatus.cpu ? `${(vmStatus.cpu * 100).toFixed(1)}%` : 'N/A'}\n`;
-      output += `• **Memory**: ${vmStatus.mem && vmStatus.maxmem ? 
-        `${this.formatBytes(vmStatus.mem)} / ${this.formatBytes(vmStatus.maxmem)} (${((vmStatus.mem / vmStatus.maxmem) * 100).toFixed(1)}%)` : 'N/A'}\n`;
-      output += `• **Disk Read**: ${vmStatus.diskread ? this.formatBytes(vmStatus.diskread) : 'N/A'}\n`;
-      output += `• **Disk Write**: ${vmStatus.diskwrite ? this.formatBytes(vmStatus.diskwrite) : 'N/A'}\n`;
-      output += `• **Network In**: ${vmStatus.netin ? this.formatBytes(vmStatus.netin) : 'N/A'}\n`;
-      output += `• **Network Out**: ${vmStatus.netout ? this.formatBytes(vmStatus.netout) : 'N/A'}\n`;
-    }
-    
-    return {
-      content: [{ type: 'text', text: output }],
-      vmStatus: vmStatus
-    };
-  }
-
-  async executeVMCommand(node, vmid, command, type = 'qemu') {
-    if (!this.allowElevated) {
-      return {
-        content: [{ 
-          type: 'text', 
-          text: `⚠️  **VM Command Execution Requires Elevated Permissions**\n\nTo execute commands on VMs, set \`PROXMOX_ALLOW_ELEVATED=true\` in your .env file and ensure your API token has appropriate VM permissions.\n\n**Current permissions**: Basic (VM listing only)\n**Requested command**: \`${command}\``
-        }]
-      };
-    }
-    
-    try {
-      // For QEMU VMs, we need to use the guest agent
-      if (type === 'qemu') {
-        const result = await this.proxmoxRequest(`/nodes/${node}/qemu/${vmid}/agent/exec`, 'POST', {
-          command: command
-        });
-        
-        let output = `💻 **Command executed on VM ${vmid}**\n\n`;
-        output += `**Command**: \`${command}\`\n`;
-        output += `**Result**: Command submitted to guest agent\n`;
-        output += `**PID**: ${result.pid || 'N/A'}\n\n`;
-        output += `*Note: Use guest agent status to check command completion*`;
-        
-        return {
-          content: [{ type: 'text', text: output }],
-          result: result
-        };
-      } else {
-        // For LXC containers, we can execute directly
-        const result = await this.proxmoxRequest(`/nodes/${node}/lxc/${vmid}/exec`, 'POST', {
-          command: command
-        });
-        
-        let output = `📦 **Command executed on container ${vmid}**\n\n`;
-        output += `**Command**: \`${command}\`\n`;
-        output += `**Output**: ${result.output || 'Command executed successfully'}\n`;
-        
-        return {
-          content: [{ type: 'text', text: output }],
-          result: result
-        };
-      }
-    } catch (error) {
-      return {
-        content: [{ 
-          type: 'text', 
-          text: `❌ **Command execution failed**\n\n**Error**: ${error.message}\n\n*Note: Ensure the VM has guest agent installed and running (for QEMU VMs)*`
-        }]
-      };
-    }
-  }
-
-  async getStorage(nodeName = null) {
-    let storages = [];
-    
-    if (nodeName) {
-      storages = await this.proxmoxRequest(`/nodes/${nodeName}/storage`);
-      storages = storages.map(storage => ({ ...storage, node: nodeName }));
-    } else {
-      const nodes = await this.proxmoxRequest('/nodes');
-      for (const node of nodes) {
-        try {
-          const nodeStorages = await this.proxmoxRequest(`/nodes/${node.node}/storage`);
-          storages.push(...nodeStorages.map(storage => ({ ...storage, node: node.node })));
-        } catch (error) {
-          // Node might be offline, continue
-        }
-      }
-    }
-    
-    let output = '💾 **Storage Pools**\n\n';
-    
-    for (const storage of storages) {
-      const usagePercent = storage.total ? ((storage.used / storage.total) * 100).toFixed(1) : 'N/A';
-      
-      output += `📁 **${storage.storage}** (${storage.node})\n`;
-      output += `   • Type: ${storage.type}\n`;
-      output += `   • Status: ${storage.active ? '🟢 Active' : '🔴 Inactive'}\n`;
-      output += `   • Used: ${storage.used ? this.formatBytes(storage.used) : 'N/A'}\n`;
-      output += `   • Total: ${storage.total ? this.formatBytes(storage.total) : 'N/A'}\n`;
-      output += `   • Usage: ${usagePercent}%\n\n`;
-    }
-    
-    return {
-      content: [{ type: 'text', text: output }],
-      storages: storages
-    };
-  }
-
-  async getClusterStatus() {
-    const nodes = await this.proxmoxRequest('/nodes');
-    const cluster = await this.proxmoxRequest('/cluster/status');
-    
-    let output = '🏗️  **Proxmox Cluster Status**\n\n';
-    
-    // Cluster overview
-    const onlineNodes = nodes.filter(node => node.status === 'online').length;
-    const totalNodes = nodes.length;
-    
-    output += `**Cluster Health**: ${onlineNodes === totalNodes ? '🟢 Healthy' : '⚠️  Degraded'}\n`;
-    output += `**Nodes**: ${onlineNodes}/${totalNodes} online\n\n`;
-    
-    // Resource summary
-    let totalCPU = 0, usedCPU = 0, totalMem = 0, usedMem = 0;
-    
-    for (const node of nodes) {
-      if (node.status === 'online') {
-        totalCPU += node.maxcpu || 0;
-        usedCPU += (node.cpu || 0) * (node.maxcpu || 0);
-        totalMem += node.maxmem || 0;
-        usedMem += node.mem || 0;
-      }
-    }
-    
-    output += `**Resource Usage**:\n`;
-    output += `• CPU: ${usedCPU.toFixed(1)}/${totalCPU} cores (${((usedCPU / totalCPU) * 100).toFixed(1)}%)\n`;
-    output += `• Memory: ${this.formatBytes(usedMem)} / ${this.formatBytes(totalMem)} (${((usedMem / totalMem) * 100).toFixed(1)}%)\n\n`;
-    
-    // Node details
-    output += `**Node Details**:\n`;
-    for (const node of nodes) {
-      const status = node.status === 'online' ? '🟢' : '🔴';
-      output += `${status} ${node.node}: ${node.status}\n`;
-    }
-    
-    return {
-      content: [{ type: 'text', text: output }],
-      nodes: nodes,
-      cluster: cluster
-    };
-  }
-
-  formatUptime(seconds) {
-    const days = Math.floor(seconds / 86400);
-    const hours = Math.floor((seconds % 86400) / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    
-    if (days > 0) {
-      return `${days}d ${hours}h ${minutes}m`;
-    } else if (hours > 0) {
-      return `${hours}h ${minutes}m`;
-    } else {
-      return `${minutes}m`;
-    }
-  }
-
-  formatBytes(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  }
-
   async start() {
     // Validate required environment variables
-    if (!this.proxmoxHost) {
-      console.error('Error: PROXMOX_HOST environment variable is required');
-      process.exit(1);
-    }
-    if (!this.proxmoxTokenName) {
-      console.error('Error: PROXMOX_TOKEN_NAME environment variable is required');
-      process.exit(1);
-    }
-    if (!this.proxmoxTokenValue) {
-      console.error('Error: PROXMOX_TOKEN_VALUE environment variable is required');
+    const missing = this.clusters.missingSettings();
+    if (Object.keys(missing).length > 0) {
+      this.logger.error('Required environment variables are missing', { missing });
       process.exit(1);
     }
 
+    this.alerts.start();
+
     this.app.listen(this.port, '0.0.0.0', () => {
-      console.log(`🚀 Proxmox Claude HTTP Server running on port ${this.port}`);
-      console.log(`📡 Health check: http://localhost:${this.port}/health`);
-      console.log(`🔧 API endpoints: http://localhost:${this.port}/api/*`);
-      console.log(`🤖 Claude endpoints: http://localhost:${this.port}/claude/*`);
-      console.log(`🏗️  Proxmox host: ${this.proxmoxHost}:${this.proxmoxPort}`);
-      console.log(`🔒 Elevated mode: ${this.allowElevated ? 'enabled' : 'disabled'}`);
+      this.logger.info('Proxmox Claude HTTP Server running', {
+        port: this.port,
+        healthCheck: `http://localhost:${this.port}/health`,
+        apiEndpoints: `http://localhost:${this.port}/api/*`,
+        claudeEndpoints: `http://localhost:${this.port}/claude/*`,
+        clusters: this.clusters.summary(),
+        defaultCluster: this.clusters.defaultName,
+        elevated: this.allowElevated,
+        policy: this.policy ? `${this.policy.source} (${this.policy.rules.length} rules, default ${this.policy.defaultEffect})` : null,
+        inboundKeys: this.apiKeys.length
+      });
+      if (this.apiKeys.length === 0) {
+        this.logger.warn('No API keys configured (API_KEYS / API_KEYS_FILE) - every client is trusted');
+      }
+      for (const cluster of this.clusters.summary().filter(c => c.tls === 'disabled')) {
+        this.logger.warn('TLS verification of the Proxmox API is disabled (PROXMOX_VERIFY_SSL=false)', { cluster: cluster.name });
+      }
     });
   }
 }
 
 const server = new ProxmoxClaudeServer();
-server.start().catch(console.error);
\ No newline at end of file
+server.start().catch(error => server.logger.error('Server failed to start', { error }));
\ No newline at end of file
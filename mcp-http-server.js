@@ -2,70 +2,119 @@
 
 import express from 'express';
 import cors from 'cors';
-import fetch from 'node-fetch';
-import https from 'https';
+import crypto from 'crypto';
 import { config } from 'dotenv';
+import { DEFAULT_EXEC_TIMEOUT, DEFAULT_EXEC_MAX_TIMEOUT } from './shared/guest-exec.js';
+import { DEFAULT_CACHE_TTL } from './shared/inventory.js';
+import { loadApiKeys, loadCorsOrigins, requireApiKey, hasScope } from './shared/auth.js';
+import { createLogger, loadLoggingConfig, requestLogger } from './shared/logger.js';
+import { SessionStore, openEventStream, SUPPORTED_PROTOCOL_VERSIONS } from './shared/mcp-sessions.js';
+import { RESOURCE_TEMPLATES, ResourceNotFoundError, listResources, readResource } from './shared/mcp-resources.js';
+import { PROMPTS, PromptArgumentError, getPrompt } from './shared/mcp-prompts.js';
+import { ClusterRegistry, ALL_CLUSTERS } from './shared/clusters.js';
+import { TOOLS, findTool, missingArguments } from './shared/tools.js';
+import { SelfMetrics, ProxmoxCollector, DEFAULT_MIN_INTERVAL, metricsHandler } from './shared/prometheus.js';
+import { AlertMonitor, loadAlertConfig } from './shared/alerts.js';
+import { AuditLog, loadAuditConfig } from './shared/audit.js';
+import { loadConfirmConfig } from './shared/confirmations.js';
+import { loadPolicy } from './shared/policy.js';
+import { ProxmoxError, formatError } from './shared/errors.js';
+import { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, renderText } from './shared/output.js';
 
 // Load environment variables
 config();
 
-// Ignore self-signed certificates for Proxmox
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+// Tool result content in the requested output format
+function toolContent(result, format = DEFAULT_OUTPUT_FORMAT) {
+  return format === DEFAULT_OUTPUT_FORMAT ? result.content : [{ type: 'text', text: renderText(result, format) }];
+}
 
 class ProxmoxMCPServer {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 3000;
-    this.proxmoxConfig = {
-      host: process.env.PROXMOX_HOST,
-      port: process.env.PROXMOX_PORT || 8006,
-      user: process.env.PROXMOX_USER || 'root@pam',
-      tokenName: process.env.PROXMOX_TOKEN_NAME,
-      tokenValue: process.env.PROXMOX_TOKEN_VALUE,
-      allowElevated: process.env.PROXMOX_ALLOW_ELEVATED === 'true'
-    };
+    this.logging = loadLoggingConfig();
+    this.logger = createLogger({ name: 'proxmox-mcp-server', ...this.logging });
+
+    // Proxmox clusters (PROXMOX_CLUSTERS_FILE, or a single one from PROXMOX_*).
+    // POLICY_FILE rules, when given, replace the PROXMOX_ALLOW_ELEVATED switch.
+    this.allowElevated = process.env.PROXMOX_ALLOW_ELEVATED === 'true';
+    this.policy = loadPolicy();
+    this.clusters = ClusterRegistry.fromEnv(process.env, {
+      allowElevated: this.allowElevated,
+      policy: this.policy,
+      execTimeout: parseInt(process.env.PROXMOX_EXEC_TIMEOUT || DEFAULT_EXEC_TIMEOUT, 10),
+      execMaxTimeout: parseInt(process.env.PROXMOX_EXEC_MAX_TIMEOUT || DEFAULT_EXEC_MAX_TIMEOUT, 10),
+      cacheTtl: parseInt(process.env.PROXMOX_CACHE_TTL || DEFAULT_CACHE_TTL, 10),
+      confirm: loadConfirmConfig()
+    });
+
+    // Prometheus /metrics: API and tool-call self-metrics, inventory collected at most once per interval
+    this.metrics = new SelfMetrics();
+    this.metrics.observeClusters(this.clusters);
+    this.collector = new ProxmoxCollector(this.clusters, {
+      minIntervalSeconds: parseInt(process.env.METRICS_MIN_INTERVAL || DEFAULT_MIN_INTERVAL, 10)
+    });
+
+    // Background health checks with webhook notifications (ALERT_*)
+    this.alerts = new AlertMonitor(this.clusters, { ...loadAlertConfig(), logger: this.logger });
+
+    // Append-only record of mutating calls (AUDIT_*)
+    this.audit = new AuditLog(this.clusters, { ...loadAuditConfig(), logger: this.logger });
+
+    // Inbound authentication
+    this.apiKeys = loadApiKeys();
+    this.corsOrigins = loadCorsOrigins();
+
+    // Streamable HTTP sessions (Mcp-Session-Id)
+    this.sessions = new SessionStore({
+      ttlMs: parseInt(process.env.MCP_SESSION_TTL || '3600', 10) * 1000
+    });
+    this.resourcePollInterval = parseInt(process.env.MCP_RESOURCE_POLL_INTERVAL || '30', 10) * 1000;
 
     this.setupMiddleware();
     this.setupMCPEndpoint();
   }
 
   setupMiddleware() {
-    // CORS for Claude Desktop
+    // Request logging
+    this.app.use(requestLogger(this.logger, this.logging));
+
+    // CORS for Claude Desktop and browser-based MCP clients
     this.app.use(cors({
-      origin: '*',
-      methods: ['POST', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      origin: this.corsOrigins,
+      methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'Mcp-Session-Id', 'MCP-Protocol-Version', 'Last-Event-ID'],
+      exposedHeaders: ['Mcp-Session-Id']
     }));
 
     this.app.use(express.json());
 
-    // Request logging
-    this.app.use((req, res, next) => {
-      console.log(`📥 ${new Date().toISOString()} - ${req.method} ${req.url} from ${req.ip}`);
-      console.log(`📋 Headers:`, JSON.stringify(req.headers, null, 2));
-      if (req.body && Object.keys(req.body).length > 0) {
-        console.log(`📦 Body:`, JSON.stringify(req.body, null, 2));
-      }
-      
-      // Log response
-      const originalSend = res.send;
-      res.send = function(data) {
-        console.log(`📤 Response:`, data);
-        originalSend.call(this, data);
-      };
-      
-      next();
+    // Malformed JSON gets a JSON-RPC parse error instead of Express's HTML page
+    this.app.use((error, req, res, next) => {
+      if (error.type !== 'entity.parse.failed') return next(error);
+      res.status(400).json({
+        jsonrpc: '2.0',
+        error: { code: -32700, message: 'Parse error', data: error.message },
+        id: null
+      });
     });
   }
 
   setupMCPEndpoint() {
-    // Main MCP endpoint - Claude Desktop will POST here
-    this.app.post('/', async (req, res) => {
+    const authenticate = requireApiKey(this.apiKeys, this.rejectRequest);
+    const checkTransport = this.checkTransport.bind(this);
+
+    // Main MCP endpoint - clients POST JSON-RPC messages (single or batch) here
+    this.app.post('/', checkTransport, authenticate, async (req, res) => {
+      req.rpcMethod = Array.isArray(req.body) ? 'batch' : req.body?.method;
       try {
-        const response = await this.handleMCPRequest(req.body);
-        res.json(response);
+        await this.handlePost(req, res);
       } catch (error) {
-        console.error('❌ MCP Error:', error);
+        req.log.error('MCP request failed', { error, stack: error.stack });
+        if (res.headersSent) {
+          return res.end();
+        }
         res.status(500).json({
           jsonrpc: '2.0',
           error: {
@@ -78,44 +127,253 @@ class ProxmoxMCPServer {
       }
     });
 
+    // Server-to-client event stream for an existing session
+    this.app.get('/', checkTransport, authenticate, (req, res) => {
+      if (!req.accepts('text/event-stream')) {
+        return res.status(406).json({ error: 'GET / requires Accept: text/event-stream' });
+      }
+
+      const session = this.lookupSession(req, res);
+      if (!session) return;
+
+      const stream = openEventStream(res);
+      this.sessions.attachStream(session, stream, res);
+      req.log.debug('Event stream opened', { sessionId: session.id });
+    });
+
+    // Explicit session termination
+    this.app.delete('/', checkTransport, authenticate, (req, res) => {
+      const session = this.lookupSession(req, res);
+      if (!session) return;
+
+      this.sessions.delete(session.id);
+      res.status(204).end();
+    });
+
     // Health check endpoint
     this.app.get('/health', (req, res) => {
       res.json({ 
         status: 'healthy', 
         server: 'Proxmox MCP over HTTP',
-        proxmox: `${this.proxmoxConfig.host}:${this.proxmoxConfig.port}`
+        clusters: this.clusters.summary().map(c => ({ name: c.name, address: c.address })),
+        sessions: this.sessions.size
       });
     });
 
+    // Prometheus exposition format
+    this.app.get('/metrics', authenticate, metricsHandler(this.collector, this.metrics));
+
     // Catch-all route to see what Claude Desktop is requesting
     this.app.all('*', (req, res) => {
-      console.log(`❓ UNKNOWN REQUEST: ${req.method} ${req.url}`);
-      console.log(`📋 Headers:`, JSON.stringify(req.headers, null, 2));
-      if (req.body && Object.keys(req.body).length > 0) {
-        console.log(`📦 Body:`, JSON.stringify(req.body, null, 2));
-      }
-      
+      req.log.warn('Unknown request', { method: req.method, url: req.originalUrl, userAgent: req.headers['user-agent'] });
+
       res.status(404).json({
         error: 'Endpoint not found',
         method: req.method,
         url: req.url,
-        message: 'This is an MCP server. POST to / for MCP requests, GET /health for status'
+        message: 'This is an MCP server. POST to / for MCP requests, GET / for the event stream, GET /health for status'
       });
     });
   }
 
-  async handleMCPRequest(request) {
-    console.log(`🔧 Handling MCP request: ${request.method}`);
+  rejectRequest(req, res, status, message) {
+    const codes = { 400: -32600, 401: -32001, 403: -32003, 404: -32004 };
+    const messages = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found' };
+
+    res.status(status).json({
+      jsonrpc: '2.0',
+      error: {
+        code: codes[status] || -32603,
+        message: messages[status] || 'Internal error',
+        data: message
+      },
+      id: req.body?.id || null
+    });
+  }
+
+  // Origin and protocol-version checks required by the Streamable HTTP transport
+  checkTransport(req, res, next) {
+    const origin = req.headers.origin;
+    if (origin && this.corsOrigins !== '*' && !this.corsOrigins.includes(origin)) {
+      return this.rejectRequest(req, res, 403, `Origin ${origin} is not allowed`);
+    }
+
+    const version = req.get('MCP-Protocol-Version');
+    if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+      return this.rejectRequest(req, res, 400, `Unsupported MCP-Protocol-Version ${version} (supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')})`);
+    }
+
+    next();
+  }
+
+  // Resolve the Mcp-Session-Id header, answering 400/404 when it is missing or unknown
+  lookupSession(req, res) {
+    const sessionId = req.get('Mcp-Session-Id');
+    if (!sessionId) {
+      this.rejectRequest(req, res, 400, 'Mcp-Session-Id header is required');
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (!session || session.keyName !== req.apiKey.name) {
+      this.rejectRequest(req, res, 404, 'Session not found or expired; re-initialize');
+      return null;
+    }
+    return session;
+  }
+
+  async handlePost(req, res) {
+    const isBatch = Array.isArray(req.body);
+    const messages = isBatch ? req.body : [req.body];
+
+    if (messages.length === 0) {
+      return this.rejectRequest(req, res, 400, 'Empty JSON-RPC batch');
+    }
+
+    const isInitialize = messages.some(message => message?.method === 'initialize');
+    if (isInitialize && messages.length > 1) {
+      return this.rejectRequest(req, res, 400, 'initialize must not be sent as part of a batch');
+    }
+
+    // Sessions are optional, but a session ID that was sent has to be valid
+    let session = null;
+    if (req.get('Mcp-Session-Id') && !isInitialize) {
+      session = this.lookupSession(req, res);
+      if (!session) return;
+    }
+
+    const context = { apiKey: req.apiKey, ip: req.ip, session, log: req.log, notify: null };
+    const hasRequests = messages.some(message => message?.method && message.id !== undefined && message.id !== null);
+
+    // Only notifications and responses: acknowledge without a body
+    if (!hasRequests) {
+      for (const message of messages) {
+        await this.handleMessage(message, context);
+      }
+      return res.status(202).end();
+    }
+
+    // Stream when the client asked for progress and can read SSE; otherwise
+    // progress goes to the session's GET stream, if one is open
+    const wantsProgress = messages.some(message => message?.params?._meta?.progressToken !== undefined);
+    const acceptsStream = (req.get('Accept') || '').includes('text/event-stream');
+
+    if (wantsProgress && acceptsStream) {
+      const stream = openEventStream(res);
+      context.notify = message => stream.send(message);
 
+      const responses = await Promise.all(messages.map(message => this.handleMessage(message, context)));
+      for (const response of responses.filter(Boolean)) {
+        stream.send(response);
+      }
+      return stream.close();
+    }
+
+    context.notify = message => this.sessions.send(context.session, message);
+
+    const responses = (await Promise.all(messages.map(message => this.handleMessage(message, context)))).filter(Boolean);
+
+    if (context.createdSession) {
+      res.set('Mcp-Session-Id', context.createdSession.id);
+    }
+
+    if (responses.length === 0) {
+      return res.status(202).end();
+    }
+    res.json(isBatch ? responses : responses[0]);
+  }
+
+  // Returns the JSON-RPC response for a request, or null for notifications and client responses
+  async handleMessage(message, context) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32600, message: 'Invalid Request' },
+        id: message?.id ?? null
+      };
+    }
+
+    // A response to a server-initiated request; we never send any
+    if (!message.method) {
+      return null;
+    }
+
+    if (message.id === undefined || message.id === null) {
+      this.handleNotification(message, context);
+      return null;
+    }
+
+    try {
+      return await this.handleMCPRequest(message, context);
+    } catch (error) {
+      // Proxmox failures keep their type; the data carries the hint
+      if (error instanceof ProxmoxError) {
+        context.log.warn('MCP method failed', { rpcMethod: message.method, error: error.message, type: error.type });
+        return {
+          jsonrpc: '2.0',
+          error: { code: error.rpcCode, message: error.title, data: error.toJSON() },
+          id: message.id
+        };
+      }
+      context.log.error('MCP method failed', { rpcMethod: message.method, error, stack: error.stack });
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal error', data: error.message },
+        id: message.id
+      };
+    }
+  }
+
+  handleNotification(notification, context) {
+    switch (notification.method) {
+      case 'notifications/initialized':
+        if (context.session) {
+          context.session.initialized = true;
+        }
+        break;
+
+      case 'notifications/cancelled':
+        // Proxmox calls can't be aborted midway; the result is simply discarded
+        context.log.debug('Client cancelled request', { requestId: notification.params?.requestId });
+        break;
+
+      default:
+        context.log.debug('Ignoring notification', { rpcMethod: notification.method });
+    }
+  }
+
+  async handleMCPRequest(request, context) {
     switch (request.method) {
       case 'initialize':
-        return this.handleInitialize(request);
+        return this.handleInitialize(request, context);
+
+      case 'ping':
+        return { jsonrpc: '2.0', result: {}, id: request.id };
       
       case 'tools/list':
-        return this.handleToolsList(request);
+        return this.handleToolsList(request, context);
       
       case 'tools/call':
-        return this.handleToolCall(request);
+        return this.handleToolCall(request, context);
+
+      case 'resources/list':
+        return this.handleResourcesList(request);
+
+      case 'resources/templates/list':
+        return { jsonrpc: '2.0', result: { resourceTemplates: RESOURCE_TEMPLATES }, id: request.id };
+
+      case 'resources/read':
+        return this.handleResourceRead(request);
+
+      case 'resources/subscribe':
+      case 'resources/unsubscribe':
+        return this.handleResourceSubscription(request, context);
+
+      case 'prompts/list':
+        return { jsonrpc: '2.0', result: { prompts: PROMPTS }, id: request.id };
+
+      case 'prompts/get':
+        return this.handlePromptGet(request);
       
       default:
         return {
@@ -130,13 +388,30 @@ class ProxmoxMCPServer {
     }
   }
 
-  handleInitialize(request) {
+  handleInitialize(request, context) {
+    // Use the client's version if we speak it, otherwise offer our latest
+    const requested = request.params?.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    context.createdSession = this.sessions.create({
+      protocolVersion,
+      clientInfo: request.params?.clientInfo,
+      keyName: context.apiKey.name
+    });
+
     return {
       jsonrpc: '2.0',
       result: {
-        protocolVersion: '2024-11-05',
+        protocolVersion,
         capabilities: {
-          tools: {}
+          tools: {},
+          resources: {
+            subscribe: true,
+            listChanged: false
+          },
+          prompts: {
+            listChanged: false
+          }
         },
         serverInfo: {
           name: 'proxmox-mcp-server',
@@ -147,46 +422,103 @@ class ProxmoxMCPServer {
     };
   }
 
-  handleToolsList(request) {
-    const tools = [
-      {
-        name: 'proxmox_get_nodes',
-        description: 'List all Proxmox cluster nodes with their status and resource usage',
-        inputSchema: {
-          type: 'object',
-          properties: {},
-          required: []
-        }
-      },
-      {
-        name: 'proxmox_get_vms',
-        description: 'List all virtual machines across the cluster',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            node: {
-              type: 'string',
-              description: 'Filter by specific node (optional)'
-            },
-            type: {
-              type: 'string',
-              enum: ['qemu', 'lxc', 'all'],
-              description: 'Filter by VM type (optional)'
-            }
-          },
-          required: []
-        }
-      },
-      {
-        name: 'proxmox_get_cluster_status',
-        description: 'Get overall cluster status including nodes and resource usage',
-        inputSchema: {
-          type: 'object',
-          properties: {},
-          required: []
+  // Resources and prompts have no cluster argument, so they always read the
+  // default cluster (PROXMOX_DEFAULT_CLUSTER); tools take `cluster` instead
+  async handleResourcesList(request) {
+    const resources = await listResources(this.clusters.default.client.request);
+    return { jsonrpc: '2.0', result: { resources }, id: request.id };
+  }
+
+  async handleResourceRead(request) {
+    try {
+      const contents = await readResource(this.clusters.default.client.request, request.params?.uri);
+      return { jsonrpc: '2.0', result: { contents }, id: request.id };
+    } catch (error) {
+      if (!(error instanceof ResourceNotFoundError)) throw error;
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32002, message: 'Resource not found', data: { uri: error.uri, reason: error.message } },
+        id: request.id
+      };
+    }
+  }
+
+  // Subscriptions live on the session and are checked by pollResourceSubscriptions
+  async handleResourceSubscription(request, { session }) {
+    const uri = request.params?.uri;
+    if (!uri) {
+      return { jsonrpc: '2.0', error: { code: -32602, message: 'Invalid params', data: 'params.uri is required' }, id: request.id };
+    }
+    if (!session) {
+      return { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request', data: 'Resource subscriptions need an Mcp-Session-Id' }, id: request.id };
+    }
+
+    if (request.method === 'resources/unsubscribe') {
+      session.subscriptions.delete(uri);
+    } else {
+      // Read once so we fail fast on bad URIs and have a baseline to diff against
+      const response = await this.handleResourceRead(request);
+      if (response.error) return response;
+      session.subscriptions.set(uri, this.digestContents(response.result.contents));
+    }
+
+    return { jsonrpc: '2.0', result: {}, id: request.id };
+  }
+
+  digestContents(contents) {
+    return crypto.createHash('sha256').update(contents.map(c => c.text).join('\n')).digest('hex');
+  }
+
+  // Re-read every subscribed resource and notify sessions whose content changed
+  async pollResourceSubscriptions() {
+    const reads = new Map();
+    const read = (uri) => {
+      if (!reads.has(uri)) {
+        reads.set(uri, readResource(this.clusters.default.client.request, uri)
+          .then(contents => this.digestContents(contents))
+          .catch(error => {
+            this.logger.warn('Failed to poll subscribed resource', { uri, error });
+            return null;
+          }));
+      }
+      return reads.get(uri);
+    };
+
+    for (const session of this.sessions.sessions.values()) {
+      if (session.streams.size === 0) continue;
+
+      for (const [uri, previous] of session.subscriptions) {
+        const digest = await read(uri);
+        if (digest && digest !== previous) {
+          session.subscriptions.set(uri, digest);
+          this.sessions.send(session, {
+            jsonrpc: '2.0',
+            method: 'notifications/resources/updated',
+            params: { uri }
+          });
         }
       }
-    ];
+    }
+  }
+
+  async handlePromptGet(request) {
+    try {
+      const result = await getPrompt(this.clusters.default.client.request, request.params?.name, request.params?.arguments || {});
+      return { jsonrpc: '2.0', result, id: request.id };
+    } catch (error) {
+      if (!(error instanceof PromptArgumentError)) throw error;
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32602, message: 'Invalid params', data: error.message },
+        id: request.id
+      };
+    }
+  }
+
+  handleToolsList(request, { apiKey }) {
+    const tools = TOOLS
+      .filter(tool => hasScope(apiKey, tool.scope))
+      .map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
 
     return {
       jsonrpc: '2.0',
@@ -197,205 +529,149 @@ class ProxmoxMCPServer {
     };
   }
 
-  async handleToolCall(request) {
-    const { name, arguments: args } = request.params;
-    
-    try {
-      let result;
-      
-      switch (name) {
-        case 'proxmox_get_nodes':
-          result = await this.getNodes();
-          break;
-        case 'proxmox_get_vms':
-          result = await this.getVMs(args?.node, args?.type);
-          break;
-        case 'proxmox_get_cluster_status':
-          result = await this.getClusterStatus();
-          break;
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
+  async handleToolCall(request, { apiKey, ip, notify }) {
+    const tool = findTool(request.params?.name);
+    const args = request.params?.arguments || {};
 
+    if (!tool) {
       return {
         jsonrpc: '2.0',
-        result: {
-          content: [
-            {
-              type: 'text',
-              text: result
-            }
-          ]
-        },
+        error: { code: -32602, message: 'Invalid params', data: `Unknown tool: ${request.params?.name}` },
         id: request.id
       };
-    } catch (error) {
+    }
+
+    // Calls that need more than read-only access are audited, refused ones too
+    const { format, ...callArgs } = args;
+    const call = { actor: apiKey.name, scope: apiKey.scope, ip, via: 'mcp', action: tool.name, cluster: args.cluster, args: callArgs };
+
+    if (!hasScope(apiKey, tool.scope)) {
+      this.audit.recordCall(call, { status: 'denied', error: { message: `Missing ${tool.scope} scope` }, durationMs: 0 });
       return {
         jsonrpc: '2.0',
         error: {
-          code: -32603,
-          message: 'Tool execution failed',
-          data: error.message
+          code: -32003,
+          message: 'Forbidden',
+          data: `API key "${apiKey.name}" lacks the ${tool.scope} scope required by ${tool.name}`
         },
         id: request.id
       };
     }
-  }
-
-  async proxmoxRequest(endpoint) {
-    const url = `https://${this.proxmoxConfig.host}:${this.proxmoxConfig.port}/api2/json${endpoint}`;
-    const headers = {
-      'Authorization': `PVEAPIToken=${this.proxmoxConfig.user}!${this.proxmoxConfig.tokenName}=${this.proxmoxConfig.tokenValue}`
-    };
-
-    const response = await fetch(url, { 
-      headers,
-      agent: new https.Agent({ rejectUnauthorized: false })
-    });
 
-    if (!response.ok) {
-      throw new Error(`Proxmox API error: ${response.status} ${response.statusText}`);
+    if (!tool.global && (!this.clusters.has(args.cluster) || (args.cluster === ALL_CLUSTERS && !tool.aggregate))) {
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: 'Invalid params',
+          data: args.cluster === ALL_CLUSTERS
+            ? `${tool.name} does not support cluster "${ALL_CLUSTERS}"; name a single cluster`
+            : `Unknown cluster "${args.cluster}" (configured: ${this.clusters.names().join(', ')})`
+        },
+        id: request.id
+      };
     }
 
-    const data = await response.json();
-    return data.data;
-  }
-
-  async getNodes() {
-    const nodes = await this.proxmoxRequest('/nodes');
-    
-    let result = '🖥️  **Proxmox Cluster Nodes**\n\n';
-    
-    for (const node of nodes) {
-      const status = node.status === 'online' ? '🟢' : '🔴';
-      const uptime = this.formatUptime(node.uptime);
-      const cpuPercent = (node.cpu * 100).toFixed(1);
-      const memoryUsed = this.formatBytes(node.mem);
-      const memoryTotal = this.formatBytes(node.maxmem);
-      const memoryPercent = ((node.mem / node.maxmem) * 100).toFixed(1);
-      
-      result += `${status} **${node.node}**\n`;
-      result += `   • Status: ${node.status}\n`;
-      result += `   • Uptime: ${uptime}\n`;
-      result += `   • CPU: ${cpuPercent}%\n`;
-      result += `   • Memory: ${memoryUsed} / ${memoryTotal} (${memoryPercent}%)\n`;
-      result += `   • Load: ${node.loadavg ? node.loadavg[0] : 'N/A'}\n\n`;
+    if (args.format !== undefined && !OUTPUT_FORMATS.includes(args.format)) {
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32602, message: 'Invalid params', data: `Unknown format "${args.format}" (expected ${OUTPUT_FORMATS.join(', ')})` },
+        id: request.id
+      };
     }
-    
-    return result;
-  }
-
-  async getVMs(nodeFilter = null, typeFilter = 'all') {
-    const nodes = await this.proxmoxRequest('/nodes');
-    let allVMs = [];
 
-    for (const node of nodes) {
-      if (nodeFilter && node.node !== nodeFilter) continue;
-
-      try {
-        if (typeFilter === 'all' || typeFilter === 'qemu') {
-          const qemuVMs = await this.proxmoxRequest(`/nodes/${node.node}/qemu`);
-          allVMs.push(...qemuVMs.map(vm => ({ ...vm, type: 'qemu', node: node.node })));
-        }
-        
-        if (typeFilter === 'all' || typeFilter === 'lxc') {
-          const lxcVMs = await this.proxmoxRequest(`/nodes/${node.node}/lxc`);
-          allVMs.push(...lxcVMs.map(vm => ({ ...vm, type: 'lxc', node: node.node })));
-        }
-      } catch (error) {
-        console.warn(`Failed to get VMs from node ${node.node}:`, error.message);
-      }
+    const missing = missingArguments(tool, args);
+    if (missing.length > 0) {
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32602, message: 'Invalid params', data: `Missing required arguments: ${missing.join(', ')}` },
+        id: request.id
+      };
     }
 
-    allVMs.sort((a, b) => a.vmid - b.vmid);
-
-    let result = '💻 **Virtual Machines**\n\n';
+    // Report polling progress when the client supplied a progress token
+    const progressToken = request.params._meta?.progressToken;
+    const onProgress = progressToken !== undefined && notify
+      ? (progress, total, message) => notify({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      })
+      : undefined;
     
-    for (const vm of allVMs) {
-      const status = vm.status === 'running' ? '🟢' : '🔴';
-      const icon = vm.type === 'qemu' ? '🖥️' : '📦';
-      
-      result += `${status} ${icon} **${vm.name}** (ID: ${vm.vmid})\n`;
-      result += `   • Node: ${vm.node}\n`;
-      result += `   • Status: ${vm.status}\n`;
-      result += `   • Type: ${vm.type.toUpperCase()}\n`;
-      
-      if (vm.status === 'running') {
-        if (vm.uptime) {
-          result += `   • Uptime: ${this.formatUptime(vm.uptime)}\n`;
-        }
-        if (vm.cpu !== undefined) {
-          result += `   • CPU: ${vm.cpu ? (vm.cpu * 100).toFixed(1) + '%' : 'N/A'}\n`;
-        }
-        if (vm.mem && vm.maxmem) {
-          result += `   • Memory: ${this.formatBytes(vm.mem)} / ${this.formatBytes(vm.maxmem)}\n`;
-        }
+    const cluster = tool.global ? undefined : args.cluster || this.clusters.defaultName;
+    try {
+      const context = { onProgress, actor: apiKey.name, clusters: this.clusters, alerts: this.alerts, audit: this.audit };
+      const execute = () => (tool.global
+        ? tool.handler(null, args, context)
+        : this.clusters.run(args.cluster, service => tool.handler(service, args, context), { aggregate: tool.aggregate }));
+      const result = tool.scope === 'read-only' ? await execute() : await this.audit.track(call, execute);
+      this.metrics.countToolCall(tool.name, cluster, { result });
+
+      return {
+        jsonrpc: '2.0',
+        result: {
+          content: toolContent(result, args.format),
+          ...(result.isError ? { isError: true } : {})
+        },
+        id: request.id
+      };
+    } catch (error) {
+      this.metrics.countToolCall(tool.name, cluster, { failed: true });
+
+      // A failed Proxmox call is a tool error the model can act on, not a protocol error
+      if (error instanceof ProxmoxError) {
+        const result = { content: [{ type: 'text', text: formatError(error) }], ...error.toJSON(), isError: true };
+        return {
+          jsonrpc: '2.0',
+          result: { content: toolContent(result, args.format), isError: true },
+          id: request.id
+        };
       }
-      
-      result += '\n';
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32603,
+          message: 'Tool execution failed',
+          data: error.message
+        },
+        id: request.id
+      };
     }
-    
-    return result;
   }
 
-  async getClusterStatus() {
-    const nodes = await this.proxmoxRequest('/nodes');
-    const cluster = await this.proxmoxRequest('/cluster/status');
-    
-    const onlineNodes = nodes.filter(n => n.status === 'online').length;
-    const totalNodes = nodes.length;
-    
-    let totalCPU = 0, usedCPU = 0, totalMem = 0, usedMem = 0;
-    
-    for (const node of nodes) {
-      if (node.status === 'online') {
-        totalCPU += node.maxcpu || 0;
-        usedCPU += (node.cpu || 0) * (node.maxcpu || 0);
-        totalMem += node.maxmem || 0;
-        usedMem += node.mem || 0;
-      }
-    }
-    
-    const cpuPercent = totalCPU > 0 ? ((usedCPU / totalCPU) * 100).toFixed(1) : '0';
-    const memPercent = totalMem > 0 ? ((usedMem / totalMem) * 100).toFixed(1) : '0';
-    
-    let result = '🏗️  **Proxmox Cluster Status**\n\n';
-    result += `**Cluster Health**: ${onlineNodes === totalNodes ? '🟢 Healthy' : '🟡 Degraded'}\n`;
-    result += `**Nodes**: ${onlineNodes}/${totalNodes} online\n\n`;
-    result += `**Resource Usage**:\n`;
-    result += `• CPU: ${(usedCPU).toFixed(1)}/${totalCPU} cores (${cpuPercent}%)\n`;
-    result += `• Memory: ${this.formatBytes(usedMem)} / ${this.formatBytes(totalMem)} (${memPercent}%)\n\n`;
-    result += `**Node Details**:\n`;
-    
-    for (const node of nodes) {
-      const status = node.status === 'online' ? '🟢' : '🔴';
-      result += `${status} ${node.node}: ${node.status}\n`;
+  start() {
+    // Validate required environment variables
+    const missing = this.clusters.missingSettings();
+    if (Object.keys(missing).length > 0) {
+      this.logger.error('Required environment variables are missing', { missing });
+      process.exit(1);
     }
-    
-    return result;
-  }
 
-  formatUptime(seconds) {
-    if (!seconds) return 'N/A';
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    return `${hours}h ${minutes}m`;
-  }
+    this.alerts.start();
 
-  formatBytes(bytes) {
-    if (!bytes) return '0 B';
-    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(1024));
-    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
-  }
+    const poller = setInterval(() => {
+      this.pollResourceSubscriptions().catch(error => this.logger.error('Resource subscription poll failed', { error }));
+    }, this.resourcePollInterval);
+    poller.unref();
 
-  start() {
     this.app.listen(this.port, '0.0.0.0', () => {
-      console.log(`🚀 Proxmox MCP-over-HTTP Server running on port ${this.port}`);
-      console.log(`📡 Health check: http://localhost:${this.port}/health`);
-      console.log(`🔧 MCP endpoint: http://localhost:${this.port}/`);
-      console.log(`🏗️  Proxmox host: ${this.proxmoxConfig.host}:${this.proxmoxConfig.port}`);
-      console.log(`🔒 Elevated mode: ${this.proxmoxConfig.allowElevated ? 'enabled' : 'disabled'}`);
+      this.logger.info('Proxmox MCP-over-HTTP Server running', {
+        port: this.port,
+        healthCheck: `http://localhost:${this.port}/health`,
+        mcpEndpoint: `http://localhost:${this.port}/`,
+        clusters: this.clusters.summary(),
+        defaultCluster: this.clusters.defaultName,
+        elevated: this.allowElevated,
+        policy: this.policy ? `${this.policy.source} (${this.policy.rules.length} rules, default ${this.policy.defaultEffect})` : null,
+        inboundKeys: this.apiKeys.length
+      });
+      if (this.apiKeys.length === 0) {
+        this.logger.warn('No API keys configured (API_KEYS / API_KEYS_FILE) - every client is trusted');
+      }
+      for (const cluster of this.clusters.summary().filter(c => c.tls === 'disabled')) {
+        this.logger.warn('TLS verification of the Proxmox API is disabled (PROXMOX_VERIFY_SSL=false)', { cluster: cluster.name });
+      }
     });
   }
 }
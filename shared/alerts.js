@@ -0,0 +1,368 @@
+// Background health monitoring with threshold rules and webhook alerts.
+//
+// Every ALERT_INTERVAL seconds the monitor reads each cluster's inventory and
+// recent tasks, evaluates the rules below and tracks which alerts are firing.
+// An alert is sent to the webhooks once when it starts firing (after its
+// condition has held for `forMinutes`) and once when it resolves; while it
+// keeps firing nothing is re-sent. Rules are tuned or disabled with
+// ALERT_RULES_FILE, a JSON array such as
+//
+//   [{ "rule": "storage_usage", "threshold": 0.9 },
+//    { "rule": "memory_pressure", "forMinutes": 10, "severity": "critical" },
+//    { "rule": "guest_stopped", "enabled": false }]
+
+import { readFileSync } from 'fs';
+import fetch from 'node-fetch';
+import { formatTimestamp } from './format.js';
+import { ALL_CLUSTERS } from './clusters.js';
+import { InvalidInputError } from './errors.js';
+
+export const DEFAULT_ALERT_INTERVAL = 60;
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const RESOLVED_HISTORY = 20;
+
+// Task types that stop a guest on purpose
+const STOP_TASKS = ['qmstop', 'qmshutdown', 'qmsuspend', 'qmdestroy', 'qmigrate', 'vzstop', 'vzshutdown', 'vzsuspend', 'vzdestroy', 'vzmigrate'];
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Default settings and condition for each rule. `evaluate(snapshot, rule)`
+// returns the subjects currently matching, each { subject, message, value }.
+export const ALERT_RULES = {
+  cluster_unreachable: {
+    severity: 'critical',
+    evaluate: (snapshot) => (snapshot.error
+      ? [{ subject: snapshot.cluster, message: `Cluster ${snapshot.cluster} is unreachable: ${snapshot.error}` }]
+      : [])
+  },
+  node_offline: {
+    severity: 'critical',
+    evaluate: (snapshot) => snapshot.nodes
+      .filter(node => node.status !== 'online')
+      .map(node => ({ subject: node.node, message: `Node ${node.node} is ${node.status || 'unknown'}` }))
+  },
+  storage_usage: {
+    severity: 'warning',
+    threshold: 0.85,
+    evaluate: (snapshot, rule) => {
+      const seen = new Set();
+      return snapshot.storage
+        .filter(storage => storage.maxdisk && storage.disk / storage.maxdisk > rule.threshold)
+        // Shared storage is listed once per node; alert on it once
+        .filter(storage => {
+          const subject = storage.shared ? storage.storage : `${storage.node}/${storage.storage}`;
+          if (seen.has(subject)) return false;
+          seen.add(subject);
+          return true;
+        })
+        .map(storage => {
+          const usage = storage.disk / storage.maxdisk;
+          return {
+            subject: storage.shared ? storage.storage : `${storage.node}/${storage.storage}`,
+            value: usage,
+            message: `Storage ${storage.storage}${storage.shared ? '' : ` on ${storage.node}`} is ${percent(usage)} full (threshold ${percent(rule.threshold)})`
+          };
+        });
+    }
+  },
+  memory_pressure: {
+    severity: 'warning',
+    threshold: 0.9,
+    forMinutes: 5,
+    evaluate: (snapshot, rule) => snapshot.nodes
+      .filter(node => node.status === 'online' && node.maxmem && node.mem / node.maxmem > rule.threshold)
+      .map(node => ({
+        subject: node.node,
+        value: node.mem / node.maxmem,
+        message: `Node ${node.node} memory at ${percent(node.mem / node.maxmem)} for over ${rule.forMinutes} min (threshold ${percent(rule.threshold)})`
+      }))
+  },
+  guest_stopped: {
+    severity: 'warning',
+    evaluate: (snapshot) => snapshot.unexpectedStops.map(guest => ({
+      subject: String(guest.vmid),
+      message: `${guest.type === 'lxc' ? 'Container' : 'VM'} ${guest.vmid}${guest.name ? ` (${guest.name})` : ''} on ${guest.node} stopped without a stop task`
+    }))
+  },
+  backup_failed: {
+    severity: 'critical',
+    evaluate: (snapshot) => {
+      // Latest finished backup per node; a later successful run resolves the alert
+      const latest = new Map();
+      for (const task of snapshot.tasks.filter(task => task.type === 'vzdump' && task.endtime)) {
+        if (!latest.has(task.node) || latest.get(task.node).endtime < task.endtime) {
+          latest.set(task.node, task);
+        }
+      }
+      return [...latest.values()]
+        .filter(task => task.status !== 'OK')
+        .map(task => ({
+          subject: task.node,
+          message: `Backup on ${task.node}${task.id ? ` of ${task.id}` : ''} failed at ${formatTimestamp(task.endtime)}: ${task.status || 'unknown error'}`
+        }));
+    }
+  }
+};
+
+// Rules with their defaults, overridden by ALERT_RULES_FILE
+function loadRules(env) {
+  const rules = Object.entries(ALERT_RULES).map(([name, rule]) => ({ forMinutes: 0, enabled: true, ...rule, name }));
+  if (!env.ALERT_RULES_FILE) return rules;
+
+  const overrides = JSON.parse(readFileSync(env.ALERT_RULES_FILE, 'utf8'));
+  if (!Array.isArray(overrides)) {
+    throw new Error(`${env.ALERT_RULES_FILE}: expected a JSON array of rule settings`);
+  }
+  for (const { rule: name, ...settings } of overrides) {
+    const rule = rules.find(candidate => candidate.name === name);
+    if (!rule) {
+      throw new Error(`${env.ALERT_RULES_FILE}: unknown rule "${name}" (expected ${Object.keys(ALERT_RULES).join(', ')})`);
+    }
+    Object.assign(rule, settings);
+  }
+  return rules;
+}
+
+export function loadAlertConfig(env = process.env) {
+  return {
+    intervalSeconds: parseInt(env.ALERT_INTERVAL ?? DEFAULT_ALERT_INTERVAL, 10),
+    webhooks: (env.ALERT_WEBHOOKS || '').split(',').map(url => url.trim()).filter(Boolean),
+    rules: loadRules(env)
+  };
+}
+
+// Webhook body: `text` for Slack-compatible receivers, `alert` for everything else
+function webhookPayload(alert) {
+  const icon = alert.state === 'resolved' ? '✅' : alert.severity === 'critical' ? '🔴' : '🟠';
+  return {
+    text: `${icon} [${alert.state.toUpperCase()}] ${alert.message} (cluster ${alert.cluster})`,
+    status: alert.state,
+    alert
+  };
+}
+
+export class AlertMonitor {
+  constructor(clusters, { intervalSeconds = DEFAULT_ALERT_INTERVAL, webhooks = [], rules, logger }) {
+    this.clusters = clusters;
+    this.intervalSeconds = intervalSeconds;
+    this.webhooks = webhooks;
+    this.rules = rules.filter(rule => rule.enabled);
+    this.logger = logger;
+
+    this.active = new Map();
+    this.pendingSince = new Map();
+    this.resolved = [];
+    this.guests = new Map();
+    this.unexpectedStops = new Map();
+    this.evaluatedAt = null;
+    this.pending = null;
+  }
+
+  start() {
+    if (!this.intervalSeconds) return;
+    const run = () => this.evaluate().catch(error => this.logger.error('Alert evaluation failed', { error }));
+    this.timer = setInterval(run, this.intervalSeconds * 1000);
+    this.timer.unref();
+    run();
+  }
+
+  // One evaluation at a time; callers during a run share it
+  evaluate() {
+    if (!this.pending) {
+      this.pending = this.runEvaluation().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async runEvaluation() {
+    const snapshots = await Promise.all([...this.clusters.clusters.values()].map(cluster => this.collect(cluster)));
+    const now = Date.now();
+
+    const matches = new Map();
+    for (const snapshot of snapshots) {
+      for (const rule of this.rules) {
+        // Nothing can be said about an unreachable cluster beyond that
+        if (snapshot.error && rule.name !== 'cluster_unreachable') continue;
+        for (const match of rule.evaluate(snapshot, rule)) {
+          matches.set(`${snapshot.cluster}/${rule.name}/${match.subject}`, { ...match, rule, cluster: snapshot.cluster });
+        }
+      }
+    }
+
+    const notifications = [];
+    for (const [id, match] of matches) {
+      const since = this.pendingSince.get(id) ?? now;
+      this.pendingSince.set(id, since);
+
+      const alert = this.active.get(id);
+      if (alert) {
+        Object.assign(alert, { message: match.message, value: match.value ?? null });
+      } else if (now - since >= match.rule.forMinutes * 60000) {
+        const fired = {
+          id,
+          rule: match.rule.name,
+          severity: match.rule.severity,
+          cluster: match.cluster,
+          subject: match.subject,
+          message: match.message,
+          value: match.value ?? null,
+          state: 'firing',
+          startsAt: new Date(since).toISOString(),
+          endsAt: null
+        };
+        this.active.set(id, fired);
+        notifications.push(fired);
+      }
+    }
+
+    const unreachable = new Set(snapshots.filter(snapshot => snapshot.error).map(snapshot => snapshot.cluster));
+    for (const id of [...this.pendingSince.keys()]) {
+      if (matches.has(id)) continue;
+      const alert = this.active.get(id);
+      const [cluster, rule] = id.split('/');
+      // Keep the state of unreachable clusters until they can be checked again
+      if (unreachable.has(cluster) && rule !== 'cluster_unreachable') continue;
+
+      this.pendingSince.delete(id);
+      if (alert) {
+        this.active.delete(id);
+        Object.assign(alert, { state: 'resolved', endsAt: new Date(now).toISOString() });
+        this.resolved = [alert, ...this.resolved].slice(0, RESOLVED_HISTORY);
+        notifications.push(alert);
+      }
+    }
+
+    this.evaluatedAt = now;
+    await Promise.all(notifications.map(alert => this.notify(alert)));
+  }
+
+  // Inventory and recent tasks of one cluster; `error` when it can't be read
+  async collect({ name, client, service }) {
+    try {
+      const [nodes, guests, storage, tasks] = await Promise.all([
+        service.inventory.get('node'),
+        service.inventory.get('vm'),
+        service.inventory.get('storage'),
+        client.request('/cluster/tasks')
+      ]);
+      return {
+        cluster: name,
+        nodes: nodes.items,
+        guests: guests.items,
+        storage: storage.items,
+        tasks,
+        unexpectedStops: this.trackGuests(name, guests.items, tasks)
+      };
+    } catch (error) {
+      return { cluster: name, error: error.message, nodes: [], guests: [], storage: [], tasks: [], unexpectedStops: [] };
+    }
+  }
+
+  // Guests that were running at the last check and are now stopped with no
+  // stop, shutdown, suspend or migration task since. They stay listed until
+  // they run again or are removed.
+  trackGuests(cluster, guests, tasks) {
+    const now = Date.now();
+    const present = new Set();
+    for (const guest of guests) {
+      const key = `${cluster}/${guest.vmid}`;
+      present.add(key);
+      const previous = this.guests.get(key);
+
+      if (guest.status === 'running') {
+        this.guests.set(key, { status: 'running', runningAt: now });
+        this.unexpectedStops.delete(key);
+        continue;
+      }
+
+      if (previous?.status === 'running' && guest.status === 'stopped') {
+        const stopTask = tasks.some(task => STOP_TASKS.includes(task.type)
+          && String(task.id) === String(guest.vmid)
+          && task.starttime * 1000 >= previous.runningAt - this.intervalSeconds * 1000);
+        if (!stopTask) this.unexpectedStops.set(key, guest);
+      }
+      this.guests.set(key, { status: guest.status });
+    }
+
+    for (const key of [...this.guests.keys()]) {
+      if (key.startsWith(`${cluster}/`) && !present.has(key)) {
+        this.guests.delete(key);
+        this.unexpectedStops.delete(key);
+      }
+    }
+
+    return [...this.unexpectedStops.entries()]
+      .filter(([key]) => key.startsWith(`${cluster}/`))
+      .map(([, guest]) => guest);
+  }
+
+  async notify(alert) {
+    const body = JSON.stringify(webhookPayload(alert));
+    await Promise.all(this.webhooks.map(async (url) => {
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+      } catch (error) {
+        this.logger.warn('Alert webhook failed', { url: new URL(url).origin, alert: alert.id, error: error.message });
+      }
+    }));
+    this.logger.info(`Alert ${alert.state}`, { alert: alert.id, severity: alert.severity, message: alert.message });
+  }
+
+  // Active and recently resolved alerts, optionally for one cluster
+  async report({ cluster } = {}) {
+    if (!this.clusters.has(cluster)) {
+      throw new InvalidInputError(`Unknown cluster "${cluster}" (configured: ${this.clusters.names().join(', ')})`, {
+        fields: { cluster: `one of ${this.clusters.names().join(', ')} or ${ALL_CLUSTERS}` }
+      });
+    }
+    const filter = cluster && cluster !== ALL_CLUSTERS ? this.clusters.get(cluster).name : null;
+    // Without background checks every report runs them, so it is never stale
+    if (this.evaluatedAt === null || !this.intervalSeconds) {
+      await this.evaluate();
+    }
+
+    const matches = alert => !filter || alert.cluster === filter;
+    const active = [...this.active.values()].filter(matches)
+      .sort((a, b) => (a.severity === b.severity ? a.startsAt.localeCompare(b.startsAt) : a.severity === 'critical' ? -1 : 1));
+    const resolved = this.resolved.filter(matches);
+
+    let output = active.length
+      ? `🚨 **Active Alerts** (${active.length})\n\n`
+      : '✅ **No active alerts**\n\n';
+    for (const alert of active) {
+      output += `${alert.severity === 'critical' ? '🔴' : '🟠'} **${alert.severity}** ${alert.message}\n`;
+      output += `   • Rule: ${alert.rule} · Cluster: ${alert.cluster} · Since: ${formatTimestamp(Date.parse(alert.startsAt) / 1000)}\n`;
+    }
+
+    if (resolved.length) {
+      output += `${active.length ? '\n' : ''}**Recently resolved**\n`;
+      for (const alert of resolved) {
+        output += `✅ ${alert.message} (resolved ${formatTimestamp(Date.parse(alert.endsAt) / 1000)})\n`;
+      }
+    }
+
+    output += this.intervalSeconds
+      ? `\n_Checked ${formatTimestamp(this.evaluatedAt / 1000)}, every ${this.intervalSeconds}s_\n`
+      : `\n_Checked ${formatTimestamp(this.evaluatedAt / 1000)} for this report; background monitoring is off (ALERT_INTERVAL=0)_\n`;
+
+    return {
+      content: [{ type: 'text', text: output }],
+      active,
+      resolved,
+      evaluatedAt: new Date(this.evaluatedAt).toISOString(),
+      intervalSeconds: this.intervalSeconds,
+      rules: this.rules.map(({ evaluate, ...rule }) => rule)
+    };
+  }
+}
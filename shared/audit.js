@@ -0,0 +1,367 @@
+// Append-only audit trail of mutating calls (JSONL on disk, rotated by size).
+//
+// Every REST request other than GET and every MCP tool call that needs more
+// than the read-only scope is recorded once it returns: who called (API key
+// name and scope, source IP), through which route or tool, the arguments with
+// secrets redacted, the UPIDs it started and its status. Calls that start
+// Proxmox tasks are written as "running"; the log follows each task and
+// appends a `task` entry with its exit status when it ends, which queries
+// fold back into the call's final status.
+//
+// Guest command lines are redacted unless AUDIT_RECORD_COMMANDS=true; their
+// stdin always is.
+//
+// When AUDIT_LOG_FILE reaches AUDIT_MAX_BYTES it is renamed to .1 (the older
+// .1 to .2 and so on); AUDIT_MAX_FILES rotated files are kept.
+
+import crypto from 'crypto';
+import { appendFile, mkdir, readFile, rename, stat } from 'fs/promises';
+import { dirname } from 'path';
+import { redact } from './logger.js';
+import { waitForTask } from './tasks.js';
+import { plainText } from './output.js';
+import { InvalidInputError } from './errors.js';
+
+export const DEFAULT_AUDIT_FILE = 'logs/audit.jsonl';
+export const DEFAULT_AUDIT_MAX_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_AUDIT_MAX_FILES = 5;
+export const DEFAULT_AUDIT_TASK_TIMEOUT = 3600;
+const DEFAULT_QUERY_LIMIT = 100;
+
+const STATUS_ICONS = { succeeded: '✅', failed: '❌', running: '🔄', denied: '🚫', proposed: '✋' };
+
+export function loadAuditConfig(env = process.env) {
+  return {
+    file: env.AUDIT_LOG_FILE || DEFAULT_AUDIT_FILE,
+    maxBytes: parseInt(env.AUDIT_MAX_BYTES || DEFAULT_AUDIT_MAX_BYTES, 10),
+    maxFiles: Math.max(1, parseInt(env.AUDIT_MAX_FILES || DEFAULT_AUDIT_MAX_FILES, 10)),
+    taskTimeout: parseInt(env.AUDIT_TASK_TIMEOUT || DEFAULT_AUDIT_TASK_TIMEOUT, 10),
+    recordCommands: env.AUDIT_RECORD_COMMANDS === 'true'
+  };
+}
+
+// Every UPID string in a result, however deeply nested (steps, jobs, ...)
+function findUpids(value, found = new Set(), depth = 0) {
+  if (typeof value === 'string' && value.startsWith('UPID:')) {
+    found.add(value);
+  } else if (value && typeof value === 'object' && depth < 6) {
+    for (const item of Object.values(value)) findUpids(item, found, depth + 1);
+  }
+  return found;
+}
+
+// Guest IDs a call touched: the target, listed backups, a new clone's ID
+function guestIds(args, data) {
+  const ids = [args.vmid, args.newid, data?.vmid];
+  const list = args.vmids ?? data?.vmids;
+  ids.push(...(Array.isArray(list) ? list : String(list ?? '').split(',')));
+  return [...new Set(ids.filter(id => id !== undefined && id !== null && id !== '').map(String))];
+}
+
+// "30m", "12h", "7d" before now, or anything Date understands
+export function parseAuditTime(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const relative = /^(\d+)([smhd])$/.exec(String(value));
+  if (relative) {
+    const unit = { s: 1, m: 60, h: 3600, d: 86400 }[relative[2]];
+    return now - relative[1] * unit * 1000;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new InvalidInputError(`Invalid time: ${value} (expected an ISO date or a duration such as 30m, 12h, 7d)`);
+  }
+  return time;
+}
+
+export class AuditLog {
+  constructor(clusters, { file = DEFAULT_AUDIT_FILE, maxBytes = DEFAULT_AUDIT_MAX_BYTES, maxFiles = DEFAULT_AUDIT_MAX_FILES, taskTimeout = DEFAULT_AUDIT_TASK_TIMEOUT, recordCommands = false, logger }) {
+    this.clusters = clusters;
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.taskTimeout = taskTimeout;
+    this.recordCommands = recordCommands;
+    this.logger = logger;
+
+    // Appends and rotations run one at a time, in call order
+    this.writing = Promise.resolve();
+  }
+
+  // Run `fn` and record the call; returns its result or rethrows its error.
+  // `call` is { actor, scope, ip, via, action, cluster, args }.
+  async track(call, fn) {
+    const startedAt = Date.now();
+    try {
+      const result = await fn();
+      this.recordCall(call, { result, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      this.recordCall(call, { error, durationMs: Date.now() - startedAt });
+      throw error;
+    }
+  }
+
+  // Write the call's entry and start following the tasks it started
+  recordCall({ actor, scope, ip, via, action, cluster, args = {} }, { result, error, status, durationMs }) {
+    const data = result?.result;
+    const upids = [...findUpids(data)];
+    let message = error?.message || null;
+    if (!status) {
+      if (result?.policy && !result.policy.allowed) {
+        status = 'denied';
+        message = result.policy.reason;
+      } else if (error || result?.isError) {
+        status = 'failed';
+        message = message || (result ? plainText(result.content).split('\n')[0] : null);
+      } else if (result?.plan) {
+        status = 'proposed';
+      } else {
+        status = upids.length ? 'running' : 'succeeded';
+      }
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      event: 'call',
+      id: crypto.randomUUID(),
+      actor,
+      scope,
+      ip,
+      via,
+      action,
+      cluster: result?.cluster || cluster || this.clusters.defaultName,
+      node: args.node ?? null,
+      vmids: guestIds(args, data),
+      args: redact(args, { redactCommands: !this.recordCommands, redactInput: true }),
+      status,
+      error: message,
+      ...(error?.type ? { errorType: error.type } : {}),
+      upids,
+      ...(result?.plan || result?.confirmedPlan ? { plan: result.plan?.id || result.confirmedPlan } : {}),
+      ...(data?.dryRun ? { dryRun: true } : {}),
+      ...(data?.exitCode !== undefined ? { exitCode: data.exitCode } : {}),
+      durationMs
+    };
+    this.write(entry);
+
+    for (const upid of upids) {
+      this.followTask(entry, upid).catch(error => this.logger.warn('Audit task follow-up failed', { upid, error }));
+    }
+    return entry;
+  }
+
+  async followTask(entry, upid) {
+    const { client } = this.clusters.get(entry.cluster);
+    const task = await waitForTask(client.request, upid, { timeout: this.taskTimeout });
+    if (task.timedOut) return;
+
+    this.write({
+      time: new Date().toISOString(),
+      event: 'task',
+      ref: entry.id,
+      upid,
+      status: task.success ? 'succeeded' : 'failed',
+      exitstatus: task.exitstatus ?? null
+    });
+  }
+
+  write(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this.writing = this.writing
+      .then(() => this.append(line))
+      .catch(error => this.logger.error('Audit log write failed', { file: this.file, error }));
+    return this.writing;
+  }
+
+  async append(line) {
+    let size = 0;
+    try {
+      size = (await stat(this.file)).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await mkdir(dirname(this.file), { recursive: true });
+    }
+
+    if (size > 0 && size + Buffer.byteLength(line) > this.maxBytes) {
+      await this.rotate();
+    }
+    await appendFile(this.file, line, { mode: 0o600 });
+  }
+
+  async rotate() {
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await rename(`${this.file}.${i}`, `${this.file}.${i + 1}`).catch(ignoreMissing);
+    }
+    await rename(this.file, `${this.file}.1`).catch(ignoreMissing);
+  }
+
+  // Entries of the current and rotated files, oldest first
+  async readEntries() {
+    await this.writing;
+
+    const files = [];
+    for (let i = this.maxFiles; i >= 1; i--) files.push(`${this.file}.${i}`);
+    files.push(this.file);
+
+    const entries = [];
+    for (const file of files) {
+      const text = await readFile(file, 'utf8').catch(error => {
+        if (error.code === 'ENOENT') return '';
+        throw error;
+      });
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // A line cut short by a crash; skip it
+        }
+      }
+    }
+    return entries;
+  }
+
+  // Calls matching the filters, newest first, with their tasks' final status
+  async query({ since, until, vmid, actor, action, status, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const from = parseAuditTime(since);
+    const to = parseAuditTime(until);
+
+    const calls = new Map();
+    for (const entry of await this.readEntries()) {
+      if (entry.event === 'call') {
+        calls.set(entry.id, { ...entry, tasks: [] });
+      } else if (entry.event === 'task' && calls.has(entry.ref)) {
+        const { upid, status: taskStatus, exitstatus, time } = entry;
+        calls.get(entry.ref).tasks.push({ upid, status: taskStatus, exitstatus, finishedAt: time });
+      }
+    }
+
+    // Plans that a later call confirmed, so proposals show whether they ran
+    const confirmed = new Set([...calls.values()].filter(call => call.plan && call.status !== 'proposed').map(call => call.plan));
+
+    const entries = [...calls.values()]
+      .map(call => ({
+        ...call,
+        status: finalStatus(call),
+        ...(call.status === 'proposed' ? { confirmed: confirmed.has(call.plan) } : {})
+      }))
+      .filter(call => (from === null || Date.parse(call.time) >= from)
+        && (to === null || Date.parse(call.time) <= to)
+        && (!vmid || call.vmids.includes(String(vmid)))
+        && (!actor || call.actor === actor)
+        && (!action || call.action.includes(action))
+        && (!status || call.status === status))
+      .reverse();
+
+    return {
+      entries: limit ? entries.slice(0, parseInt(limit, 10)) : entries,
+      total: entries.length
+    };
+  }
+
+  async report(filters = {}) {
+    const result = await this.query(filters);
+    return {
+      content: [{ type: 'text', text: formatAuditEntries(result, filters) }],
+      ...result
+    };
+  }
+}
+
+function ignoreMissing(error) {
+  if (error.code !== 'ENOENT') throw error;
+}
+
+// A running call becomes succeeded or failed once all of its tasks have ended
+function finalStatus(call) {
+  if (call.status !== 'running') return call.status;
+  const ended = call.tasks.map(task => task.upid);
+  if (!call.upids.every(upid => ended.includes(upid))) return 'running';
+  return call.tasks.every(task => task.status === 'succeeded') ? 'succeeded' : 'failed';
+}
+
+export function formatAuditEntries({ entries, total }, filters = {}) {
+  const applied = ['since', 'until', 'vmid', 'actor', 'action', 'status']
+    .filter(name => filters[name])
+    .map(name => `${name}=${filters[name]}`);
+
+  let output = `📜 **Audit Log**${applied.length ? ` (${applied.join(', ')})` : ''}\n\n`;
+  if (entries.length === 0) {
+    return output + 'No matching entries.\n';
+  }
+
+  for (const entry of entries) {
+    output += `${STATUS_ICONS[entry.status] || '•'} **${entry.action}** by ${entry.actor} (${entry.scope}) via ${entry.via}\n`;
+    output += `   • Time: ${entry.time.replace('T', ' ').replace(/\.\d+Z$/, 'Z')} from ${entry.ip || 'unknown'}\n`;
+    output += `   • Cluster: ${entry.cluster}${entry.node ? `, node ${entry.node}` : ''}${entry.vmids.length ? `, guest ${entry.vmids.join(', ')}` : ''}\n`;
+    output += `   • Status: ${entry.status}${entry.dryRun ? ' (dry run)' : ''}${entry.exitCode !== undefined ? `, exit code ${entry.exitCode}` : ''}\n`;
+    if (entry.error) {
+      output += `   • Error: ${entry.error}${entry.errorType ? ` (${entry.errorType})` : ''}\n`;
+    }
+    if (entry.plan) {
+      const state = entry.status !== 'proposed' ? 'confirmed by this call' : entry.confirmed ? 'confirmed later' : 'not confirmed';
+      output += `   • Plan: ${entry.plan} (${state})\n`;
+    }
+    for (const upid of entry.upids) {
+      const task = entry.tasks.find(t => t.upid === upid);
+      output += `   • Task: \`${upid}\` ${task ? task.exitstatus || task.status : 'running'}\n`;
+    }
+    output += `   • Arguments: \`${JSON.stringify(entry.args)}\`\n\n`;
+  }
+
+  if (total > entries.length) {
+    output += `Showing the latest ${entries.length} of ${total} entries.\n`;
+  }
+  return output;
+}
+
+// Express middleware recording every non-GET request once its response is
+// sent. Routes pass their service result on through res.locals.result.
+export function auditRequests(audit) {
+  return (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+
+    const startedAt = Date.now();
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && body.success === false) {
+        res.locals.auditError = body.error;
+        res.locals.auditErrorType = body.type;
+      }
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      // Unmatched paths are not calls of anything, except requests refused
+      // before routing, such as those without a valid API key
+      const refused = res.statusCode === 401 || res.statusCode === 403;
+      if (!req.route && !refused) return;
+
+      const { format, cluster, ...query } = req.query;
+      const { cluster: bodyCluster, ...body } = req.body && typeof req.body === 'object' ? req.body : {};
+      const call = {
+        actor: req.apiKey?.name,
+        scope: req.apiKey?.scope,
+        ip: req.ip,
+        via: 'rest',
+        action: req.route
+          ? `${req.method} ${req.baseUrl}${req.route.path.replace(/\([^)]*\)/g, '')}`
+          : `${req.method} ${req.originalUrl.split('?')[0]}`,
+        cluster: req.cluster,
+        args: { ...query, ...body, ...req.params }
+      };
+      const durationMs = Date.now() - startedAt;
+
+      // A 403 from Proxmox itself is a failed call, not one this server refused
+      const type = res.locals.auditErrorType;
+      if (refused && !type) {
+        audit.recordCall(call, { status: 'denied', error: { message: res.locals.auditError }, durationMs });
+      } else if (res.statusCode >= 400) {
+        audit.recordCall(call, { error: { message: res.locals.auditError || `HTTP ${res.statusCode}`, type }, durationMs });
+      } else {
+        audit.recordCall(call, { result: res.locals.result, durationMs });
+      }
+    });
+    next();
+  };
+}
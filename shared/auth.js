@@ -0,0 +1,102 @@
+// Inbound bearer-token authentication with scoped API keys.
+//
+// Keys come from API_KEYS_FILE (a JSON array of { name, key, scope }) or from
+// API_KEYS as comma-separated `name:scope:key` entries. Scopes are ordered, so
+// an operator key can do everything a read-only key can, and so on.
+
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+
+export const SCOPES = ['read-only', 'operator', 'elevated'];
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function validateKey(entry, source) {
+  if (!entry.name || !entry.key) {
+    throw new Error(`${source}: every API key needs a name and a key`);
+  }
+  if (!SCOPES.includes(entry.scope)) {
+    throw new Error(`${source}: API key "${entry.name}" has invalid scope "${entry.scope}" (expected ${SCOPES.join(', ')})`);
+  }
+  return { name: entry.name, scope: entry.scope, digest: digest(entry.key) };
+}
+
+export function loadApiKeys(env = process.env) {
+  const keys = [];
+
+  if (env.API_KEYS_FILE) {
+    const entries = JSON.parse(readFileSync(env.API_KEYS_FILE, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`${env.API_KEYS_FILE}: expected a JSON array of API keys`);
+    }
+    keys.push(...entries.map(entry => validateKey(entry, env.API_KEYS_FILE)));
+  }
+
+  if (env.API_KEYS) {
+    for (const item of env.API_KEYS.split(',').map(s => s.trim()).filter(Boolean)) {
+      const [name, scope, ...rest] = item.split(':');
+      keys.push(validateKey({ name, scope, key: rest.join(':') }, 'API_KEYS'));
+    }
+  }
+
+  return keys;
+}
+
+export function loadCorsOrigins(env = process.env) {
+  if (!env.CORS_ORIGINS || env.CORS_ORIGINS.trim() === '*') {
+    return '*';
+  }
+  return env.CORS_ORIGINS.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+export function hasScope(apiKey, required) {
+  return SCOPES.indexOf(apiKey.scope) >= SCOPES.indexOf(required);
+}
+
+// Look up the key presented in an `Authorization: Bearer ...` header.
+export function authenticate(keys, authorizationHeader) {
+  const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader || '');
+  if (!match) return null;
+
+  const presented = digest(match[1].trim());
+  // Compare against every key so timing doesn't reveal which one matched
+  let found = null;
+  for (const key of keys) {
+    if (crypto.timingSafeEqual(key.digest, presented) && !found) {
+      found = key;
+    }
+  }
+  return found ? { name: found.name, scope: found.scope } : null;
+}
+
+// Express middleware that sets req.apiKey or rejects the request. With no keys
+// configured authentication is disabled and every caller is treated as elevated.
+// `reject(req, res, status, message)` lets each server shape its own error body.
+export function requireApiKey(keys, reject) {
+  return (req, res, next) => {
+    if (keys.length === 0) {
+      req.apiKey = { name: 'anonymous', scope: 'elevated' };
+      return next();
+    }
+
+    const apiKey = authenticate(keys, req.headers.authorization);
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return reject(req, res, 401, 'Missing or invalid API key');
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+export function requireScope(scope, reject) {
+  return (req, res, next) => {
+    if (!req.apiKey || !hasScope(req.apiKey, scope)) {
+      return reject(req, res, 403, `API key "${req.apiKey?.name}" lacks the ${scope} scope`);
+    }
+    next();
+  };
+}
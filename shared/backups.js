@@ -0,0 +1,178 @@
+// Backups: on-demand vzdump, archive listing, scheduled jobs and restore.
+//
+// vzdump runs per node, so a backup of guests spread over several nodes
+// starts one task per node. Every start and restore returns task UPIDs that
+// the task tools can follow.
+
+import { formatBytes, formatTimestamp, guestTypeIcon } from './format.js';
+import { InvalidInputError, ProxmoxNotFoundError } from './errors.js';
+import { checkVmid } from './provisioning.js';
+
+export const BACKUP_MODES = ['snapshot', 'suspend', 'stop'];
+export const BACKUP_COMPRESSIONS = ['zstd', 'gzip', 'lzo', '0'];
+
+export function toVmidList(vmids) {
+  const list = Array.isArray(vmids) ? vmids : String(vmids ?? '').split(',');
+  return list.map(vmid => String(vmid).trim()).filter(Boolean);
+}
+
+// Guest type from an archive volid such as local:backup/vzdump-qemu-100-2024_01_01-00_00_00.vma.zst
+export function archiveGuestType(archive) {
+  const match = /vzdump-(qemu|lxc|openvz)-/.exec(archive || '');
+  if (!match) return null;
+  return match[1] === 'qemu' ? 'qemu' : 'lxc';
+}
+
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function startBackup(request, { node, vmids, storage, mode = 'snapshot', compress = 'zstd', notes } = {}) {
+  const list = toVmidList(vmids);
+  if (list.length === 0) {
+    throw new InvalidInputError('At least one vmid is required');
+  }
+  if (!BACKUP_MODES.includes(mode)) {
+    throw new InvalidInputError(`Unknown backup mode: ${mode} (expected ${BACKUP_MODES.join(', ')})`);
+  }
+  if (!BACKUP_COMPRESSIONS.includes(String(compress))) {
+    throw new InvalidInputError(`Unknown compression: ${compress} (expected ${BACKUP_COMPRESSIONS.join(', ')})`);
+  }
+
+  // Group guests by the node they live on unless the caller pinned one
+  const byNode = new Map();
+  if (node) {
+    byNode.set(node, list);
+  } else {
+    const guests = await request('/cluster/resources?type=vm');
+    for (const vmid of list) {
+      const guest = guests.find(g => String(g.vmid) === vmid);
+      if (!guest) {
+        throw new ProxmoxNotFoundError(`Guest ${vmid} not found in the cluster`);
+      }
+      if (!byNode.has(guest.node)) byNode.set(guest.node, []);
+      byNode.get(guest.node).push(vmid);
+    }
+  }
+
+  const jobs = [];
+  for (const [nodeName, nodeVmids] of byNode) {
+    const params = { vmid: nodeVmids.join(','), mode, compress: String(compress) };
+    if (storage) params.storage = storage;
+    if (notes) params['notes-template'] = notes;
+
+    const upid = await request(`/nodes/${nodeName}/vzdump`, 'POST', params);
+    jobs.push({ node: nodeName, vmids: nodeVmids, upid });
+  }
+
+  return { storage: storage || null, mode, compress: String(compress), jobs };
+}
+
+export async function listBackups(request, node, storage, { vmid } = {}) {
+  const query = vmid ? `&vmid=${encodeURIComponent(vmid)}` : '';
+  const archives = await request(`/nodes/${node}/storage/${storage}/content?content=backup${query}`);
+
+  archives.sort((a, b) => (b.ctime || 0) - (a.ctime || 0));
+  return { node, storage, archives };
+}
+
+export async function listBackupJobs(request) {
+  return request('/cluster/backup');
+}
+
+// Restore an archive to `vmid`. Restoring over an existing guest needs force.
+// The guest type a restore creates; throws unless the archive and target
+// VMID are valid, so plans and calls never describe an invalid restore
+export function checkRestore({ archive, vmid } = {}) {
+  const type = archiveGuestType(archive);
+  if (!type) {
+    throw new InvalidInputError(`Not a vzdump archive: ${archive}`);
+  }
+  checkVmid(vmid);
+  return type;
+}
+
+export async function restoreBackup(request, node, { archive, vmid, storage, force = false, start = false } = {}) {
+  const type = checkRestore({ archive, vmid });
+
+  const params = { vmid: String(vmid) };
+  if (type === 'qemu') {
+    params.archive = archive;
+  } else {
+    params.ostemplate = archive;
+    params.restore = 1;
+  }
+  if (storage) params.storage = storage;
+  if (force) params.force = 1;
+  if (start) params.start = 1;
+
+  const upid = await request(`/nodes/${node}/${type}`, 'POST', params);
+  return { node, vmid: String(vmid), type, archive, upid };
+}
+
+export function formatBackupStarted(result) {
+  let output = `💾 **Backup started** (mode: ${result.mode}, compression: ${result.compress})\n\n`;
+  if (result.storage) {
+    output += `• **Storage**: ${result.storage}\n\n`;
+  }
+
+  for (const job of result.jobs) {
+    output += `📋 **${job.node}**: ${job.vmids.join(', ')}\n`;
+    output += `   • Task UPID: \`${job.upid || 'N/A'}\`\n`;
+  }
+
+  output += '\nFollow progress with the task log or wait tools using the UPID above.\n';
+  return output;
+}
+
+export function formatBackupList({ node, storage, archives }) {
+  let output = `💾 **Backups on ${storage}** (${node})\n\n`;
+
+  if (archives.length === 0) {
+    return output + 'No backup archives found.\n';
+  }
+
+  for (const archive of archives) {
+    const type = archive.subtype || archiveGuestType(archive.volid);
+    output += `${guestTypeIcon(type)} **${archive.vmid ?? '?'}** — ${formatTimestamp(archive.ctime)}${archive.protected ? ' 🔒' : ''}\n`;
+    output += `   • Archive: \`${archive.volid}\`\n`;
+    output += `   • Size: ${formatBytes(archive.size)}\n`;
+    if (archive.notes) {
+      output += `   • Notes: ${archive.notes.trim().replace(/\s+/g, ' ')}\n`;
+    }
+  }
+
+  return output;
+}
+
+export function formatBackupJobs(jobs) {
+  let output = '🗓️  **Scheduled Backup Jobs**\n\n';
+
+  if (jobs.length === 0) {
+    return output + 'No backup jobs configured.\n';
+  }
+
+  for (const job of jobs) {
+    const guests = job.all ? `all${job.exclude ? ` except ${job.exclude}` : ''}` : job.vmid || (job.pool ? `pool ${job.pool}` : 'N/A');
+
+    output += `${job.enabled === 0 || job.enabled === '0' ? '⏸️' : '🟢'} **${job.id}**${job.comment ? ` — ${job.comment}` : ''}\n`;
+    output += `   • Schedule: ${job.schedule || [job.dow, job.starttime].filter(Boolean).join(' ') || 'N/A'}\n`;
+    output += `   • Guests: ${guests}\n`;
+    output += `   • Storage: ${job.storage || 'N/A'}\n`;
+    output += `   • Mode: ${job.mode || 'snapshot'}, compression: ${job.compress ?? 'none'}\n`;
+    if (job.node) {
+      output += `   • Node: ${job.node}\n`;
+    }
+    if (job['next-run']) {
+      output += `   • Next run: ${formatTimestamp(job['next-run'])}\n`;
+    }
+  }
+
+  return output;
+}
+
+export function formatRestoreStarted(result) {
+  let output = `♻️  ${guestTypeIcon(result.type)} **Restore started to ${result.type === 'qemu' ? 'VM' : 'container'} ${result.vmid}**\n\n`;
+  output += `• **Node**: ${result.node}\n`;
+  output += `• **Archive**: \`${result.archive}\`\n`;
+  output += `• **Task UPID**: \`${result.upid || 'N/A'}\`\n`;
+
+  return output;
+}
@@ -0,0 +1,242 @@
+// Named Proxmox clusters served from one process.
+//
+// PROXMOX_CLUSTERS_FILE is a JSON array of clusters, each with the same
+// settings as the PROXMOX_* environment variables in camelCase:
+//
+//   [{ "name": "production", "host": "pve1.example.com", "user": "api@pve",
+//      "tokenName": "mcp", "tokenValue": "...", "fingerprint": "AB:CD:..." }]
+//
+// Without the file the PROXMOX_* variables define a single cluster named
+// PROXMOX_CLUSTER_NAME ("default"). Requests pick a cluster by name, fall back
+// to the default cluster, or use "all" for an aggregated view on listings.
+
+import { readFileSync } from 'fs';
+import { ProxmoxClient } from './proxmox-client.js';
+import { ProxmoxService } from './proxmox-service.js';
+import { InvalidInputError } from './errors.js';
+
+export const ALL_CLUSTERS = 'all';
+
+// Cluster file keys and the environment variables they stand for
+const SETTINGS = {
+  host: 'PROXMOX_HOST',
+  port: 'PROXMOX_PORT',
+  user: 'PROXMOX_USER',
+  tokenName: 'PROXMOX_TOKEN_NAME',
+  tokenValue: 'PROXMOX_TOKEN_VALUE',
+  password: 'PROXMOX_PASSWORD',
+  realm: 'PROXMOX_REALM',
+  totpSecret: 'PROXMOX_TOTP_SECRET',
+  authMode: 'PROXMOX_AUTH_MODE',
+  verifySsl: 'PROXMOX_VERIFY_SSL',
+  caFile: 'PROXMOX_CA_FILE',
+  fingerprint: 'PROXMOX_FINGERPRINT',
+  requestTimeout: 'PROXMOX_REQUEST_TIMEOUT',
+  retries: 'PROXMOX_RETRIES',
+  breakerThreshold: 'PROXMOX_BREAKER_THRESHOLD',
+  breakerCooldown: 'PROXMOX_BREAKER_COOLDOWN'
+};
+
+// Settings a cluster file entry inherits from the environment when it omits them
+const INHERITED = ['PROXMOX_REQUEST_TIMEOUT', 'PROXMOX_RETRIES', 'PROXMOX_BREAKER_THRESHOLD', 'PROXMOX_BREAKER_COOLDOWN'];
+
+export class UnknownClusterError extends Error {
+  constructor(name, known) {
+    super(`Unknown cluster "${name}" (configured: ${known.join(', ')})`);
+    this.name = 'UnknownClusterError';
+    this.cluster = name;
+  }
+}
+
+function toEnv(entry) {
+  const env = {};
+  for (const [key, variable] of Object.entries(SETTINGS)) {
+    const value = entry[key];
+    if (value !== undefined && value !== null) {
+      env[variable] = Array.isArray(value) ? value.join(',') : String(value);
+    }
+  }
+  return env;
+}
+
+export function loadClusterConfigs(env = process.env) {
+  if (!env.PROXMOX_CLUSTERS_FILE) {
+    return [{ name: env.PROXMOX_CLUSTER_NAME || 'default', env }];
+  }
+
+  const entries = JSON.parse(readFileSync(env.PROXMOX_CLUSTERS_FILE, 'utf8'));
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${env.PROXMOX_CLUSTERS_FILE}: expected a non-empty JSON array of clusters`);
+  }
+
+  const seen = new Set();
+  return entries.map(entry => {
+    if (!entry.name || entry.name === ALL_CLUSTERS || !/^[\w.-]+$/.test(entry.name)) {
+      throw new Error(`${env.PROXMOX_CLUSTERS_FILE}: every cluster needs a name of letters, digits, ".", "-" or "_" (not "${ALL_CLUSTERS}")`);
+    }
+    if (seen.has(entry.name)) {
+      throw new Error(`${env.PROXMOX_CLUSTERS_FILE}: duplicate cluster name "${entry.name}"`);
+    }
+    seen.add(entry.name);
+    const inherited = Object.fromEntries(INHERITED.filter(name => env[name] !== undefined).map(name => [name, env[name]]));
+    return { name: entry.name, env: { ...inherited, ...toEnv(entry) }, allowElevated: entry.allowElevated };
+  });
+}
+
+export class ClusterRegistry {
+  // `options` are the ProxmoxService defaults; a cluster's allowElevated overrides them
+  constructor(configs, options = {}, defaultName = null) {
+    this.clusters = new Map();
+    for (const config of configs) {
+      const client = ProxmoxClient.fromEnv(config.env);
+      const service = new ProxmoxService(client, {
+        ...options,
+        name: config.name,
+        allowElevated: config.allowElevated ?? options.allowElevated
+      });
+      this.clusters.set(config.name, { name: config.name, client, service });
+    }
+
+    this.defaultName = defaultName || configs[0].name;
+    if (!this.clusters.has(this.defaultName)) {
+      throw new UnknownClusterError(this.defaultName, this.names());
+    }
+  }
+
+  static fromEnv(env = process.env, options = {}) {
+    return new ClusterRegistry(loadClusterConfigs(env), options, env.PROXMOX_DEFAULT_CLUSTER);
+  }
+
+  names() {
+    return [...this.clusters.keys()];
+  }
+
+  get default() {
+    return this.clusters.get(this.defaultName);
+  }
+
+  get size() {
+    return this.clusters.size;
+  }
+
+  has(name) {
+    return !name || name === ALL_CLUSTERS || this.clusters.has(name);
+  }
+
+  get(name) {
+    if (!name) return this.default;
+    const cluster = this.clusters.get(name);
+    if (!cluster) {
+      throw new UnknownClusterError(name, this.names());
+    }
+    return cluster;
+  }
+
+  // Connection settings of every cluster, for startup logs and /health
+  summary() {
+    return [...this.clusters.values()].map(({ name, client }) => ({
+      name,
+      address: client.address,
+      auth: client.authMode,
+      tls: client.tlsMode
+    }));
+  }
+
+  // Missing settings per cluster, e.g. { production: ['PROXMOX_TOKEN_VALUE'] }
+  missingSettings() {
+    const missing = {};
+    for (const { name, client } of this.clusters.values()) {
+      const names = client.missingSettings();
+      if (names.length > 0) missing[name] = names;
+    }
+    return missing;
+  }
+
+  // Call fn(service, cluster) on the named cluster, or on every cluster when
+  // `cluster` is "all" and the operation supports aggregation. Results are
+  // labelled with the cluster name under `cluster`, so services must not
+  // return a field of that name.
+  async run(name, fn, { aggregate = false } = {}) {
+    if (name === ALL_CLUSTERS) {
+      if (!aggregate) {
+        throw new InvalidInputError(`cluster "${ALL_CLUSTERS}" is only supported for listings; name a single cluster`, {
+          fields: { cluster: `one of ${this.names().join(', ')}` }
+        });
+      }
+      return this.aggregate(fn);
+    }
+
+    const cluster = this.get(name);
+    const result = await fn(cluster.service, cluster);
+    return { ...result, cluster: cluster.name };
+  }
+
+  // Results from every cluster, each section labelled with its cluster.
+  // Unreachable clusters are reported instead of failing the whole view.
+  async aggregate(fn) {
+    const settled = await Promise.all([...this.clusters.values()].map(async cluster => {
+      try {
+        return { cluster, result: await fn(cluster.service, cluster) };
+      } catch (error) {
+        return { cluster, error };
+      }
+    }));
+
+    let output = '';
+    const results = [];
+    const failedClusters = [];
+    for (const { cluster, result, error } of settled) {
+      output += `🏢 **Cluster: ${cluster.name}** (${cluster.client.address})\n\n`;
+      if (error) {
+        output += `❌ Unavailable: ${error.message}\n\n`;
+        failedClusters.push({ cluster: cluster.name, error: error.message, ...(error.type ? { type: error.type } : {}) });
+      } else {
+        output += result.content.map(item => item.text).join('\n') + '\n';
+        const { content, ...data } = result;
+        results.push({ cluster: cluster.name, ...data });
+      }
+    }
+
+    return {
+      content: [{ type: 'text', text: output }],
+      clusters: results,
+      failedClusters,
+      ...(failedClusters.length === settled.length ? { isError: true } : {})
+    };
+  }
+
+  // Name, address and reachability of every cluster
+  async describe() {
+    const clusters = await Promise.all(this.summary().map(async (info) => {
+      const { client } = this.clusters.get(info.name);
+      info.default = info.name === this.defaultName;
+      // Nodes the circuit breaker currently skips
+      info.openCircuits = client.breaker.openCircuits();
+      try {
+        const version = await client.request('/version');
+        return { ...info, reachable: true, version: version?.version || null };
+      } catch (error) {
+        return { ...info, reachable: false, error: error.message };
+      }
+    }));
+
+    let output = '🏢 **Proxmox Clusters**\n\n';
+    for (const cluster of clusters) {
+      output += `${cluster.reachable ? '🟢' : '🔴'} **${cluster.name}**${cluster.default ? ' (default)' : ''}\n`;
+      output += `   • Address: ${cluster.address}\n`;
+      output += `   • Auth: ${cluster.auth}, TLS: ${cluster.tls}\n`;
+      output += cluster.reachable
+        ? `   • Version: ${cluster.version || 'N/A'}\n`
+        : `   • Error: ${cluster.error}\n`;
+      for (const circuit of cluster.openCircuits) {
+        output += `   • ⚠️ Node ${circuit.node} skipped until ${circuit.retryAt.replace('T', ' ').replace(/\.\d+Z$/, 'Z')} after ${circuit.failures} failed calls (${circuit.lastError})\n`;
+      }
+      output += '\n';
+    }
+
+    return {
+      content: [{ type: 'text', text: output }],
+      clusters
+    };
+  }
+}
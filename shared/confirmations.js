@@ -0,0 +1,140 @@
+// Two-phase confirmation for destructive operations.
+//
+// An action listed in CONFIRM_ACTIONS does not run on its first call. The
+// call returns a plan instead: what would happen to which guest, with the
+// guest's current state, and a token valid for CONFIRM_TOKEN_TTL seconds.
+// Only a second call with the same arguments plus `confirmationToken` runs
+// the action. Tokens are single-use and bound to the API key that asked for
+// the plan, the action and its arguments, so a token cannot confirm anything
+// else. Both calls go to the audit log, as "proposed" and as the real run.
+
+import crypto from 'crypto';
+import { formatUptime } from './format.js';
+import { ConfirmationError } from './errors.js';
+
+export const DEFAULT_CONFIRM_TTL = 300;
+
+// Actions that can require confirmation, with what confirming them means.
+// `applies(target)` limits it to the dangerous variant, e.g. overwriting restores.
+export const CONFIRMABLE_ACTIONS = {
+  stop: { title: 'Stop', effect: 'The guest is powered off immediately, like pulling the plug; unsaved data inside it is lost' },
+  shutdown: { title: 'Shut down', effect: 'The guest is asked to shut down and stops running' },
+  reboot: { title: 'Reboot', effect: 'The guest restarts; its services are briefly unavailable' },
+  suspend: { title: 'Suspend', effect: 'The guest is paused and stops serving until resumed' },
+  rollback: { title: 'Roll back', effect: 'The guest returns to the snapshot; every change made since it was taken is lost' },
+  delete_snapshot: { title: 'Delete snapshot of', effect: 'The snapshot is removed and can no longer be rolled back to' },
+  destroy: { title: 'Destroy', effect: 'The guest and its disks are deleted permanently' },
+  restore: {
+    title: 'Restore over',
+    effect: 'The existing guest and its disks are replaced by the archive contents',
+    applies: target => Boolean(target.force)
+  },
+  exec: { title: 'Run a command in', effect: 'The command runs inside the guest as the guest agent user (usually root)' }
+};
+
+export const DEFAULT_CONFIRM_ACTIONS = ['stop', 'rollback', 'destroy', 'restore', 'exec'];
+
+export function loadConfirmConfig(env = process.env) {
+  const value = (env.CONFIRM_ACTIONS ?? DEFAULT_CONFIRM_ACTIONS.join(',')).trim();
+  const actions = value === 'all' ? Object.keys(CONFIRMABLE_ACTIONS)
+    : value === 'none' ? []
+      : value.split(',').map(action => action.trim()).filter(Boolean);
+
+  const unknown = actions.filter(action => !CONFIRMABLE_ACTIONS[action]);
+  if (unknown.length > 0) {
+    throw new Error(`CONFIRM_ACTIONS: unknown action ${unknown.join(', ')} (expected ${Object.keys(CONFIRMABLE_ACTIONS).join(', ')}, all or none)`);
+  }
+
+  return {
+    actions,
+    ttlSeconds: parseInt(env.CONFIRM_TOKEN_TTL || DEFAULT_CONFIRM_TTL, 10)
+  };
+}
+
+// Stable digest of an action's arguments; key order doesn't matter
+function fingerprint(value) {
+  const canonical = (item) => {
+    if (Array.isArray(item)) return item.map(canonical);
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.keys(item).sort()
+        .filter(key => item[key] !== undefined)
+        .map(key => [key, canonical(item[key])]));
+    }
+    return item;
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(value))).digest('hex');
+}
+
+export class ConfirmationStore {
+  constructor({ actions = DEFAULT_CONFIRM_ACTIONS, ttlSeconds = DEFAULT_CONFIRM_TTL } = {}) {
+    this.actions = actions;
+    this.ttlSeconds = ttlSeconds;
+    this.plans = new Map();
+  }
+
+  requires(action, target) {
+    const definition = CONFIRMABLE_ACTIONS[action];
+    return this.actions.includes(action) && (!definition.applies || definition.applies(target));
+  }
+
+  // A new plan for `target` (the action's arguments), with its token
+  propose(action, target, { actor = null, guest = null, details = [] } = {}) {
+    this.prune();
+    const createdAt = Date.now();
+    const plan = {
+      id: crypto.randomUUID(),
+      token: crypto.randomBytes(16).toString('hex'),
+      action,
+      actor,
+      node: target.node,
+      vmid: String(target.vmid),
+      guest,
+      effect: CONFIRMABLE_ACTIONS[action].effect,
+      details,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: new Date(createdAt + this.ttlSeconds * 1000).toISOString()
+    };
+    this.plans.set(plan.token, { plan, digest: fingerprint(target), expires: createdAt + this.ttlSeconds * 1000 });
+    return plan;
+  }
+
+  // The plan a token confirms; throws unless it matches exactly and is unused
+  redeem(token, action, target, { actor = null } = {}) {
+    this.prune();
+    const entry = this.plans.get(token);
+    if (!entry) {
+      throw new ConfirmationError('Confirmation token is unknown, expired or already used; call again without it for a new plan');
+    }
+    if (entry.plan.action !== action || entry.plan.actor !== actor || entry.digest !== fingerprint(target)) {
+      throw new ConfirmationError(`Confirmation token was issued for a different call (${entry.plan.action} of ${entry.plan.vmid}); repeat the planned call with the same arguments`);
+    }
+
+    this.plans.delete(token);
+    return entry.plan;
+  }
+
+  prune(now = Date.now()) {
+    for (const [token, entry] of this.plans) {
+      if (entry.expires <= now) this.plans.delete(token);
+    }
+  }
+}
+
+export function formatPlan(plan) {
+  const definition = CONFIRMABLE_ACTIONS[plan.action];
+  const guest = plan.guest;
+  const name = guest?.name ? ` (${guest.name})` : '';
+
+  let output = `✋ **Confirmation required: ${definition.title} ${plan.vmid}${name}**\n\nNothing has been done yet.\n\n`;
+  output += `• **Node**: ${plan.node}\n`;
+  if (guest) {
+    const uptime = guest.status === 'running' && guest.uptime ? `, up ${formatUptime(guest.uptime)}` : '';
+    output += `• **Current state**: ${guest.status}${uptime}\n`;
+  }
+  for (const detail of plan.details) {
+    output += `• ${detail}\n`;
+  }
+  output += `• **Effect**: ${plan.effect}\n\n`;
+  output += `To go ahead, repeat the same call with \`confirmationToken\` set to \`${plan.token}\` before ${plan.expiresAt.replace('T', ' ').replace(/\.\d+Z$/, 'Z')}. The token works once.\n`;
+  return output;
+}
@@ -0,0 +1,245 @@
+// Typed errors for failed Proxmox API calls.
+//
+// ProxmoxClient turns every failed call into one of these, keeping the
+// message and per-parameter `errors` Proxmox sends in the response body.
+// Each type carries the HTTP status the REST API answers with, the JSON-RPC
+// error code MCP uses outside tool calls, and a hint on what to do next:
+//
+//   type         cause                                        HTTP  JSON-RPC
+//   auth         Proxmox rejected the server's credentials     502   -32010
+//   permission   the Proxmox user or token lacks a privilege   403   -32003
+//   not_found    the node, guest or object doesn't exist       404   -32004
+//   validation   Proxmox rejected parameters (with fields)     400   -32602
+//   unreachable  the node can't be reached (595, refused)      503   -32011
+//   timeout      no answer in time (596, socket timeout)       504   -32012
+//   proxmox      any other API error                           502   -32013
+//   confirmation a confirmation token that doesn't fit the call   409   -32014
+//
+// Auth failures are a 502, not a 401: the caller's API key was fine, it is
+// this server's Proxmox credentials that were refused. Arguments the server
+// rejects itself, before calling Proxmox, are an InvalidInputError: a
+// validation error without a Proxmox status.
+
+export class ProxmoxError extends Error {
+  constructor(message, { status = null, method = null, endpoint = null, hint = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.hint = hint || this.defaultHint();
+  }
+
+  get type() { return 'proxmox'; }
+  get title() { return 'Proxmox API error'; }
+  get httpStatus() { return 502; }
+  get rpcCode() { return -32013; }
+
+  defaultHint() {
+    return 'Proxmox could not carry out the request; its message above and the node\'s syslog (journalctl -u pvedaemon) say why.';
+  }
+
+  // Type-specific fields for responses
+  details() {
+    return {};
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      message: this.message,
+      proxmoxStatus: this.status,
+      ...this.details(),
+      hint: this.hint
+    };
+  }
+}
+
+export class ProxmoxAuthError extends ProxmoxError {
+  get type() { return 'auth'; }
+  get title() { return 'Proxmox authentication failed'; }
+  get rpcCode() { return -32010; }
+
+  defaultHint() {
+    return 'Check the server\'s Proxmox credentials: PROXMOX_USER with PROXMOX_TOKEN_NAME and PROXMOX_TOKEN_VALUE, or PROXMOX_PASSWORD. The token may have expired or been removed.';
+  }
+}
+
+export class ProxmoxPermissionError extends ProxmoxError {
+  // Proxmox names the ACL path and privilege: "Permission check failed (/vms/100, VM.PowerMgmt)"
+  constructor(message, options = {}) {
+    const match = /\((\/[^,)]*),\s*([^)]+)\)/.exec(message);
+    super(message, {
+      ...options,
+      hint: options.hint || (match
+        ? `Grant ${options.principal || 'the configured Proxmox user'} a role with ${match[2]} on ${match[1]} (Datacenter → Permissions). API tokens with privilege separation need their own permissions.`
+        : null)
+    });
+    this.path = match ? match[1] : null;
+    this.privilege = match ? match[2] : null;
+  }
+
+  get type() { return 'permission'; }
+  get title() { return 'Permission denied by Proxmox'; }
+  get httpStatus() { return 403; }
+  get rpcCode() { return -32003; }
+
+  defaultHint() {
+    return 'The configured Proxmox user or API token lacks a privilege for this call; check its roles under Datacenter → Permissions.';
+  }
+
+  details() {
+    return { path: this.path, privilege: this.privilege };
+  }
+}
+
+export class ProxmoxNotFoundError extends ProxmoxError {
+  get type() { return 'not_found'; }
+  get title() { return 'Not found'; }
+  get httpStatus() { return 404; }
+  get rpcCode() { return -32004; }
+
+  defaultHint() {
+    return 'Check the node name, VMID or object name; list them with GET /api/nodes and GET /api/vms (proxmox_get_nodes, proxmox_get_vms).';
+  }
+}
+
+export class ProxmoxValidationError extends ProxmoxError {
+  constructor(message, { fields = {}, ...options } = {}) {
+    super(message, options);
+    this.fields = fields;
+  }
+
+  get type() { return 'validation'; }
+  get title() { return 'Invalid parameters'; }
+  get httpStatus() { return 400; }
+  get rpcCode() { return -32602; }
+
+  defaultHint() {
+    return 'Proxmox rejected the listed parameters; correct them and try again.';
+  }
+
+  details() {
+    return { fields: this.fields };
+  }
+}
+
+export class InvalidInputError extends ProxmoxValidationError {
+  defaultHint() {
+    return 'Correct the arguments and try again.';
+  }
+}
+
+export class ProxmoxUnreachableError extends ProxmoxError {
+  get type() { return 'unreachable'; }
+  get title() { return 'Node unreachable'; }
+  get httpStatus() { return 503; }
+  get rpcCode() { return -32011; }
+
+  defaultHint() {
+    return 'The node is offline or cannot be reached. Check that it is up, that pveproxy runs on it, and the cluster state (pvecm status).';
+  }
+}
+
+export class ProxmoxTimeoutError extends ProxmoxError {
+  get type() { return 'timeout'; }
+  get title() { return 'Proxmox timed out'; }
+  get httpStatus() { return 504; }
+  get rpcCode() { return -32012; }
+
+  defaultHint() {
+    return 'Proxmox did not answer in time; the node may be overloaded. A mutating call may still have gone through, so check its tasks (GET /api/tasks) before retrying.';
+  }
+}
+
+// Raised by the server itself, not Proxmox: the token is unknown, expired,
+// already used or was issued for another call
+export class ConfirmationError extends ProxmoxError {
+  get type() { return 'confirmation'; }
+  get title() { return 'Confirmation token rejected'; }
+  get httpStatus() { return 409; }
+  get rpcCode() { return -32014; }
+
+  defaultHint() {
+    return 'Call again without confirmationToken to get a new plan and token, then repeat the call with the same arguments and that token.';
+  }
+}
+
+const NOT_FOUND_MESSAGES = /does not exist|not found|no such|unable to find|hostname lookup .* failed/i;
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Proxmox's message and per-parameter errors from a response body, which is
+// JSON ({ data, message, errors }) or, for proxied failures, plain text
+function parseBody(text) {
+  try {
+    const body = JSON.parse(text);
+    return { message: typeof body.message === 'string' ? body.message.trim() : null, fields: body.errors || null };
+  } catch {
+    return { message: text && text.length < 500 ? text.trim() : null, fields: null };
+  }
+}
+
+// The error for a non-2xx response. `principal` names the Proxmox user or
+// token in hints.
+export function errorFromResponse({ status, statusText, body, method, endpoint, principal }) {
+  const parsed = parseBody(body);
+  // Proxmox puts the reason in the status line; the body repeats or extends it
+  let text = parsed.message || statusText || `HTTP ${status}`;
+  if (parsed.fields && Object.keys(parsed.fields).length > 0) {
+    text += ` ${Object.entries(parsed.fields).map(([field, reason]) => `${field}: ${String(reason).trim()}`).join('; ')}`;
+  }
+  const options = { status, method, endpoint, principal };
+  const message = `${text} (${method} ${endpoint} returned ${status})`;
+
+  if (status === 401) return new ProxmoxAuthError(message, options);
+  if (status === 403) return new ProxmoxPermissionError(message, options);
+  if (status === 400) return new ProxmoxValidationError(message, { ...options, fields: parsed.fields || {} });
+  if (status === 595) return new ProxmoxUnreachableError(message, options);
+  if (status === 596) return new ProxmoxTimeoutError(message, options);
+  if (status === 404 || status === 501 || NOT_FOUND_MESSAGES.test(text)) return new ProxmoxNotFoundError(message, options);
+  return new ProxmoxError(message, options);
+}
+
+// The error for a request that got no response at all; `address` is host:port.
+// Anything that isn't a connection failure or timeout (e.g. TLS verification)
+// is returned unchanged.
+export function errorFromNetwork(error, { method, endpoint, address, timeoutSeconds }) {
+  const code = error.code || error.cause?.code;
+  const options = { method, endpoint, cause: error };
+  // An abort is the request timeout firing
+  if (error.name === 'AbortError') {
+    return new ProxmoxTimeoutError(`No answer from Proxmox at ${address} within ${timeoutSeconds}s (${method} ${endpoint})`, options);
+  }
+  if (error.type === 'request-timeout' || TIMEOUT_CODES.includes(code)) {
+    return new ProxmoxTimeoutError(`No answer from Proxmox at ${address} (${method} ${endpoint}): ${error.message}`, options);
+  }
+  if (UNREACHABLE_CODES.includes(code)) {
+    return new ProxmoxUnreachableError(`Cannot reach Proxmox at ${address} (${method} ${endpoint}): ${code}`, {
+      ...options,
+      hint: `Check that ${address} is up and that PROXMOX_HOST and PROXMOX_PORT point at it; pveproxy listens on 8006.`
+    });
+  }
+  return error;
+}
+
+export function httpStatusOf(error) {
+  return error instanceof ProxmoxError ? error.httpStatus : 500;
+}
+
+// Markdown description of a failure for MCP tool results
+export function formatError(error) {
+  if (!(error instanceof ProxmoxError)) {
+    return `❌ **Error**\n\n${error.message}\n`;
+  }
+
+  let output = `❌ **${error.title}**\n\n**Error**: ${error.message}\n`;
+  if (error.privilege) {
+    output += `• **Missing privilege**: ${error.privilege} on ${error.path}\n`;
+  }
+  for (const [field, reason] of Object.entries(error.fields || {})) {
+    output += `• **${field}**: ${String(reason).trim()}\n`;
+  }
+  output += `\n💡 ${error.hint}\n`;
+  return output;
+}
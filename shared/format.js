@@ -0,0 +1,63 @@
+// Formatting helpers shared by both servers' text output.
+
+export function formatUptime(seconds) {
+  if (!seconds) return 'N/A';
+
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) {
+    return `${days}d ${hours}h ${minutes}m`;
+  } else if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  } else {
+    return `${minutes}m`;
+  }
+}
+
+export function formatBytes(bytes) {
+  if (bytes === undefined || bytes === null || Number.isNaN(bytes)) return 'N/A';
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+export function formatPercent(used, total) {
+  return total ? `${((used / total) * 100).toFixed(1)}%` : 'N/A';
+}
+
+// "used / total (percent)" or N/A when either side is missing
+export function formatUsage(used, total) {
+  return used !== undefined && used !== null && total
+    ? `${formatBytes(used)} / ${formatBytes(total)} (${formatPercent(used, total)})`
+    : 'N/A';
+}
+
+export function formatTimestamp(epochSeconds) {
+  return epochSeconds
+    ? new Date(epochSeconds * 1000).toISOString().replace('T', ' ').replace(/\.\d+Z$/, 'Z')
+    : 'N/A';
+}
+
+// Section naming the nodes a listing has no or only stale data for;
+// `warnings` are { node, type, error } as built by inventory.js
+export function formatWarnings(warnings) {
+  if (!warnings || warnings.length === 0) return '';
+
+  let output = `⚠️  **Partial result**: incomplete data from ${warnings.length === 1 ? '1 node' : `${warnings.length} nodes`}\n`;
+  for (const warning of warnings) {
+    output += `   • ${warning.node}: ${warning.error}\n`;
+  }
+  return output;
+}
+
+export function guestStatusIcon(status) {
+  return status === 'running' ? '🟢' : status === 'stopped' ? '🔴' : '🟡';
+}
+
+export function guestTypeIcon(type) {
+  return type === 'qemu' ? '🖥️' : '📦';
+}
@@ -0,0 +1,370 @@
+// Guest configuration: a normalized read view and targeted changes.
+//
+// /config holds the settings the guest will boot with and /pending lists the
+// ones written but not yet active. Changes go through PUT /config (CPU,
+// memory, NICs, tags, description) and PUT /resize (disks). Every change is
+// reported as a before/after pair with whether it waits for a reboot: for a
+// dry run that is estimated from the guest's hotplug settings, after applying
+// it is read back from /pending.
+
+import { guestTypeIcon } from './format.js';
+import { InvalidInputError } from './errors.js';
+
+const QEMU_DISK = /^(scsi|virtio|sata|ide|efidisk|tpmstate|unused)\d+$/;
+const LXC_DISK = /^(rootfs|mp\d+|unused\d+)$/;
+const NIC = /^net(\d+)$/;
+const NIC_MODELS = ['virtio', 'e1000', 'e1000e', 'rtl8139', 'vmxnet3'];
+const DEFAULT_HOTPLUG = ['network', 'disk', 'usb'];
+const SIZE = /^(\+)?(\d+(?:\.\d+)?)([KMGT])?$/i;
+const UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+function configPath(node, vmid, type) {
+  if (type !== 'qemu' && type !== 'lxc') {
+    throw new InvalidInputError(`Unknown guest type: ${type}`);
+  }
+  return `/nodes/${node}/${type}/${vmid}`;
+}
+
+// "local-lvm:vm-100-disk-0,size=32G" -> { [firstKey]: 'local-lvm:vm-100-disk-0', size: '32G' }
+function parseProperties(value, firstKey) {
+  const properties = {};
+  String(value).split(',').forEach((part, i) => {
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      if (i === 0) properties[firstKey] = part;
+      return;
+    }
+    properties[part.slice(0, eq)] = part.slice(eq + 1);
+  });
+  return properties;
+}
+
+function sizeInBytes(size) {
+  const match = SIZE.exec(String(size || ''));
+  if (!match) return null;
+  return Number(match[2]) * (match[3] ? UNITS[match[3].toUpperCase()] : 1);
+}
+
+// Bytes in Proxmox notation, e.g. 42G or 1.5T
+function formatSize(bytes) {
+  const unit = ['T', 'G', 'M', 'K'].find(candidate => bytes >= UNITS[candidate]);
+  return unit ? `${Number((bytes / UNITS[unit]).toFixed(1))}${unit}` : String(bytes);
+}
+
+function splitTags(tags) {
+  if (Array.isArray(tags)) return tags.map(String).map(tag => tag.trim()).filter(Boolean);
+  return String(tags || '').split(/[;,\s]+/).filter(Boolean);
+}
+
+function parseDisk(key, value, type) {
+  const properties = parseProperties(value, 'volume');
+  const [storage] = (properties.volume || '').split(':');
+  return {
+    key,
+    volume: properties.volume || null,
+    storage: storage || null,
+    size: properties.size || null,
+    media: properties.media || (type === 'lxc' ? null : 'disk')
+  };
+}
+
+function parseNic(key, value, type) {
+  if (type === 'lxc') {
+    const properties = parseProperties(value, 'name');
+    return {
+      key,
+      name: properties.name || null,
+      model: 'veth',
+      mac: properties.hwaddr || null,
+      bridge: properties.bridge || null,
+      vlan: properties.tag || null,
+      firewall: properties.firewall === '1',
+      ip: properties.ip || null
+    };
+  }
+
+  const properties = parseProperties(value, 'model');
+  const model = NIC_MODELS.find(name => properties[name] !== undefined) || properties.model || null;
+  return {
+    key,
+    name: null,
+    model,
+    mac: model ? properties[model] || null : null,
+    bridge: properties.bridge || null,
+    vlan: properties.tag || null,
+    firewall: properties.firewall === '1',
+    ip: null
+  };
+}
+
+const byIndex = (a, b) => a.key.localeCompare(b.key, undefined, { numeric: true });
+
+export function normalizeConfig(config, type) {
+  const disks = Object.entries(config)
+    .filter(([key]) => (type === 'lxc' ? LXC_DISK : QEMU_DISK).test(key))
+    .map(([key, value]) => parseDisk(key, value, type))
+    .sort(byIndex);
+  const nics = Object.entries(config)
+    .filter(([key]) => NIC.test(key))
+    .map(([key, value]) => parseNic(key, value, type))
+    .sort(byIndex);
+
+  const bootOrder = type === 'qemu' && config.boot?.startsWith('order=')
+    ? config.boot.slice('order='.length).split(';')
+    : [];
+
+  return {
+    name: config.name || config.hostname || null,
+    cpu: {
+      cores: Number(config.cores || 1),
+      sockets: type === 'qemu' ? Number(config.sockets || 1) : null,
+      type: config.cpu || null,
+      limit: config.cpulimit ? Number(config.cpulimit) : null
+    },
+    memory: {
+      size: Number(config.memory || 512),
+      balloon: type === 'qemu' && config.balloon !== undefined ? Number(config.balloon) : null,
+      swap: type === 'lxc' ? Number(config.swap ?? 512) : null
+    },
+    disks,
+    nics,
+    boot: {
+      order: bootOrder,
+      onboot: config.onboot === 1 || config.onboot === '1'
+    },
+    tags: splitTags(config.tags),
+    description: config.description || ''
+  };
+}
+
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function getGuestConfig(request, node, vmid, type) {
+  const path = configPath(node, vmid, type);
+  const [config, pending, status] = await Promise.all([
+    request(`${path}/config`),
+    request(`${path}/pending`),
+    request(`${path}/status/current`)
+  ]);
+
+  return {
+    node,
+    vmid: String(vmid),
+    type,
+    status: status.status,
+    config: normalizeConfig(config, type),
+    raw: config,
+    pending: pending.filter(item => item.pending !== undefined || item.delete)
+  };
+}
+
+function hotplugOptions(config) {
+  if (config.hotplug === undefined) return DEFAULT_HOTPLUG;
+  if (config.hotplug === '0' || config.hotplug === 0) return [];
+  if (config.hotplug === '1' || config.hotplug === 1) return DEFAULT_HOTPLUG;
+  return String(config.hotplug).split(',');
+}
+
+// Whether a running guest only picks up a change of `setting` after a reboot
+function estimateReboot(setting, type, raw) {
+  if (type === 'lxc' || ['tags', 'description', 'balloon'].includes(setting) || setting.startsWith('disk:')) {
+    return false;
+  }
+  const hotplug = hotplugOptions(raw);
+  if (setting === 'cores' || setting === 'sockets') return !hotplug.includes('cpu');
+  if (setting === 'memory') return !hotplug.includes('memory');
+  if (NIC.test(setting)) return !hotplug.includes('network');
+  return true;
+}
+
+function nicValue(index, { model = 'virtio', bridge = 'vmbr0', vlan, firewall, ip = 'dhcp' } = {}, type) {
+  const parts = type === 'lxc'
+    ? [`name=eth${index}`, `bridge=${bridge}`, `ip=${ip}`]
+    : [model, `bridge=${bridge}`];
+  if (vlan) parts.push(`tag=${vlan}`);
+  if (firewall) parts.push('firewall=1');
+  return parts.join(',');
+}
+
+function newDiskSize(disk, size) {
+  const match = SIZE.exec(String(size));
+  if (!match) {
+    throw new InvalidInputError(`Invalid size for ${disk.key}: ${size} (expected e.g. +10G or 64G)`);
+  }
+  const current = sizeInBytes(disk.size);
+  const requested = Number(match[2]) * (match[3] ? UNITS[match[3].toUpperCase()] : 1);
+  const target = match[1] ? current + requested : requested;
+  if (!(target > current)) {
+    throw new InvalidInputError(`${disk.key} is ${disk.size}; disks can only grow`);
+  }
+  return target;
+}
+
+// Config parameters, resizes and the before/after of each change
+function planChanges(current, type, changes) {
+  const { raw, config } = current;
+  const params = {};
+  const remove = [];
+  const resizes = [];
+  const diff = [];
+  const change = (setting, before, after) => {
+    if (String(before ?? '') !== String(after ?? '')) diff.push({ setting, before: before || before === 0 ? before : null, after: after || after === 0 ? after : null });
+  };
+
+  for (const setting of ['cores', 'sockets', 'memory', 'balloon']) {
+    if (changes[setting] === undefined || changes[setting] === null) continue;
+    if (type === 'lxc' && (setting === 'sockets' || setting === 'balloon')) {
+      throw new InvalidInputError(`${setting} only applies to QEMU VMs`);
+    }
+    const value = parseInt(changes[setting], 10);
+    if (!Number.isInteger(value) || value < 0 || (value === 0 && setting !== 'balloon')) {
+      throw new InvalidInputError(`Invalid ${setting}: ${changes[setting]}`);
+    }
+    const before = setting === 'cores' || setting === 'sockets' ? config.cpu[setting] : config.memory[setting === 'memory' ? 'size' : 'balloon'];
+    params[setting] = value;
+    change(setting, before, value);
+  }
+
+  if (changes.tags !== undefined || changes.addTags || changes.removeTags) {
+    const base = changes.tags !== undefined ? splitTags(changes.tags) : config.tags;
+    const removed = new Set(splitTags(changes.removeTags));
+    const tags = [...new Set([...base, ...splitTags(changes.addTags)])].filter(tag => !removed.has(tag));
+    params.tags = tags.join(';');
+    change('tags', config.tags.join(';'), params.tags);
+  }
+
+  if (changes.description !== undefined && changes.description !== null) {
+    params.description = changes.description;
+    change('description', config.description, changes.description);
+  }
+
+  const used = new Set(config.nics.map(nic => nic.key));
+  for (const key of changes.removeNics || []) {
+    if (!used.has(key)) {
+      throw new InvalidInputError(`No network device ${key} (has ${[...used].join(', ') || 'none'})`);
+    }
+    used.delete(key);
+    remove.push(key);
+    change(key, raw[key], null);
+  }
+  for (const nic of changes.addNics || []) {
+    let index = 0;
+    // Keys removed in the same change are not reused
+    while (used.has(`net${index}`) || raw[`net${index}`] !== undefined) index++;
+    const key = `net${index}`;
+    used.add(key);
+    params[key] = nicValue(index, nic, type);
+    change(key, null, params[key]);
+  }
+
+  for (const { disk: key, size } of changes.resizeDisks || []) {
+    const disk = config.disks.find(candidate => candidate.key === key);
+    if (!disk || disk.media === 'cdrom' || key.startsWith('unused')) {
+      throw new InvalidInputError(`No resizable disk ${key} (has ${config.disks.filter(d => d.media !== 'cdrom').map(d => d.key).join(', ') || 'none'})`);
+    }
+    const target = newDiskSize(disk, size);
+    resizes.push({ disk: key, size: String(size) });
+    change(`disk:${key}`, disk.size, formatSize(target));
+  }
+
+  if (remove.length) params.delete = remove.join(',');
+  return { params, resizes, diff };
+}
+
+export async function updateGuestConfig(request, node, vmid, type, changes = {}, { dryRun = false } = {}) {
+  const current = await getGuestConfig(request, node, vmid, type);
+  const { params, resizes, diff } = planChanges(current, type, changes);
+  if (diff.length === 0) {
+    throw new InvalidInputError('No changes requested (or every requested value is already set)');
+  }
+
+  const running = current.status === 'running';
+  const result = { node, vmid: String(vmid), type, status: current.status, dryRun, diff, upids: [] };
+
+  if (dryRun) {
+    for (const item of diff) item.reboot = running && estimateReboot(item.setting, type, current.raw);
+    return result;
+  }
+
+  const path = configPath(node, vmid, type);
+  if (Object.keys(params).length) {
+    await request(`${path}/config`, 'PUT', params);
+  }
+  for (const resize of resizes) {
+    const upid = await request(`${path}/resize`, 'PUT', resize);
+    if (typeof upid === 'string' && upid.startsWith('UPID:')) result.upids.push(upid);
+  }
+
+  // What is still pending only takes effect after a reboot
+  const pending = running ? await request(`${path}/pending`) : [];
+  const waiting = new Set(pending.filter(item => item.pending !== undefined || item.delete).map(item => item.key));
+  for (const item of diff) {
+    item.reboot = waiting.has(item.setting);
+  }
+  return result;
+}
+
+export function formatGuestConfig({ node, vmid, type, status, config, pending }) {
+  let output = `${guestTypeIcon(type)} **${config.name || `VM-${vmid}`}** configuration (ID: ${vmid}, ${node}, ${status})\n\n`;
+
+  output += `• **CPU**: ${config.cpu.cores} core${config.cpu.cores === 1 ? '' : 's'}`;
+  if (config.cpu.sockets) output += ` × ${config.cpu.sockets} socket${config.cpu.sockets === 1 ? '' : 's'}`;
+  if (config.cpu.type) output += ` (${config.cpu.type})`;
+  if (config.cpu.limit) output += `, limit ${config.cpu.limit}`;
+  output += '\n';
+
+  output += `• **Memory**: ${config.memory.size} MiB`;
+  if (config.memory.balloon !== null) output += config.memory.balloon === 0 ? ', ballooning off' : `, balloon min ${config.memory.balloon} MiB`;
+  if (config.memory.swap !== null) output += `, swap ${config.memory.swap} MiB`;
+  output += '\n';
+
+  output += `• **Disks**:\n`;
+  for (const disk of config.disks) {
+    output += `   - ${disk.key}: ${disk.volume}${disk.size ? ` (${disk.size})` : ''}${disk.media === 'cdrom' ? ' [cdrom]' : ''}\n`;
+  }
+  output += `• **Network**:\n`;
+  for (const nic of config.nics) {
+    output += `   - ${nic.key}: ${nic.model}${nic.mac ? ` ${nic.mac}` : ''} on ${nic.bridge || 'N/A'}${nic.vlan ? ` VLAN ${nic.vlan}` : ''}${nic.firewall ? ', firewall' : ''}${nic.ip ? `, ${nic.ip}` : ''}\n`;
+  }
+
+  if (config.boot.order.length) output += `• **Boot order**: ${config.boot.order.join(' → ')}\n`;
+  output += `• **Start on boot**: ${config.boot.onboot ? 'yes' : 'no'}\n`;
+  output += `• **Tags**: ${config.tags.length ? config.tags.join(', ') : 'none'}\n`;
+  if (config.description) {
+    output += `• **Description**: ${config.description.trim().replace(/\s+/g, ' ')}\n`;
+  }
+
+  if (pending.length) {
+    output += `\n⏳ **Pending until reboot**:\n`;
+    for (const item of pending) {
+      output += item.delete
+        ? `   - ${item.key}: remove (now ${item.value ?? 'unset'})\n`
+        : `   - ${item.key}: ${item.value ?? 'unset'} → ${item.pending}\n`;
+    }
+  }
+
+  return output;
+}
+
+export function formatConfigChanges({ vmid, type, status, dryRun, diff, upids }) {
+  let output = dryRun
+    ? `🧪 ${guestTypeIcon(type)} **Preview of changes to ${vmid}** (nothing was changed)\n\n`
+    : `✏️  ${guestTypeIcon(type)} **Updated configuration of ${vmid}**\n\n`;
+
+  for (const item of diff) {
+    output += `• **${item.setting}**: ${item.before ?? '(none)'} → ${item.after ?? '(removed)'}`;
+    output += item.reboot ? ' ⚠️ needs reboot\n' : '\n';
+  }
+
+  if (status !== 'running') {
+    output += `\nThe guest is ${status}; changes apply at its next start.\n`;
+  } else if (diff.some(item => item.reboot)) {
+    output += `\nChanges marked ⚠️ ${dryRun ? 'would stay' : 'stay'} pending until the guest is rebooted${dryRun ? ' (estimated from its hotplug settings)' : ''}.\n`;
+  } else {
+    output += `\nAll changes ${dryRun ? 'would take' : 'took'} effect immediately.\n`;
+  }
+
+  for (const upid of upids) {
+    output += `• Task UPID: \`${upid}\`\n`;
+  }
+  return output;
+}
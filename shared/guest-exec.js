@@ -0,0 +1,171 @@
+// Guest agent command execution for QEMU VMs.
+//
+// Proxmox's agent/exec endpoint only starts a process and hands back a PID,
+// so we poll agent/exec-status until the process exits or we run out of time.
+
+import { InvalidInputError } from './errors.js';
+
+export const DEFAULT_EXEC_TIMEOUT = 30;
+export const DEFAULT_EXEC_MAX_TIMEOUT = 600;
+const POLL_INTERVAL_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Split a shell-like command string into program + arguments, honouring
+// single and double quotes. No variable expansion or escaping beyond that.
+export function splitCommand(command) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let hasToken = false;
+
+  for (const char of command) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        parts.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new InvalidInputError(`Unterminated ${quote} quote in command`);
+  }
+  if (hasToken) {
+    parts.push(current);
+  }
+  return parts;
+}
+
+// Accepts either a command string or an array, plus optional extra args.
+export function buildCommandArgv(command, args = []) {
+  let argv;
+  if (Array.isArray(command)) {
+    argv = command.map(String);
+  } else if (typeof command === 'string') {
+    argv = args.length > 0 ? [command] : splitCommand(command);
+  } else {
+    throw new InvalidInputError('command must be a string or an array of strings');
+  }
+
+  argv.push(...args.map(String));
+
+  if (argv.length === 0 || !argv[0]) {
+    throw new InvalidInputError('command is required');
+  }
+  return argv;
+}
+
+// Seconds to wait for a command: the caller's `timeout`, or `fallback` when
+// none is given, never more than `max`
+export function resolveExecTimeout(timeout, { fallback = DEFAULT_EXEC_TIMEOUT, max = DEFAULT_EXEC_MAX_TIMEOUT } = {}) {
+  if (timeout === undefined || timeout === null || timeout === '') {
+    return Math.min(fallback, max);
+  }
+  const seconds = Number(timeout);
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new InvalidInputError(`Invalid timeout: ${timeout} (expected a positive number of seconds)`, {
+      fields: { timeout: `a positive number of seconds, at most ${max}` }
+    });
+  }
+  return Math.min(seconds, max);
+}
+
+// Run a command through the QEMU guest agent and wait for it to finish.
+// `request` is ProxmoxClient.request(endpoint, method, data);
+// `onProgress(elapsed, timeout, message)` is called on every poll.
+export async function runGuestCommand(request, node, vmid, { command, args = [], input, timeout = DEFAULT_EXEC_TIMEOUT, onProgress } = {}) {
+  const argv = buildCommandArgv(command, args);
+  // Callers cap the timeout; a non-numeric one would never expire
+  timeout = resolveExecTimeout(timeout, { max: Infinity });
+  const payload = { command: argv };
+  if (input !== undefined && input !== null) {
+    payload['input-data'] = String(input);
+  }
+
+  const started = await request(`/nodes/${node}/qemu/${vmid}/agent/exec`, 'POST', payload);
+  const pid = started?.pid;
+  if (pid === undefined) {
+    throw new Error('Guest agent did not return a PID');
+  }
+
+  const startedAt = Date.now();
+  const deadline = startedAt + timeout * 1000;
+
+  while (true) {
+    const status = await request(`/nodes/${node}/qemu/${vmid}/agent/exec-status?pid=${pid}`);
+
+    if (status?.exited) {
+      return {
+        argv,
+        pid,
+        exited: true,
+        timedOut: false,
+        exitCode: status.exitcode ?? null,
+        signal: status.signal ?? null,
+        stdout: status['out-data'] || '',
+        stderr: status['err-data'] || '',
+        stdoutTruncated: Boolean(status['out-truncated']),
+        stderrTruncated: Boolean(status['err-truncated']),
+        durationMs: Date.now() - startedAt
+      };
+    }
+
+    if (Date.now() >= deadline) {
+      return {
+        argv,
+        pid,
+        exited: false,
+        timedOut: true,
+        exitCode: null,
+        signal: null,
+        stdout: status?.['out-data'] || '',
+        stderr: status?.['err-data'] || '',
+        stdoutTruncated: Boolean(status?.['out-truncated']),
+        stderrTruncated: Boolean(status?.['err-truncated']),
+        durationMs: Date.now() - startedAt
+      };
+    }
+
+    onProgress?.(Math.round((Date.now() - startedAt) / 1000), timeout, `Waiting for PID ${pid} to exit`);
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+export function formatGuestCommandResult(vmid, result) {
+  const icon = result.timedOut ? '⏱️' : result.exitCode === 0 ? '✅' : '❌';
+
+  let output = `${icon} **Command on VM ${vmid}**\n\n`;
+  output += `**Command**: \`${result.argv.join(' ')}\`\n`;
+  output += `**PID**: ${result.pid}\n`;
+
+  if (result.timedOut) {
+    output += `**Status**: Still running after ${(result.durationMs / 1000).toFixed(1)}s (timed out waiting)\n`;
+  } else {
+    output += `**Exit Code**: ${result.exitCode !== null ? result.exitCode : 'N/A'}\n`;
+    if (result.signal !== null) {
+      output += `**Signal**: ${result.signal}\n`;
+    }
+    output += `**Duration**: ${(result.durationMs / 1000).toFixed(1)}s\n`;
+  }
+
+  output += `\n**stdout**${result.stdoutTruncated ? ' (truncated)' : ''}:\n`;
+  output += result.stdout ? `\`\`\`\n${result.stdout.replace(/\n$/, '')}\n\`\`\`\n` : '_(empty)_\n';
+  output += `\n**stderr**${result.stderrTruncated ? ' (truncated)' : ''}:\n`;
+  output += result.stderr ? `\`\`\`\n${result.stderr.replace(/\n$/, '')}\n\`\`\`\n` : '_(empty)_\n';
+
+  return output;
+}
@@ -0,0 +1,175 @@
+// Cluster inventory (nodes, guests, storage) from /cluster/resources.
+//
+// One call returns every node, guest or storage in the cluster, so listings
+// no longer walk each node in turn. When /cluster/resources is unavailable we
+// fall back to per-node endpoints, fetched in parallel and normalised to the
+// same shape; refused credentials or privileges are thrown instead, as every
+// node would refuse them too. Results are cached for a short TTL and dropped after mutating
+// actions so a listing right after a start or restore is not stale.
+//
+// Guest and storage listings never leave a node out silently: each node that
+// is offline or failed to answer is named in `warnings` ({ node, type, error }).
+
+import { ProxmoxError, ProxmoxNotFoundError } from './errors.js';
+import { isTransient } from './resilience.js';
+
+export const DEFAULT_CACHE_TTL = 10;
+
+export const INVENTORY_TYPES = ['node', 'vm', 'storage'];
+
+// Failures of /cluster/resources worth working around node by node: the
+// endpoint is missing, failing on the server side or not answering
+function unavailable(error) {
+  return isTransient(error) ||
+    error instanceof ProxmoxNotFoundError ||
+    (error instanceof ProxmoxError && error.status >= 500);
+}
+
+export class Inventory {
+  // `request` is ProxmoxClient.request(endpoint, method, data); a TTL of 0 disables caching
+  constructor(request, { ttlSeconds = DEFAULT_CACHE_TTL } = {}) {
+    this.request = request;
+    this.ttlSeconds = ttlSeconds;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.generation = 0;
+  }
+
+  // { items, warnings, fetchedAt, hit } for 'node', 'vm' or 'storage'
+  async get(type) {
+    if (!INVENTORY_TYPES.includes(type)) {
+      throw new Error(`Unknown inventory type: ${type}`);
+    }
+
+    const entry = this.entries.get(type);
+    if (entry && Date.now() - entry.fetchedAt < this.ttlSeconds * 1000) {
+      return { ...entry, hit: true };
+    }
+
+    // Concurrent callers share one fetch
+    if (!this.pending.has(type)) {
+      const generation = this.generation;
+      this.pending.set(type, this.load(type)
+        .then(({ items, warnings }) => {
+          const fresh = { items, warnings, fetchedAt: Date.now() };
+          // Don't cache data fetched before an invalidation landed
+          if (this.ttlSeconds > 0 && generation === this.generation) {
+            this.entries.set(type, fresh);
+          }
+          return fresh;
+        })
+        .finally(() => this.pending.delete(type)));
+    }
+
+    return { ...(await this.pending.get(type)), hit: false };
+  }
+
+  invalidate() {
+    this.generation++;
+    this.entries.clear();
+  }
+
+  // { items, warnings }, uncached
+  async load(type) {
+    let items;
+    try {
+      items = await this.request(`/cluster/resources?type=${type}`);
+    } catch (error) {
+      if (!unavailable(error)) throw error;
+      return this.loadPerNode(type);
+    }
+    if (type === 'node') {
+      return { items, warnings: [] };
+    }
+
+    // Guests and storage of offline nodes are still listed, from the cluster
+    // configuration, but without current status or usage
+    const { items: nodes } = await this.get('node');
+    const what = type === 'vm' ? 'its guests are listed with status unknown' : 'its storage is listed without usage';
+    const warnings = nodes
+      .filter(node => node.status !== 'online')
+      .map(node => offlineWarning(node, what));
+    return { items, warnings };
+  }
+
+  async loadPerNode(type) {
+    const nodes = await this.request('/nodes');
+    if (type === 'node') {
+      return { items: nodes.map(node => ({ type: 'node', ...node })), warnings: [] };
+    }
+
+    const what = type === 'vm' ? 'its guests are not listed' : 'its storage is not listed';
+    const warnings = nodes
+      .filter(node => node.status !== 'online')
+      .map(node => offlineWarning(node, what));
+
+    const online = nodes.filter(node => node.status === 'online').map(node => node.node);
+    const perNode = await Promise.all(online.map(async (node) => {
+      try {
+        if (type === 'vm') {
+          const [qemu, lxc] = await Promise.all([
+            this.request(`/nodes/${node}/qemu`),
+            this.request(`/nodes/${node}/lxc`)
+          ]);
+          return [
+            ...qemu.map(vm => ({ ...vm, type: 'qemu', node })),
+            ...lxc.map(vm => ({ ...vm, type: 'lxc', node }))
+          ];
+        }
+
+        const storages = await this.request(`/nodes/${node}/storage`);
+        return storages.map(storage => ({
+          type: 'storage',
+          node,
+          storage: storage.storage,
+          plugintype: storage.type,
+          status: storage.active ? 'available' : 'unknown',
+          disk: storage.used,
+          maxdisk: storage.total,
+          content: storage.content,
+          shared: storage.shared
+        }));
+      } catch (error) {
+        warnings.push(failureWarning(node, error, what));
+        return [];
+      }
+    }));
+
+    return { items: perNode.flat(), warnings };
+  }
+}
+
+function offlineWarning(node, what) {
+  return { node: node.node, type: 'offline', error: `Node is ${node.status || 'unknown'}; ${what}` };
+}
+
+// `type` is the error type from errors.js, e.g. unreachable or timeout
+export function failureWarning(node, error, what) {
+  return { node, type: error.type || 'error', error: what ? `${error.message}; ${what}` : error.message };
+}
+
+// `partial` and `warnings` fields for listing results
+export function partialInfo(warnings = []) {
+  return { partial: warnings.length > 0, warnings };
+}
+
+// Only the warnings about `nodeName`, when a listing is limited to one node
+export function warningsFor(warnings, nodeName) {
+  return nodeName ? warnings.filter(warning => warning.node === nodeName) : warnings;
+}
+
+// Freshness metadata returned alongside inventory-based results
+export function cacheInfo(entry, ttlSeconds) {
+  return {
+    fetchedAt: new Date(entry.fetchedAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - entry.fetchedAt) / 1000),
+    ttlSeconds,
+    hit: entry.hit
+  };
+}
+
+export function formatCacheInfo(cache) {
+  return cache.hit
+    ? `\n_Cached data, ${cache.ageSeconds}s old (refreshes every ${cache.ttlSeconds}s)_\n`
+    : '\n_Live data_\n';
+}
@@ -0,0 +1,136 @@
+// Structured JSON logging with secret redaction.
+//
+// One JSON object per line. Credentials are always redacted; guest command
+// payloads are redacted unless LOG_REDACT_COMMANDS=false. Request bodies and
+// responses are only logged when LOG_BODIES / LOG_RESPONSES are enabled, and
+// request headers only at LOG_LEVEL=debug.
+
+import crypto from 'crypto';
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEY_PATTERN = /authorization|cookie|token|password|passwd|secret|ticket|csrf|api[-_]?key/i;
+const COMMAND_KEY_PATTERN = /^(command|args)$/i;
+const INPUT_KEY_PATTERN = /^(input|input-data)$/i;
+
+// `redactCommands` covers guest command lines and their stdin; `redactInput`
+// can redact stdin on its own
+export function redact(value, { redactCommands = true, redactInput = redactCommands } = {}, depth = 0) {
+  if (depth > 8 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  const options = { redactCommands, redactInput };
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, options, depth + 1));
+  }
+
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEY_PATTERN.test(key) || (redactCommands && COMMAND_KEY_PATTERN.test(key)) || (redactInput && INPUT_KEY_PATTERN.test(key))) {
+      output[key] = REDACTED;
+    } else {
+      output[key] = redact(item, options, depth + 1);
+    }
+  }
+  return output;
+}
+
+export function loadLoggingConfig(env = process.env) {
+  const level = (env.LOG_LEVEL || 'info').toLowerCase();
+  return {
+    level: LEVELS.includes(level) ? level : 'info',
+    logBodies: env.LOG_BODIES === 'true',
+    logResponses: env.LOG_RESPONSES === 'true',
+    redactCommands: env.LOG_REDACT_COMMANDS !== 'false'
+  };
+}
+
+export function createLogger({ name, level = 'info', redactCommands = true } = {}, baseFields = {}) {
+  const threshold = LEVELS.indexOf(level);
+
+  const write = (entryLevel, msg, fields = {}) => {
+    if (LEVELS.indexOf(entryLevel) < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      name,
+      msg,
+      ...redact({ ...baseFields, ...fields }, { redactCommands })
+    };
+    if (fields.error instanceof Error) {
+      entry.error = fields.error.message;
+    }
+
+    const line = JSON.stringify(entry) + '\n';
+    if (entryLevel === 'error' || entryLevel === 'warn') {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  };
+
+  return {
+    level,
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    // Logger that adds the given fields (e.g. requestId) to every entry
+    child: (fields) => createLogger({ name, level, redactCommands }, { ...baseFields, ...fields })
+  };
+}
+
+// Express middleware: assigns a request ID, attaches req.log and logs one
+// line per request with its status and duration.
+export function requestLogger(logger, { logBodies = false, logResponses = false } = {}) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    req.id = req.headers['x-request-id'] || crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    req.log.debug('request headers', { headers: req.headers });
+
+    if (logResponses) {
+      const originalSend = res.send;
+      res.send = function(data) {
+        req.log.info('response body', { body: typeof data === 'string' ? safeParse(data) : data });
+        return originalSend.call(this, data);
+      };
+    }
+
+    res.on('finish', () => {
+      if (logBodies && req.body && Object.keys(req.body).length > 0) {
+        req.log.info('request body', { body: req.body });
+      }
+
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const fields = {
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        ip: req.ip,
+        client: req.apiKey?.name
+      };
+      if (req.rpcMethod) {
+        fields.rpcMethod = req.rpcMethod;
+      }
+
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      req.log[level]('request completed', fields);
+    });
+
+    next();
+  };
+}
+
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
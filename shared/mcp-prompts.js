@@ -0,0 +1,192 @@
+// Canned operational prompts, filled in with live cluster data when fetched.
+
+import { listTasks } from './tasks.js';
+import { formatBytes, formatPercent } from './format.js';
+
+export const PROMPTS = [
+  {
+    name: 'diagnose_vm_start_failure',
+    description: "Diagnose a VM or container that won't start, using its config, recent failed tasks and node/storage state",
+    arguments: [
+      { name: 'node', description: 'Node the guest lives on', required: true },
+      { name: 'vmid', description: 'VM or container ID', required: true }
+    ]
+  },
+  {
+    name: 'weekly_capacity_review',
+    description: 'Review CPU, memory and storage capacity across the cluster and flag what needs attention',
+    arguments: []
+  },
+  {
+    name: 'node_health_check',
+    description: 'Check the health of one node: resource usage, storage and recent failed tasks',
+    arguments: [
+      { name: 'node', description: 'Node to check', required: true }
+    ]
+  }
+];
+
+export class PromptArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptArgumentError';
+  }
+}
+
+function describeTasks(tasks) {
+  if (tasks.length === 0) return 'None.';
+  return tasks
+    .map(task => `- ${new Date(task.starttime * 1000).toISOString()} ${task.type}${task.id ? ` (${task.id})` : ''} by ${task.user}: ${task.status} [${task.upid}]`)
+    .join('\n');
+}
+
+async function diagnoseVMStartFailure(request, { node, vmid }) {
+  const guests = await request('/cluster/resources?type=vm');
+  const guest = guests.find(g => String(g.vmid) === String(vmid) && g.node === node);
+  if (!guest) {
+    throw new PromptArgumentError(`No guest ${vmid} on node ${node}`);
+  }
+
+  const [config, nodeStatus, storages, failed] = await Promise.all([
+    request(`/nodes/${node}/${guest.type}/${vmid}/config`),
+    request(`/nodes/${node}/status`),
+    request(`/nodes/${node}/storage`),
+    listTasks(request, { node, vmid, errors: true, limit: 10 })
+  ]);
+
+  const configText = Object.entries(config)
+    .filter(([key]) => key !== 'digest')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n');
+
+  const storageText = storages
+    .map(s => `- ${s.storage} (${s.type}): ${s.active ? 'active' : 'INACTIVE'}, ${formatBytes(s.used)} / ${formatBytes(s.total)} (${formatPercent(s.used, s.total)})`)
+    .join('\n');
+
+  return `The ${guest.type === 'qemu' ? 'VM' : 'container'} ${guest.name || vmid} (ID ${vmid}) on node ${node} will not start. Work out why and propose a fix.
+
+Current state: ${guest.status}
+
+## Configuration
+\`\`\`
+${configText}
+\`\`\`
+
+## Recent failed tasks for ${vmid}
+${describeTasks(failed.tasks)}
+
+## Node ${node}
+- CPU: ${((nodeStatus.cpu || 0) * 100).toFixed(1)}% of ${nodeStatus.cpuinfo?.cpus ?? '?'} CPUs
+- Memory: ${formatBytes(nodeStatus.memory?.used)} / ${formatBytes(nodeStatus.memory?.total)} (${formatPercent(nodeStatus.memory?.used, nodeStatus.memory?.total)})
+- Root FS: ${formatBytes(nodeStatus.rootfs?.used)} / ${formatBytes(nodeStatus.rootfs?.total)}
+
+## Storage on ${node}
+${storageText}
+
+Check in particular: the error text of the failed start tasks, whether the disks' storages are active and have space, whether the node has enough free memory for the configured memory, locks in the config (\`lock\`), and missing ISO/CD-ROM or passthrough devices. Use proxmox_get_task_log on a failed task's UPID for the full error.`;
+}
+
+async function weeklyCapacityReview(request) {
+  const inventory = await request('/cluster/resources');
+  const nodes = inventory.filter(r => r.type === 'node');
+  const guests = inventory.filter(r => r.type === 'qemu' || r.type === 'lxc');
+  const storages = inventory.filter(r => r.type === 'storage');
+
+  const nodeText = nodes
+    .map(n => `- ${n.node} (${n.status}): CPU ${((n.cpu || 0) * 100).toFixed(1)}% of ${n.maxcpu || '?'} cores, memory ${formatBytes(n.mem)} / ${formatBytes(n.maxmem)} (${formatPercent(n.mem, n.maxmem)}), ${guests.filter(g => g.node === n.node && g.status === 'running').length} running guests`)
+    .join('\n');
+
+  const allocated = {};
+  for (const guest of guests) {
+    allocated[guest.node] ??= { cpus: 0, mem: 0 };
+    allocated[guest.node].cpus += guest.maxcpu || 0;
+    allocated[guest.node].mem += guest.maxmem || 0;
+  }
+  const allocationText = nodes
+    .map(n => `- ${n.node}: ${allocated[n.node]?.cpus || 0} vCPUs on ${n.maxcpu || '?'} cores, ${formatBytes(allocated[n.node]?.mem)} allocated of ${formatBytes(n.maxmem)}`)
+    .join('\n');
+
+  const storageText = storages
+    .sort((a, b) => (b.disk / b.maxdisk || 0) - (a.disk / a.maxdisk || 0))
+    .map(s => `- ${s.storage} on ${s.node} (${s.plugintype}, ${s.status}): ${formatBytes(s.disk)} / ${formatBytes(s.maxdisk)} (${formatPercent(s.disk, s.maxdisk)})`)
+    .join('\n');
+
+  const stopped = guests.filter(g => g.status !== 'running');
+
+  return `Do a weekly capacity review of this Proxmox cluster. Summarise headroom, flag anything above 80% utilisation or heavily overcommitted, and recommend concrete actions (rebalancing guests, cleaning up or expanding storage, removing unused guests).
+
+## Nodes
+${nodeText}
+
+## Allocation vs physical capacity
+${allocationText}
+
+## Storage (fullest first)
+${storageText}
+
+## Guests
+- ${guests.length} total, ${guests.length - stopped.length} running, ${stopped.length} not running
+${stopped.length > 0 ? `- Not running: ${stopped.map(g => `${g.name || g.vmid} (${g.vmid})`).join(', ')}` : ''}`;
+}
+
+async function nodeHealthCheck(request, { node }) {
+  const [nodeStatus, storages, failed] = await Promise.all([
+    request(`/nodes/${node}/status`),
+    request(`/nodes/${node}/storage`),
+    listTasks(request, { node, errors: true, limit: 10 })
+  ]);
+
+  const storageText = storages
+    .map(s => `- ${s.storage} (${s.type}): ${s.active ? 'active' : 'INACTIVE'}, ${formatPercent(s.used, s.total)} used`)
+    .join('\n');
+
+  return `Check the health of Proxmox node ${node} and report anything that needs attention, most urgent first.
+
+## Status
+- Uptime: ${Math.floor((nodeStatus.uptime || 0) / 86400)} days
+- CPU: ${((nodeStatus.cpu || 0) * 100).toFixed(1)}%, load average ${(nodeStatus.loadavg || []).join(', ')}
+- Memory: ${formatBytes(nodeStatus.memory?.used)} / ${formatBytes(nodeStatus.memory?.total)} (${formatPercent(nodeStatus.memory?.used, nodeStatus.memory?.total)})
+- Swap: ${formatBytes(nodeStatus.swap?.used)} / ${formatBytes(nodeStatus.swap?.total)}
+- Root FS: ${formatBytes(nodeStatus.rootfs?.used)} / ${formatBytes(nodeStatus.rootfs?.total)} (${formatPercent(nodeStatus.rootfs?.used, nodeStatus.rootfs?.total)})
+- Version: ${nodeStatus.pveversion || 'unknown'}
+
+## Storage
+${storageText}
+
+## Recent failed tasks
+${describeTasks(failed.tasks)}`;
+}
+
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function getPrompt(request, name, args = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new PromptArgumentError(`Unknown prompt: ${name}`);
+  }
+
+  for (const argument of prompt.arguments) {
+    if (argument.required && !args[argument.name]) {
+      throw new PromptArgumentError(`Missing required argument: ${argument.name}`);
+    }
+  }
+
+  let text;
+  switch (name) {
+    case 'diagnose_vm_start_failure':
+      text = await diagnoseVMStartFailure(request, args);
+      break;
+    case 'weekly_capacity_review':
+      text = await weeklyCapacityReview(request);
+      break;
+    case 'node_health_check':
+      text = await nodeHealthCheck(request, args);
+      break;
+  }
+
+  return {
+    description: prompt.description,
+    messages: [
+      { role: 'user', content: { type: 'text', text } }
+    ]
+  };
+}
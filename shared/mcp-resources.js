@@ -0,0 +1,129 @@
+// Proxmox inventory exposed as MCP resources under the proxmox:// scheme.
+//
+// Resources are plain JSON snapshots of the Proxmox API so clients can pull
+// static context (configs, node and storage details) without calling tools.
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'proxmox://nodes/{node}',
+    name: 'Node status',
+    description: 'Status of a Proxmox node: CPU, memory, load, root filesystem, versions',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'proxmox://vms/{node}/{vmid}/config',
+    name: 'Guest configuration',
+    description: 'Configuration of a QEMU VM or LXC container',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'proxmox://vms/{node}/{vmid}/status',
+    name: 'Guest status',
+    description: 'Current runtime status of a QEMU VM or LXC container',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'proxmox://storage/{node}/{storage}',
+    name: 'Storage status',
+    description: 'Usage and status of a storage on a node',
+    mimeType: 'application/json'
+  }
+];
+
+const STATIC_RESOURCES = [
+  {
+    uri: 'proxmox://cluster/status',
+    name: 'Cluster status',
+    description: 'Cluster membership and quorum',
+    mimeType: 'application/json'
+  },
+  {
+    uri: 'proxmox://cluster/resources',
+    name: 'Cluster inventory',
+    description: 'Every node, guest and storage in the cluster with current usage',
+    mimeType: 'application/json'
+  }
+];
+
+export class ResourceNotFoundError extends Error {
+  constructor(uri, reason = 'Resource not found') {
+    super(`${reason}: ${uri}`);
+    this.name = 'ResourceNotFoundError';
+    this.uri = uri;
+  }
+}
+
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function listResources(request) {
+  const inventory = await request('/cluster/resources');
+  const resources = [...STATIC_RESOURCES];
+
+  for (const item of inventory) {
+    if (item.type === 'node') {
+      resources.push({
+        uri: `proxmox://nodes/${item.node}`,
+        name: `Node ${item.node}`,
+        description: `Status of node ${item.node} (${item.status})`,
+        mimeType: 'application/json'
+      });
+    } else if (item.type === 'qemu' || item.type === 'lxc') {
+      resources.push({
+        uri: `proxmox://vms/${item.node}/${item.vmid}/config`,
+        name: `${item.name || `VM-${item.vmid}`} config`,
+        description: `${item.type === 'qemu' ? 'VM' : 'Container'} ${item.vmid} on ${item.node}`,
+        mimeType: 'application/json'
+      });
+    } else if (item.type === 'storage') {
+      resources.push({
+        uri: `proxmox://storage/${item.node}/${item.storage}`,
+        name: `Storage ${item.storage} (${item.node})`,
+        description: `${item.plugintype || 'storage'} on ${item.node}`,
+        mimeType: 'application/json'
+      });
+    }
+  }
+
+  return resources;
+}
+
+// Find whether a guest is qemu or lxc
+async function guestType(request, node, vmid) {
+  const guests = await request('/cluster/resources?type=vm');
+  const guest = guests.find(g => String(g.vmid) === String(vmid) && g.node === node);
+  return guest?.type || null;
+}
+
+export async function readResource(request, uri) {
+  const match = /^proxmox:\/\/(.+)$/.exec(uri || '');
+  if (!match) {
+    throw new ResourceNotFoundError(uri, 'Unsupported resource URI');
+  }
+  const parts = match[1].split('/').map(decodeURIComponent);
+
+  let data;
+  if (parts[0] === 'cluster' && parts[1] === 'status' && parts.length === 2) {
+    data = await request('/cluster/status');
+  } else if (parts[0] === 'cluster' && parts[1] === 'resources' && parts.length === 2) {
+    data = await request('/cluster/resources');
+  } else if (parts[0] === 'nodes' && parts.length === 2) {
+    data = await request(`/nodes/${parts[1]}/status`);
+  } else if (parts[0] === 'vms' && parts.length === 4 && (parts[3] === 'config' || parts[3] === 'status')) {
+    const [, node, vmid, view] = parts;
+    const type = await guestType(request, node, vmid);
+    if (!type) {
+      throw new ResourceNotFoundError(uri, `No guest ${vmid} on node ${node}`);
+    }
+    data = await request(`/nodes/${node}/${type}/${vmid}/${view === 'config' ? 'config' : 'status/current'}`);
+    data = { type, ...data };
+  } else if (parts[0] === 'storage' && parts.length === 3) {
+    data = await request(`/nodes/${parts[1]}/storage/${parts[2]}/status`);
+  } else {
+    throw new ResourceNotFoundError(uri);
+  }
+
+  return [{
+    uri,
+    mimeType: 'application/json',
+    text: JSON.stringify(data, null, 2)
+  }];
+}
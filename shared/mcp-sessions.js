@@ -0,0 +1,138 @@
+// MCP Streamable HTTP session tracking and Server-Sent Events streams.
+//
+// A session is created when a client initializes and is identified by the
+// Mcp-Session-Id header from then on. Each session can hold any number of
+// open GET / event streams for server-to-client messages.
+
+import crypto from 'crypto';
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+// Switch an Express response into text/event-stream mode.
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  let closed = false;
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+  keepalive.unref();
+
+  const stream = {
+    get closed() {
+      return closed;
+    },
+    send(message) {
+      if (closed) return false;
+      res.write(`id: ${++eventId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+      return true;
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(keepalive);
+      res.end();
+    }
+  };
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(keepalive);
+  });
+
+  return stream;
+}
+
+export class SessionStore {
+  constructor({ ttlMs = 60 * 60 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map();
+
+    this.sweeper = setInterval(() => this.sweep(), Math.min(ttlMs, 60000));
+    this.sweeper.unref();
+  }
+
+  create({ protocolVersion, clientInfo, keyName }) {
+    const session = {
+      id: crypto.randomUUID(),
+      protocolVersion,
+      clientInfo: clientInfo || null,
+      keyName,
+      initialized: false,
+      // Subscribed resource URI -> digest of the last content we saw
+      subscriptions: new Map(),
+      createdAt: Date.now(),
+      lastSeen: Date.now(),
+      streams: new Set()
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  get(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    if (session.streams.size === 0 && Date.now() - session.lastSeen > this.ttlMs) {
+      this.delete(id);
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  delete(id) {
+    const session = this.sessions.get(id);
+    if (!session) return false;
+    for (const stream of session.streams) {
+      stream.close();
+    }
+    this.sessions.delete(id);
+    return true;
+  }
+
+  attachStream(session, stream, res) {
+    session.streams.add(stream);
+    res.on('close', () => session.streams.delete(stream));
+  }
+
+  // Deliver a message on the first open stream; false if nobody is listening.
+  send(session, message) {
+    for (const stream of session?.streams || []) {
+      if (!stream.closed && stream.send(message)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Deliver a message to every session, e.g. list-changed notifications.
+  broadcast(message, filter = () => true) {
+    for (const session of this.sessions.values()) {
+      if (filter(session)) {
+        this.send(session, message);
+      }
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      // Sessions with a live stream stay around while the client listens
+      if (session.streams.size === 0 && now - session.lastSeen > this.ttlMs) {
+        this.delete(id);
+      }
+    }
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+}
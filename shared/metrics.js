@@ -0,0 +1,182 @@
+// Historical performance metrics from Proxmox RRD data.
+//
+// Nodes, guests and storage each expose /rrddata with one row per step
+// (1 minute for an hour, 30 minutes for a week, ...). We turn the rows into
+// per-metric series and summarise each one with min/avg/max/p95 and a
+// sparkline that fits on one line of LLM-facing text.
+
+import { formatBytes, formatTimestamp } from './format.js';
+import { InvalidInputError } from './errors.js';
+
+export const TIMEFRAMES = ['hour', 'day', 'week', 'month', 'year'];
+export const CONSOLIDATIONS = ['AVERAGE', 'MAX'];
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const SPARK_WIDTH = 32;
+
+const ratio = (used, total) => (row) =>
+  row[used] !== undefined && row[used] !== null && row[total] ? row[used] / row[total] : null;
+const field = (name) => (row) => row[name] ?? null;
+
+// Metrics per target kind: key, label, unit and how to read it from a row
+const METRICS = {
+  node: [
+    { key: 'cpu', label: 'CPU', unit: 'percent', value: field('cpu') },
+    { key: 'iowait', label: 'IO wait', unit: 'percent', value: field('iowait') },
+    { key: 'loadavg', label: 'Load average', unit: 'number', value: field('loadavg') },
+    { key: 'memory', label: 'Memory', unit: 'percent', value: ratio('memused', 'memtotal') },
+    { key: 'swap', label: 'Swap', unit: 'percent', value: ratio('swapused', 'swaptotal') },
+    { key: 'rootfs', label: 'Root FS', unit: 'percent', value: ratio('rootused', 'roottotal') },
+    { key: 'netin', label: 'Network in', unit: 'rate', value: field('netin') },
+    { key: 'netout', label: 'Network out', unit: 'rate', value: field('netout') }
+  ],
+  guest: [
+    { key: 'cpu', label: 'CPU', unit: 'percent', value: field('cpu') },
+    { key: 'memory', label: 'Memory', unit: 'percent', value: ratio('mem', 'maxmem') },
+    { key: 'diskread', label: 'Disk read', unit: 'rate', value: field('diskread') },
+    { key: 'diskwrite', label: 'Disk write', unit: 'rate', value: field('diskwrite') },
+    { key: 'netin', label: 'Network in', unit: 'rate', value: field('netin') },
+    { key: 'netout', label: 'Network out', unit: 'rate', value: field('netout') }
+  ],
+  storage: [
+    { key: 'usage', label: 'Usage', unit: 'percent', value: ratio('used', 'total') },
+    { key: 'used', label: 'Used', unit: 'bytes', value: field('used') }
+  ]
+};
+
+function rrdPath({ kind, node, vmid, type, storage }) {
+  if (kind === 'node') return `/nodes/${node}/rrddata`;
+  if (kind === 'storage') return `/nodes/${node}/storage/${storage}/rrddata`;
+  if (type !== 'qemu' && type !== 'lxc') {
+    throw new InvalidInputError(`Unknown guest type: ${type}`);
+  }
+  return `/nodes/${node}/${type}/${vmid}/rrddata`;
+}
+
+// Target kind from the identifiers supplied: storage, guest or node
+export function metricsKind({ vmid, storage }) {
+  if (storage) return 'storage';
+  if (vmid) return 'guest';
+  return 'node';
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+export function summarize(points) {
+  const present = points.filter(point => point.value !== null && Number.isFinite(point.value));
+  if (present.length === 0) return null;
+
+  const values = present.map(point => point.value);
+  const sorted = [...values].sort((a, b) => a - b);
+  const peak = present.reduce((best, point) => (point.value > best.value ? point : best));
+
+  return {
+    min: sorted[0],
+    avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+    max: peak.value,
+    maxAt: peak.time,
+    p95: percentile(sorted, 0.95),
+    last: present[present.length - 1].value,
+    samples: values.length
+  };
+}
+
+// Bucket the series into `width` averages scaled between its min and max;
+// buckets without data are blank.
+export function sparkline(values, width = SPARK_WIDTH) {
+  if (values.length === 0) return '';
+  const buckets = Math.min(width, values.length);
+  const averages = [];
+  for (let i = 0; i < buckets; i++) {
+    const slice = values
+      .slice(Math.floor(i * values.length / buckets), Math.floor((i + 1) * values.length / buckets))
+      .filter(value => value !== null && Number.isFinite(value));
+    averages.push(slice.length ? slice.reduce((sum, value) => sum + value, 0) / slice.length : null);
+  }
+
+  const present = averages.filter(value => value !== null);
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  const range = max - min;
+  // Rounding noise in averaged ratios shouldn't draw spikes on a flat series
+  const flat = range <= Math.abs(max) * 1e-9;
+
+  return averages.map(value => {
+    if (value === null) return ' ';
+    const level = flat ? 0 : Math.round(((value - min) / range) * (SPARK_CHARS.length - 1));
+    return SPARK_CHARS[level];
+  }).join('');
+}
+
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function getMetrics(request, { node, vmid, type = 'qemu', storage, timeframe = 'hour', cf = 'AVERAGE' } = {}) {
+  if (!TIMEFRAMES.includes(timeframe)) {
+    throw new InvalidInputError(`Unknown timeframe: ${timeframe} (expected ${TIMEFRAMES.join(', ')})`);
+  }
+  const consolidation = String(cf).toUpperCase();
+  if (!CONSOLIDATIONS.includes(consolidation)) {
+    throw new InvalidInputError(`Unknown consolidation: ${cf} (expected ${CONSOLIDATIONS.join(', ')})`);
+  }
+
+  const kind = metricsKind({ vmid, storage });
+  const rows = await request(`${rrdPath({ kind, node, vmid, type, storage })}?timeframe=${timeframe}&cf=${consolidation}`);
+  rows.sort((a, b) => a.time - b.time);
+
+  const series = {};
+  const stats = {};
+  for (const metric of METRICS[kind]) {
+    const points = rows.map(row => ({ time: row.time, value: metric.value(row) }));
+    const summary = summarize(points);
+    if (!summary) continue;
+    series[metric.key] = points;
+    stats[metric.key] = summary;
+  }
+
+  return {
+    kind,
+    node,
+    vmid: vmid ?? null,
+    type: kind === 'guest' ? type : null,
+    storage: storage ?? null,
+    timeframe,
+    cf: consolidation,
+    from: rows.length ? rows[0].time : null,
+    to: rows.length ? rows[rows.length - 1].time : null,
+    series,
+    stats
+  };
+}
+
+function formatValue(value, unit) {
+  if (unit === 'percent') return `${(value * 100).toFixed(1)}%`;
+  if (unit === 'rate') return `${formatBytes(Math.round(value))}/s`;
+  if (unit === 'bytes') return formatBytes(Math.round(value));
+  return value.toFixed(2);
+}
+
+export function formatMetrics(metrics) {
+  const target = metrics.kind === 'node'
+    ? `node ${metrics.node}`
+    : metrics.kind === 'storage'
+      ? `storage ${metrics.storage} on ${metrics.node}`
+      : `${metrics.type === 'qemu' ? 'VM' : 'container'} ${metrics.vmid} on ${metrics.node}`;
+
+  let output = `📈 **Metrics for ${target}** (last ${metrics.timeframe}, ${metrics.cf})\n`;
+  output += `${formatTimestamp(metrics.from)} → ${formatTimestamp(metrics.to)}\n\n`;
+
+  const definitions = METRICS[metrics.kind].filter(metric => metrics.stats[metric.key]);
+  if (definitions.length === 0) {
+    return output + 'No data recorded for this period.\n';
+  }
+
+  for (const metric of definitions) {
+    const stats = metrics.stats[metric.key];
+    const f = value => formatValue(value, metric.unit);
+    output += `**${metric.label}** \`${sparkline(metrics.series[metric.key].map(point => point.value))}\`\n`;
+    output += `   min ${f(stats.min)} · avg ${f(stats.avg)} · p95 ${f(stats.p95)} · max ${f(stats.max)} at ${formatTimestamp(stats.maxAt)} · now ${f(stats.last)}\n`;
+  }
+
+  return output;
+}
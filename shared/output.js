@@ -0,0 +1,301 @@
+// Output formats for service results, chosen per request.
+//
+//   markdown  the formatted text the service built (default)
+//   text      the same text without emoji and markdown markup
+//   table     an aligned plain-text table of the result's main list
+//   csv       the same rows as CSV with raw values (bytes, ratios, epochs)
+//   json      the result data alone, without the formatted text
+//
+// Tables come from TABLES: the first definition whose list is present in the
+// result wins. Results without a list (a single VM's status, a task status)
+// are shown as setting/value rows.
+
+import { formatBytes, formatUptime, formatTimestamp } from './format.js';
+
+export const OUTPUT_FORMATS = ['markdown', 'text', 'table', 'csv', 'json'];
+export const DEFAULT_OUTPUT_FORMAT = 'markdown';
+
+// [header, raw value, optional display value for tables]
+const column = (header, raw, display) => ({ header, raw, display: display || raw });
+const field = (name) => (row) => row[name];
+const bytes = (name) => (row) => (row[name] === undefined || row[name] === null ? null : formatBytes(row[name]));
+const percent = (name) => (row) => (typeof row[name] === 'number' ? `${(row[name] * 100).toFixed(1)}%` : null);
+const time = (name) => (row) => (row[name] ? formatTimestamp(row[name]) : null);
+const uptime = (name) => (row) => (row[name] ? formatUptime(row[name]) : null);
+
+const TABLES = [
+  {
+    rows: data => data.vms,
+    columns: [
+      column('vmid', field('vmid')),
+      column('name', field('name')),
+      column('type', field('type')),
+      column('node', field('node')),
+      column('status', field('status')),
+      column('cpu', field('cpu'), percent('cpu')),
+      column('mem', field('mem'), bytes('mem')),
+      column('maxmem', field('maxmem'), bytes('maxmem')),
+      column('uptime', field('uptime'), uptime('uptime'))
+    ]
+  },
+  {
+    rows: data => data.nodes,
+    columns: [
+      column('node', field('node')),
+      column('status', field('status')),
+      column('cpu', field('cpu'), percent('cpu')),
+      column('maxcpu', field('maxcpu')),
+      column('mem', field('mem'), bytes('mem')),
+      column('maxmem', field('maxmem'), bytes('maxmem')),
+      column('uptime', field('uptime'), uptime('uptime'))
+    ]
+  },
+  {
+    rows: data => data.storages,
+    columns: [
+      column('storage', field('storage')),
+      column('node', field('node')),
+      column('type', field('type')),
+      column('active', field('active')),
+      column('used', field('used'), bytes('used')),
+      column('total', field('total'), bytes('total')),
+      column('shared', field('shared'))
+    ]
+  },
+  {
+    rows: data => data.snapshots,
+    columns: [
+      column('name', field('name')),
+      column('parent', field('parent')),
+      column('snaptime', field('snaptime'), time('snaptime')),
+      column('vmstate', field('vmstate')),
+      column('description', row => row.description?.trim() || null)
+    ]
+  },
+  {
+    rows: data => data.archives,
+    columns: [
+      column('vmid', field('vmid')),
+      column('volid', field('volid')),
+      column('ctime', field('ctime'), time('ctime')),
+      column('size', field('size'), bytes('size')),
+      column('protected', field('protected')),
+      column('notes', row => row.notes?.trim().replace(/\s+/g, ' ') || null)
+    ]
+  },
+  {
+    rows: data => data.jobs,
+    columns: [
+      column('id', field('id')),
+      column('enabled', field('enabled')),
+      column('schedule', field('schedule')),
+      column('vmid', row => (row.all ? 'all' : row.vmid)),
+      column('storage', field('storage')),
+      column('mode', field('mode'))
+    ]
+  },
+  {
+    rows: data => data.tasks,
+    columns: [
+      column('type', field('type')),
+      column('id', field('id')),
+      column('node', field('node')),
+      column('user', field('user')),
+      column('starttime', field('starttime'), time('starttime')),
+      column('endtime', field('endtime'), time('endtime')),
+      column('status', field('status')),
+      column('upid', field('upid'))
+    ]
+  },
+  {
+    rows: data => data.active,
+    columns: [
+      column('severity', field('severity')),
+      column('rule', field('rule')),
+      column('cluster', field('cluster')),
+      column('subject', field('subject')),
+      column('message', field('message')),
+      column('startsAt', field('startsAt'))
+    ]
+  },
+  {
+    rows: data => data.entries,
+    columns: [
+      column('time', field('time')),
+      column('actor', field('actor')),
+      column('via', field('via')),
+      column('action', field('action')),
+      column('cluster', field('cluster')),
+      column('vmids', row => row.vmids.join(' ')),
+      column('status', field('status')),
+      column('upids', row => row.upids.join(' '))
+    ]
+  },
+  {
+    rows: data => (Array.isArray(data.clusters) && data.clusters[0]?.address !== undefined ? data.clusters : undefined),
+    columns: [
+      column('name', field('name')),
+      column('default', field('default')),
+      column('address', field('address')),
+      column('auth', field('auth')),
+      column('tls', field('tls')),
+      column('reachable', field('reachable')),
+      column('version', field('version'))
+    ]
+  },
+  {
+    rows: data => data.log?.lines,
+    columns: [
+      column('n', field('n')),
+      column('line', field('t'))
+    ]
+  },
+  {
+    rows: data => data.metrics && Object.entries(data.metrics.stats).map(([metric, stats]) => ({ metric, ...stats })),
+    columns: ['metric', 'min', 'avg', 'p95', 'max', 'maxAt', 'last', 'samples'].map(name => column(name, field(name)))
+  },
+  {
+    rows: data => data.result?.diff,
+    columns: [
+      column('setting', field('setting')),
+      column('before', field('before')),
+      column('after', field('after')),
+      column('reboot', field('reboot'))
+    ]
+  },
+  {
+    rows: data => data.result?.steps,
+    columns: [
+      column('method', field('method')),
+      column('endpoint', field('endpoint')),
+      column('status', row => row.status || 'planned'),
+      column('upid', field('upid'))
+    ]
+  },
+  {
+    rows: data => data.result?.jobs,
+    columns: [
+      column('node', field('node')),
+      column('vmids', row => row.vmids.join(' ')),
+      column('upid', field('upid'))
+    ]
+  }
+];
+
+// The result's data fields, without the formatted text
+export function resultData({ content, ...data }) {
+  return data.isError ? { ...data, error: plainText(content) } : data;
+}
+
+// Nested data as dotted setting/value pairs
+function flatten(value, prefix, rows) {
+  if (value === null || value === undefined || typeof value !== 'object') {
+    rows.push({ setting: prefix, value });
+  } else if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    rows.push({ setting: prefix, value: value.join(' ') });
+  } else {
+    for (const [key, item] of Object.entries(value)) {
+      flatten(item, prefix ? `${prefix}.${key}` : key, rows);
+    }
+  }
+  return rows;
+}
+
+const SETTING_COLUMNS = [column('setting', field('setting')), column('value', field('value'))];
+
+function tableFor(data) {
+  for (const table of TABLES) {
+    const rows = table.rows(data);
+    if (Array.isArray(rows)) return { columns: table.columns, rows };
+  }
+  const { cache, cluster, ...rest } = data;
+  return { columns: SETTING_COLUMNS, rows: flatten(rest, '', []) };
+}
+
+// Rows and columns of a result; aggregated results get a leading cluster column
+export function tabulate(result) {
+  const data = resultData(result);
+  if (!Array.isArray(data.failedClusters)) {
+    return tableFor(data);
+  }
+
+  let columns = null;
+  const rows = [];
+  for (const entry of data.clusters) {
+    const table = tableFor(entry);
+    columns = columns || table.columns;
+    rows.push(...table.rows.map(row => ({ ...row, cluster: entry.cluster })));
+  }
+  return {
+    columns: [column('cluster', field('cluster')), ...(columns || [])],
+    rows
+  };
+}
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value));
+
+export function formatTable({ columns, rows }) {
+  const cells = rows.map(row => columns.map(col => cellText(col.display(row)).replace(/\s+/g, ' ')));
+  const widths = columns.map((col, i) => Math.max(col.header.length, ...cells.map(line => line[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(columns.map(col => col.header.toUpperCase())),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n') + '\n';
+}
+
+function csvField(value) {
+  const text = cellText(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function formatCsv({ columns, rows }) {
+  return [
+    columns.map(col => csvField(col.header)).join(','),
+    ...rows.map(row => columns.map(col => csvField(col.raw(row))).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+// Node warnings of a partial result; in aggregated results each is
+// prefixed with its cluster
+export function resultWarnings(result) {
+  if (Array.isArray(result.failedClusters)) {
+    return result.clusters.flatMap(entry => (entry.warnings || []).map(warning => ({ ...warning, node: `${entry.cluster}/${warning.node}` })));
+  }
+  return result.warnings || [];
+}
+
+// Markdown text without emoji, emphasis, code marks or fences
+export function plainText(content) {
+  const text = (content || []).map(item => item.text).join('\n');
+  return text
+    .split('\n')
+    .filter(line => !/^```/.test(line))
+    .map(line => {
+      const indent = /^\s*/.exec(line)[0];
+      const rest = line.slice(indent.length)
+        .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}][\u{FE0F}\u{200D}]*/gu, '')
+        .replace(/\*\*|__|`/g, '')
+        .replace(/^_(.*)_$/, '$1')
+        .replace(/ {2,}/g, ' ')
+        .trim();
+      return rest ? indent + rest : '';
+    })
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+// The result's text in `format`, for MCP content and plain REST responses
+export function renderText(result, format = DEFAULT_OUTPUT_FORMAT) {
+  if (format === 'markdown') return result.content.map(item => item.text).join('\n');
+  // Refusals and failures have no data worth tabulating
+  if (format === 'text' || (result.isError && format !== 'json')) return plainText(result.content);
+  if (format === 'json') return JSON.stringify(resultData(result));
+  if (format === 'csv') return formatCsv(tabulate(result));
+  // Tables say what they are missing; CSV stays plain data
+  const warnings = resultWarnings(result).map(warning => `WARNING: ${warning.node}: ${warning.error}\n`);
+  return formatTable(tabulate(result)) + (warnings.length ? `\n${warnings.join('')}` : '');
+}
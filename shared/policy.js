@@ -0,0 +1,232 @@
+// Declarative access policy for mutating actions (POLICY_FILE).
+//
+// Without a policy file the PROXMOX_ALLOW_ELEVATED switch decides, as before:
+// the elevated actions run everywhere or nowhere. A policy file replaces the
+// switch with rules. Rules are checked in order; the first one matching the
+// call decides, and when none does `default` applies ("deny" unless set).
+// A rule matches when every condition it sets holds:
+//
+//   actions   action names, or "*" for all     clusters  cluster names
+//   nodes     node names                        vmids     IDs or ranges ("100-199")
+//   pools     resource pools                    tags      any of these guest tags
+//   time      { days, from, to, timezone }      commands  exec allowlist
+//
+// Pools and tags only match guests that exist and carry them. `commands` only
+// applies to exec: each entry names the program and, optionally, a regular
+// expression the space-joined arguments must match in full, e.g.
+//
+//   {
+//     "default": "deny",
+//     "rules": [
+//       { "name": "no-prod-weekends", "effect": "deny", "actions": ["*"], "pools": ["prod"],
+//         "time": { "days": ["sat", "sun"], "from": "00:00", "to": "24:00", "timezone": "Europe/Berlin" } },
+//       { "name": "sandbox-services", "effect": "allow", "actions": ["exec"], "tags": ["sandbox"],
+//         "commands": [{ "command": "systemctl", "args": "(status|restart) [\\w@.-]+" }, { "command": "uptime" }] },
+//       { "name": "lab-power", "effect": "allow", "actions": ["start", "shutdown", "snapshot"], "vmids": ["100-199"] }
+//     ]
+//   }
+
+import { readFileSync } from 'fs';
+import { POWER_ACTIONS } from './power.js';
+
+export const POLICY_ACTIONS = [
+  'exec', ...Object.keys(POWER_ACTIONS), 'snapshot', 'rollback', 'delete_snapshot',
+  'backup', 'restore', 'clone', 'create', 'destroy', 'config'
+];
+
+// Actions that need PROXMOX_ALLOW_ELEVATED when there is no policy file
+export const ELEVATED_ACTIONS = POLICY_ACTIONS.filter(action => action !== 'snapshot' && action !== 'backup');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CONDITIONS = ['actions', 'clusters', 'nodes', 'vmids', 'pools', 'tags', 'time', 'commands'];
+
+function minutesOf(value, where) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`${where}: expected a time as HH:MM, got "${value}"`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseVmidRange(value, where) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(value));
+  if (!match) {
+    throw new Error(`${where}: expected a VMID or range such as 100-199, got "${value}"`);
+  }
+  return { from: Number(match[1]), to: Number(match[2] ?? match[1]) };
+}
+
+function validateRule(rule, index, source) {
+  const where = `${source}: rule ${rule.name ? `"${rule.name}"` : index + 1}`;
+  for (const key of Object.keys(rule)) {
+    if (!['name', 'effect', ...CONDITIONS].includes(key)) {
+      throw new Error(`${where}: unknown setting "${key}"`);
+    }
+  }
+  if (rule.effect !== 'allow' && rule.effect !== 'deny') {
+    throw new Error(`${where}: effect must be "allow" or "deny"`);
+  }
+  for (const key of ['actions', 'clusters', 'nodes', 'vmids', 'pools', 'tags', 'commands']) {
+    if (rule[key] !== undefined && !Array.isArray(rule[key])) {
+      throw new Error(`${where}: ${key} must be an array`);
+    }
+  }
+
+  const unknown = (rule.actions || []).filter(action => action !== '*' && !POLICY_ACTIONS.includes(action));
+  if (unknown.length > 0) {
+    throw new Error(`${where}: unknown action ${unknown.join(', ')} (expected ${POLICY_ACTIONS.join(', ')} or *)`);
+  }
+
+  let time;
+  if (rule.time) {
+    const days = rule.time.days || DAYS;
+    const badDays = days.filter(day => !DAYS.includes(day));
+    if (badDays.length > 0) {
+      throw new Error(`${where}: unknown day ${badDays.join(', ')} (expected ${DAYS.join(', ')})`);
+    }
+    const timezone = rule.time.timezone || 'UTC';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      throw new Error(`${where}: unknown timezone "${timezone}"`);
+    }
+    time = {
+      days,
+      from: minutesOf(rule.time.from || '00:00', where),
+      to: minutesOf(rule.time.to || '24:00', where),
+      timezone
+    };
+  }
+
+  const commands = rule.commands?.map(entry => {
+    if (!entry || typeof entry.command !== 'string' || !entry.command) {
+      throw new Error(`${where}: every commands entry needs a "command"`);
+    }
+    try {
+      return { command: entry.command, args: entry.args, pattern: entry.args === undefined ? null : new RegExp(`^(?:${entry.args})$`) };
+    } catch (error) {
+      throw new Error(`${where}: invalid args pattern for ${entry.command}: ${error.message}`);
+    }
+  });
+
+  return {
+    name: rule.name || `rule ${index + 1}`,
+    effect: rule.effect,
+    actions: rule.actions,
+    clusters: rule.clusters,
+    nodes: rule.nodes,
+    vmids: rule.vmids?.map(value => parseVmidRange(value, where)),
+    pools: rule.pools,
+    tags: rule.tags,
+    time,
+    commands,
+    source: rule
+  };
+}
+
+// Weekday and minute of the day in `timezone`
+function localTime(now, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+  return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function inWindow(time, now) {
+  const { day, minutes } = localTime(now, time.timezone);
+  if (!time.days.includes(day)) return false;
+  // A window such as 22:00-06:00 wraps past midnight
+  return time.from <= time.to
+    ? minutes >= time.from && minutes < time.to
+    : minutes >= time.from || minutes < time.to;
+}
+
+function commandAllowed(commands, argv) {
+  const [program, ...args] = argv;
+  return commands.some(entry => entry.command === program && (!entry.pattern || entry.pattern.test(args.join(' '))));
+}
+
+// The first condition of `rule` that `call` fails, or null when the rule matches
+function failedCondition(rule, call, now) {
+  const { action, cluster, node, vmid, guest, argv } = call;
+  if (rule.actions && !rule.actions.includes('*') && !rule.actions.includes(action)) return 'actions';
+  if (rule.clusters && !rule.clusters.includes(cluster)) return 'clusters';
+  if (rule.nodes && !rule.nodes.includes(node)) return 'nodes';
+  if (rule.vmids && !(vmid && rule.vmids.some(range => Number(vmid) >= range.from && Number(vmid) <= range.to))) return 'vmids';
+  if (rule.pools && !(guest?.pool && rule.pools.includes(guest.pool))) return 'pools';
+  if (rule.tags && !(guest?.tags || []).some(tag => rule.tags.includes(tag))) return 'tags';
+  if (rule.time && !inWindow(rule.time, now)) return 'time';
+  if (rule.commands && action === 'exec' && !commandAllowed(rule.commands, argv || [])) return 'commands';
+  return null;
+}
+
+function subjectOf({ action, vmid, node, argv }) {
+  let subject = vmid ? `guest ${vmid}` : 'the cluster';
+  if (node) subject += ` on ${node}`;
+  if (action === 'exec' && argv) subject += ` (command \`${argv.join(' ')}\`)`;
+  return subject;
+}
+
+export class Policy {
+  constructor({ default: defaultEffect = 'deny', rules = [] } = {}, source = 'policy') {
+    if (defaultEffect !== 'allow' && defaultEffect !== 'deny') {
+      throw new Error(`${source}: default must be "allow" or "deny"`);
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error(`${source}: rules must be an array`);
+    }
+    this.source = source;
+    this.defaultEffect = defaultEffect;
+    this.rules = rules.map((rule, i) => validateRule(rule, i, source));
+  }
+
+  // `call` is { action, cluster, node, vmid, guest: { pool, tags } | null, argv }
+  evaluate(call, now = new Date()) {
+    if (!POLICY_ACTIONS.includes(call.action)) {
+      throw new Error(`Unknown action: ${call.action} (expected ${POLICY_ACTIONS.join(', ')})`);
+    }
+
+    const subject = subjectOf(call);
+    let nearMiss = null;
+    for (const rule of this.rules) {
+      const failed = failedCondition(rule, call, now);
+      if (!failed) {
+        return {
+          allowed: rule.effect === 'allow',
+          rule: rule.name,
+          reason: `Rule "${rule.name}" ${rule.effect === 'allow' ? 'allows' : 'denies'} ${call.action} on ${subject}`
+        };
+      }
+      // An allow rule that fits everything but the command explains an exec denial best
+      if (failed === 'commands' && rule.effect === 'allow' && !nearMiss) {
+        nearMiss = rule;
+      }
+    }
+
+    let reason = `No rule matches ${call.action} on ${subject}; the default is ${this.defaultEffect}`;
+    if (nearMiss && this.defaultEffect === 'deny') {
+      const allowed = nearMiss.commands.map(entry => (entry.args === undefined ? entry.command : `${entry.command} ${entry.args}`));
+      reason += `. Rule "${nearMiss.name}" covers this guest but only allows: ${allowed.join('; ')}`;
+    }
+    return { allowed: this.defaultEffect === 'allow', rule: null, reason };
+  }
+}
+
+export function loadPolicy(env = process.env) {
+  if (!env.POLICY_FILE) return null;
+  return new Policy(JSON.parse(readFileSync(env.POLICY_FILE, 'utf8')), env.POLICY_FILE);
+}
+
+export function formatPolicyDecision(decision) {
+  let output = `${decision.allowed ? '✅' : '⛔'} **${decision.allowed ? 'Allowed' : 'Denied'}: ${decision.action}`;
+  output += `${decision.vmid ? ` on ${decision.vmid}` : ''}**\n\n`;
+  output += `• **Reason**: ${decision.reason}\n`;
+  if (decision.rule) {
+    output += `• **Rule**: ${decision.rule}\n`;
+  }
+  if (decision.guest) {
+    const tags = decision.guest.tags.length ? decision.guest.tags.join(', ') : 'none';
+    output += `• **Guest**: ${decision.guest.name || decision.vmid} on ${decision.guest.node}, pool ${decision.guest.pool || 'none'}, tags ${tags}\n`;
+  }
+  return output;
+}
@@ -0,0 +1,72 @@
+// Power/lifecycle actions for QEMU VMs and LXC containers.
+//
+// Every action maps to POST /nodes/{node}/{type}/{vmid}/status/{action}, which
+// starts a Proxmox task and returns its UPID.
+
+import { InvalidInputError } from './errors.js';
+
+export const POWER_ACTIONS = {
+  start: {
+    verb: 'Start',
+    description: 'Start a stopped VM or container'
+  },
+  shutdown: {
+    verb: 'Shut down',
+    description: 'Gracefully shut down a VM or container (ACPI / init), optionally forcing a stop after the timeout'
+  },
+  stop: {
+    verb: 'Stop',
+    description: 'Immediately stop a VM or container (equivalent to pulling the power)'
+  },
+  reboot: {
+    verb: 'Reboot',
+    description: 'Reboot a running VM or container'
+  },
+  suspend: {
+    verb: 'Suspend',
+    description: 'Suspend (pause) a running VM or container'
+  },
+  resume: {
+    verb: 'Resume',
+    description: 'Resume a suspended VM or container'
+  }
+};
+
+export function isPowerAction(action) {
+  return Object.prototype.hasOwnProperty.call(POWER_ACTIONS, action);
+}
+
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function runPowerAction(request, node, vmid, type, action, { timeout, forceStop } = {}) {
+  if (!isPowerAction(action)) {
+    throw new InvalidInputError(`Unknown power action: ${action}`);
+  }
+  if (type !== 'qemu' && type !== 'lxc') {
+    throw new InvalidInputError(`Unknown guest type: ${type}`);
+  }
+
+  const params = {};
+  if (action === 'shutdown') {
+    if (timeout !== undefined && timeout !== null) {
+      params.timeout = parseInt(timeout, 10);
+    }
+    if (forceStop !== undefined && forceStop !== null) {
+      params.forceStop = forceStop ? 1 : 0;
+    }
+  }
+
+  const upid = await request(`/nodes/${node}/${type}/${vmid}/status/${action}`, 'POST', params);
+
+  return { node, vmid, type, action, upid };
+}
+
+export function formatPowerActionResult(result) {
+  const typeIcon = result.type === 'qemu' ? '🖥️' : '📦';
+
+  let output = `⚡ ${typeIcon} **${POWER_ACTIONS[result.action].verb} requested for ${result.type === 'qemu' ? 'VM' : 'container'} ${result.vmid}**\n\n`;
+  output += `• **Node**: ${result.node}\n`;
+  output += `• **Action**: ${result.action}\n`;
+  output += `• **Task UPID**: \`${result.upid || 'N/A'}\`\n`;
+
+  return output;
+}
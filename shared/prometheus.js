@@ -0,0 +1,322 @@
+// Prometheus exporter for GET /metrics (text exposition format 0.0.4).
+//
+// Inventory gauges (nodes, guests, storage, quorum) come from a collection
+// shared by every scrape: it is refreshed at most once per minimum interval
+// and concurrent scrapes wait on the same refresh, so a handful of
+// Prometheus servers scraping every few seconds cost the Proxmox API no more
+// than one. Self-metrics (API latency, API errors, MCP tool calls) are
+// recorded as they happen and always current.
+
+export const DEFAULT_MIN_INTERVAL = 15;
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// One metric family: HELP and TYPE lines followed by its samples
+function renderFamily({ name, help, type, samples }) {
+  let output = `# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}\n`;
+  output += `# TYPE ${name} ${type}\n`;
+  for (const { suffix = '', labels = {}, value } of samples) {
+    output += `${name}${suffix}${formatLabels(labels)} ${formatValue(value)}\n`;
+  }
+  return output;
+}
+
+// Label values in a fixed order, used as the key of a series
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+export class Counter {
+  constructor(name, help, labelNames = []) {
+    Object.assign(this, { name, help, labelNames });
+    this.series = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    const series = this.series.get(key) || { labels, value: 0 };
+    series.value += amount;
+    this.series.set(key, series);
+  }
+
+  render() {
+    return renderFamily({
+      name: this.name,
+      help: this.help,
+      type: 'counter',
+      samples: [...this.series.values()]
+    });
+  }
+}
+
+export class Histogram {
+  constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    Object.assign(this, { name, help, labelNames, buckets });
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const samples = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        samples.push({ suffix: '_bucket', labels: { ...labels, le: bound }, value: counts[i] });
+      });
+      samples.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count });
+      samples.push({ suffix: '_sum', labels, value: sum });
+      samples.push({ suffix: '_count', labels, value: count });
+    }
+    return renderFamily({ name: this.name, help: this.help, type: 'histogram', samples });
+  }
+}
+
+// Endpoint with identifiers replaced by placeholders, so label values stay
+// bounded: /nodes/pve1/qemu/100/status/current -> /nodes/{node}/qemu/{vmid}/status/current
+const PLACEHOLDERS = {
+  nodes: '{node}',
+  qemu: '{vmid}',
+  lxc: '{vmid}',
+  storage: '{storage}',
+  content: '{volume}',
+  tasks: '{upid}',
+  snapshot: '{snapname}',
+  backup: '{id}'
+};
+
+export function endpointTemplate(endpoint) {
+  const segments = endpoint.split('?')[0].split('/');
+  return segments
+    .map((segment, i) => (i > 0 && PLACEHOLDERS[segments[i - 1]] && segment ? PLACEHOLDERS[segments[i - 1]] : segment))
+    .join('/');
+}
+
+// Metrics about this server itself
+export class SelfMetrics {
+  // `toolCalls` is off for the REST server, which has no tools to count
+  constructor({ toolCalls = true } = {}) {
+    this.apiDuration = new Histogram(
+      'proxmox_mcp_api_request_duration_seconds',
+      'Latency of Proxmox API calls made by this server.',
+      ['cluster', 'method', 'endpoint']
+    );
+    this.apiErrors = new Counter(
+      'proxmox_mcp_api_errors_total',
+      'Failed Proxmox API calls by HTTP status ("network" when no response arrived).',
+      ['cluster', 'method', 'endpoint', 'status']
+    );
+    this.toolCalls = toolCalls ? new Counter(
+      'proxmox_mcp_tool_calls_total',
+      'MCP tool calls by tool, cluster and outcome (success, error or failed).',
+      ['tool', 'cluster', 'outcome']
+    ) : null;
+  }
+
+  // Record every API call a cluster's client makes
+  observeClusters(clusters) {
+    for (const { name, client } of clusters.clusters.values()) {
+      client.observe(({ method, endpoint, status, durationMs, error }) => {
+        const labels = { cluster: name, method, endpoint: endpointTemplate(endpoint) };
+        this.apiDuration.observe(labels, durationMs / 1000);
+        if (error) {
+          this.apiErrors.inc({ ...labels, status: status ? String(status) : 'network' });
+        }
+      });
+    }
+  }
+
+  // `result` is a tool result; `failed` when the handler threw
+  countToolCall(tool, cluster, { result, failed = false }) {
+    const outcome = failed ? 'failed' : result?.isError ? 'error' : 'success';
+    this.toolCalls.inc({ tool, cluster, outcome });
+  }
+
+  render() {
+    return [this.apiDuration, this.apiErrors, this.toolCalls].filter(Boolean).map(metric => metric.render()).join('');
+  }
+}
+
+// Inventory metric families: name, help and how to read the value from an item
+const gauge = (name, help, value) => ({ name, help, value });
+const online = (status) => (status === 'online' || status === 'running' || status === 'available' ? 1 : 0);
+
+const NODE_GAUGES = [
+  gauge('proxmox_node_up', 'Whether the node is online.', node => online(node.status)),
+  gauge('proxmox_node_cpu_ratio', 'Node CPU usage (0-1).', node => node.cpu),
+  gauge('proxmox_node_cpus', 'Number of node CPUs.', node => node.maxcpu),
+  gauge('proxmox_node_memory_used_bytes', 'Node memory in use.', node => node.mem),
+  gauge('proxmox_node_memory_total_bytes', 'Node memory size.', node => node.maxmem),
+  gauge('proxmox_node_load1', 'Node 1-minute load average.', node => node.loadavg?.[0]),
+  gauge('proxmox_node_load5', 'Node 5-minute load average.', node => node.loadavg?.[1]),
+  gauge('proxmox_node_load15', 'Node 15-minute load average.', node => node.loadavg?.[2]),
+  gauge('proxmox_node_uptime_seconds', 'Node uptime.', node => node.uptime)
+];
+
+const GUEST_GAUGES = [
+  gauge('proxmox_guest_up', 'Whether the guest is running.', guest => online(guest.status)),
+  gauge('proxmox_guest_cpu_ratio', 'Guest CPU usage (0-1 of its allocated CPUs).', guest => guest.cpu),
+  gauge('proxmox_guest_cpus', 'Number of guest CPUs.', guest => guest.maxcpu),
+  gauge('proxmox_guest_memory_used_bytes', 'Guest memory in use.', guest => guest.mem),
+  gauge('proxmox_guest_memory_total_bytes', 'Guest memory size.', guest => guest.maxmem),
+  gauge('proxmox_guest_disk_used_bytes', 'Guest disk in use (containers only; 0 for VMs).', guest => guest.disk),
+  gauge('proxmox_guest_disk_total_bytes', 'Guest root disk size.', guest => guest.maxdisk),
+  gauge('proxmox_guest_disk_read_bytes_total', 'Bytes read from guest disks since start.', guest => guest.diskread),
+  gauge('proxmox_guest_disk_written_bytes_total', 'Bytes written to guest disks since start.', guest => guest.diskwrite),
+  gauge('proxmox_guest_network_receive_bytes_total', 'Bytes received by the guest since start.', guest => guest.netin),
+  gauge('proxmox_guest_network_transmit_bytes_total', 'Bytes sent by the guest since start.', guest => guest.netout),
+  gauge('proxmox_guest_uptime_seconds', 'Guest uptime.', guest => guest.uptime)
+];
+
+const STORAGE_GAUGES = [
+  gauge('proxmox_storage_up', 'Whether the storage is active.', storage => online(storage.status)),
+  gauge('proxmox_storage_used_bytes', 'Storage space in use.', storage => storage.disk),
+  gauge('proxmox_storage_total_bytes', 'Storage size.', storage => storage.maxdisk)
+];
+
+const CLUSTER_GAUGES = [
+  gauge('proxmox_cluster_quorate', 'Whether the cluster has quorum (1 for a standalone node).', status => status.quorate),
+  gauge('proxmox_cluster_nodes', 'Nodes in the cluster.', status => status.nodes),
+  gauge('proxmox_scrape_success', 'Whether the last collection from the cluster succeeded.', status => status.success),
+  gauge('proxmox_scrape_duration_seconds', 'Time taken by the last collection from the cluster.', status => status.durationSeconds)
+];
+
+// Samples of each gauge for `items`, labelled by `labels(item)`
+function gaugeFamilies(definitions, items, labels) {
+  return definitions.map(({ name, help, value }) => ({
+    name,
+    help,
+    // Byte counts since guest start only go up until a restart
+    type: name.endsWith('_total') ? 'counter' : 'gauge',
+    samples: items
+      .map(item => ({ labels: labels(item), value: value(item) }))
+      .filter(sample => sample.value !== undefined && sample.value !== null && Number.isFinite(Number(sample.value)))
+      .map(sample => ({ ...sample, value: Number(sample.value) }))
+  }));
+}
+
+export class ProxmoxCollector {
+  constructor(clusters, { minIntervalSeconds = DEFAULT_MIN_INTERVAL } = {}) {
+    this.clusters = clusters;
+    this.minIntervalSeconds = minIntervalSeconds;
+    this.output = null;
+    this.collectedAt = 0;
+    this.pending = null;
+  }
+
+  // Exposition text for every cluster, refreshed at most once per interval
+  async collect() {
+    if (this.output !== null && Date.now() - this.collectedAt < this.minIntervalSeconds * 1000) {
+      return this.output;
+    }
+
+    if (!this.pending) {
+      this.pending = this.refresh().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  async refresh() {
+    const results = await Promise.all([...this.clusters.clusters.values()].map(cluster => this.collectCluster(cluster)));
+
+    const nodes = gaugeFamilies(NODE_GAUGES, results.flatMap(r => r.nodes),
+      node => ({ cluster: node.cluster, node: node.node }));
+    const guests = gaugeFamilies(GUEST_GAUGES, results.flatMap(r => r.guests),
+      guest => ({ cluster: guest.cluster, node: guest.node, vmid: guest.vmid, name: guest.name, type: guest.type }));
+    const storage = gaugeFamilies(STORAGE_GAUGES, results.flatMap(r => r.storage),
+      item => ({ cluster: item.cluster, node: item.node, storage: item.storage, type: item.plugintype }));
+    const status = gaugeFamilies(CLUSTER_GAUGES, results.map(r => r.status),
+      item => ({ cluster: item.cluster }));
+
+    this.output = [...status, ...nodes, ...guests, ...storage].map(renderFamily).join('');
+    this.collectedAt = Date.now();
+    return this.output;
+  }
+
+  async collectCluster({ name, client, service }) {
+    const startedAt = Date.now();
+    const tag = items => items.map(item => ({ ...item, cluster: name }));
+    try {
+      const [nodes, guests, storage, clusterStatus] = await Promise.all([
+        service.inventory.get('node'),
+        service.inventory.get('vm'),
+        service.inventory.get('storage'),
+        client.request('/cluster/status')
+      ]);
+
+      // Load averages are only reported by each node's status
+      const nodeItems = await Promise.all(nodes.items.map(async (node) => {
+        if (node.status !== 'online') return node;
+        try {
+          const status = await client.request(`/nodes/${node.node}/status`);
+          return { ...node, loadavg: status.loadavg?.map(Number) };
+        } catch (error) {
+          return node;
+        }
+      }));
+
+      const summary = clusterStatus.find(item => item.type === 'cluster');
+      return {
+        nodes: tag(nodeItems),
+        guests: tag(guests.items),
+        storage: tag(storage.items),
+        status: {
+          cluster: name,
+          quorate: summary ? summary.quorate : 1,
+          nodes: summary ? summary.nodes : nodes.items.length,
+          success: 1,
+          durationSeconds: (Date.now() - startedAt) / 1000
+        }
+      };
+    } catch (error) {
+      return {
+        nodes: [],
+        guests: [],
+        storage: [],
+        status: { cluster: name, success: 0, durationSeconds: (Date.now() - startedAt) / 1000 }
+      };
+    }
+  }
+}
+
+// Express handler for GET /metrics
+export function metricsHandler(collector, selfMetrics) {
+  return async (req, res) => {
+    try {
+      const inventory = await collector.collect();
+      res.type(CONTENT_TYPE).send(inventory + selfMetrics.render());
+    } catch (error) {
+      res.status(500).type('text/plain').send(`# collection failed: ${error.message}\n`);
+    }
+  };
+}
@@ -0,0 +1,236 @@
+// Provisioning: clone QEMU templates, create LXC containers, destroy guests.
+//
+// Each action is built as a plan: the exact API calls it makes, in order. A
+// dry run returns the plan without sending anything. Otherwise the steps run
+// in turn, and when a step starts a task (the clone itself) its task must
+// finish before the next step (cloud-init config, start) can touch the guest.
+
+import { guestTypeIcon } from './format.js';
+import { waitForTask } from './tasks.js';
+import { InvalidInputError, ProxmoxNotFoundError } from './errors.js';
+
+export const DEFAULT_PROVISION_TIMEOUT = 600;
+
+// Parameters never echoed back in plans or results
+const SECRET_PARAMS = ['cipassword', 'password'];
+
+function checkGuestType(type) {
+  if (type !== 'qemu' && type !== 'lxc') {
+    throw new InvalidInputError(`Unknown guest type: ${type}`);
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// A VMID as Proxmox accepts it for a new guest (100 to 999999999), as a string
+export function checkVmid(vmid) {
+  const fields = { vmid: 'a number from 100 to 999999999' };
+  if (vmid === undefined || vmid === null || vmid === '') {
+    throw new InvalidInputError('vmid is required', { fields });
+  }
+  if (!/^\d+$/.test(String(vmid)) || Number(vmid) < 100 || Number(vmid) > 999999999) {
+    throw new InvalidInputError(`Invalid VMID: ${vmid} (must be a number from 100 to 999999999)`, { fields });
+  }
+  return String(vmid);
+}
+
+// The requested VMID, or the next free one from /cluster/nextid
+async function resolveVmid(request, vmid) {
+  if (vmid === undefined || vmid === null || vmid === '') {
+    return String(await request('/cluster/nextid'));
+  }
+  return checkVmid(vmid);
+}
+
+// Cloud-init settings as QEMU config parameters. `ipConfig` is one
+// "ip=...,gw=..." string per network device (ipconfig0, ipconfig1, ...).
+export function cloudInitParams({ user, password, sshKeys, ipConfig, nameserver, searchdomain } = {}) {
+  const params = {};
+  if (user) params.ciuser = user;
+  if (password) params.cipassword = password;
+
+  // The API expects sshkeys URL-encoded even inside a JSON body
+  const keys = toList(sshKeys).map(key => key.trim()).filter(Boolean);
+  if (keys.length) params.sshkeys = encodeURIComponent(keys.join('\n'));
+
+  toList(ipConfig).forEach((config, i) => {
+    params[`ipconfig${i}`] = config;
+  });
+  if (nameserver) params.nameserver = nameserver;
+  if (searchdomain) params.searchdomain = searchdomain;
+  return params;
+}
+
+function redact(params) {
+  const copy = { ...params };
+  for (const name of SECRET_PARAMS) {
+    if (copy[name] !== undefined) copy[name] = '[REDACTED]';
+  }
+  return copy;
+}
+
+// DELETE parameters travel in the query string, everything else in the body
+function stepEndpoint({ method, endpoint, params }) {
+  if (method !== 'DELETE' || Object.keys(params).length === 0) return endpoint;
+  return `${endpoint}?${new URLSearchParams(params)}`;
+}
+
+// Send each step; a step that returns a UPID is waited for before the next.
+// Steps after a failed or unfinished task are reported as skipped.
+async function runPlan(request, plan, { timeout = DEFAULT_PROVISION_TIMEOUT, onProgress } = {}) {
+  const steps = [];
+  let error = null;
+
+  for (const [i, step] of plan.entries()) {
+    const result = { ...step, params: redact(step.params) };
+    if (error) {
+      steps.push({ ...result, status: 'skipped' });
+      continue;
+    }
+
+    const response = await request(stepEndpoint(step), step.method, step.method === 'DELETE' ? null : step.params);
+    const upid = typeof response === 'string' && response.startsWith('UPID:') ? response : null;
+    steps.push({ ...result, upid, status: upid ? 'started' : 'done' });
+
+    if (upid && i < plan.length - 1) {
+      const task = await waitForTask(request, upid, { timeout, onProgress });
+      if (task.success) {
+        steps[i].status = 'done';
+      } else {
+        steps[i].status = task.timedOut ? 'running' : 'failed';
+        error = task.timedOut
+          ? `Task ${upid} still running after ${timeout}s; the remaining steps were not sent`
+          : `Task ${upid} failed: ${task.exitstatus || 'unknown error'}`;
+      }
+    }
+  }
+
+  return { steps, error };
+}
+
+async function execute(request, action, plan, { dryRun, ...options }) {
+  if (dryRun) {
+    return { ...action, dryRun: true, steps: plan.map(step => ({ ...step, params: redact(step.params) })), error: null };
+  }
+  return { ...action, dryRun: false, ...(await runPlan(request, plan, options)) };
+}
+
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function cloneTemplate(request, node, vmid, {
+  newid, name, target, storage, full, pool, description, cloudInit, start = false, dryRun = false, timeout, onProgress
+} = {}) {
+  if (storage && full === false) {
+    throw new InvalidInputError('A target storage can only be set for a full clone');
+  }
+
+  const id = await resolveVmid(request, newid);
+  const autoVmid = !newid;
+  const targetNode = target || node;
+
+  const params = { newid: id };
+  if (name) params.name = name;
+  if (target) params.target = target;
+  if (storage) params.storage = storage;
+  if (full !== undefined && full !== null) params.full = full ? 1 : 0;
+  if (pool) params.pool = pool;
+  if (description) params.description = description;
+
+  const plan = [{ method: 'POST', endpoint: `/nodes/${node}/qemu/${vmid}/clone`, params }];
+  const cloudInitConfig = cloudInitParams(cloudInit);
+  if (Object.keys(cloudInitConfig).length) {
+    plan.push({ method: 'PUT', endpoint: `/nodes/${targetNode}/qemu/${id}/config`, params: cloudInitConfig });
+  }
+  if (start) {
+    plan.push({ method: 'POST', endpoint: `/nodes/${targetNode}/qemu/${id}/status/start`, params: {} });
+  }
+
+  return execute(request, { action: 'clone', type: 'qemu', node: targetNode, vmid: id, autoVmid, source: String(vmid) }, plan, { dryRun, timeout, onProgress });
+}
+
+// Container templates available in a storage, by volid
+async function listContainerTemplates(request, node, storage) {
+  const content = await request(`/nodes/${node}/storage/${storage}/content?content=vztmpl`);
+  return content.map(item => item.volid);
+}
+
+export async function createContainer(request, node, {
+  vmid, ostemplate, hostname, storage = 'local-lvm', diskSize = 8, cores = 1, memory = 512, swap = 512,
+  password, sshKeys, bridge = 'vmbr0', ipConfig = 'ip=dhcp', unprivileged = true, pool, start = false, dryRun = false
+} = {}) {
+  const match = /^([\w.-]+):vztmpl\/.+/.exec(ostemplate || '');
+  if (!match) {
+    throw new InvalidInputError(`Not a container template: ${ostemplate} (expected a volid such as local:vztmpl/debian-12-standard_12.2-1_amd64.tar.zst)`);
+  }
+  const templates = await listContainerTemplates(request, node, match[1]);
+  if (!templates.includes(ostemplate)) {
+    throw new ProxmoxNotFoundError(`Template ${ostemplate} not found on ${node} (available: ${templates.join(', ') || 'none'})`);
+  }
+
+  const id = await resolveVmid(request, vmid);
+  const params = {
+    vmid: id,
+    ostemplate,
+    rootfs: `${storage}:${diskSize}`,
+    cores,
+    memory,
+    swap,
+    net0: `name=eth0,bridge=${bridge},${ipConfig}`,
+    unprivileged: unprivileged ? 1 : 0
+  };
+  if (hostname) params.hostname = hostname;
+  if (password) params.password = password;
+  const keys = toList(sshKeys).map(key => key.trim()).filter(Boolean);
+  if (keys.length) params['ssh-public-keys'] = keys.join('\n');
+  if (pool) params.pool = pool;
+  if (start) params.start = 1;
+
+  const plan = [{ method: 'POST', endpoint: `/nodes/${node}/lxc`, params }];
+  return execute(request, { action: 'create', type: 'lxc', node, vmid: id, autoVmid: !vmid, source: ostemplate }, plan, { dryRun });
+}
+
+export async function destroyGuest(request, node, vmid, type, { purge = false, dryRun = false } = {}) {
+  checkGuestType(type);
+
+  const params = {};
+  if (purge) params.purge = 1;
+
+  const plan = [{ method: 'DELETE', endpoint: `/nodes/${node}/${type}/${vmid}`, params }];
+  return execute(request, { action: 'destroy', type, node, vmid: String(vmid), autoVmid: false, source: null }, plan, { dryRun });
+}
+
+const ACTION_TITLES = {
+  clone: result => `Clone of VM ${result.source} to ${result.vmid}`,
+  create: result => `Container ${result.vmid} from ${result.source.split('/').pop()}`,
+  destroy: result => `Destroy ${result.type === 'qemu' ? 'VM' : 'container'} ${result.vmid}`
+};
+
+const STEP_ICONS = { done: '✅', started: '🚀', running: '⏳', failed: '❌', skipped: '⏭️' };
+
+export function formatProvisioningResult(result) {
+  const title = ACTION_TITLES[result.action](result);
+  let output = result.dryRun
+    ? `🧪 ${guestTypeIcon(result.type)} **Dry run: ${title}**\n\nNothing was sent. These are the calls that would be made:\n\n`
+    : `${result.error ? '⚠️' : result.action === 'destroy' ? '🗑️' : '🆕'} ${guestTypeIcon(result.type)} **${title}**\n\n`;
+
+  result.steps.forEach((step, i) => {
+    const icon = result.dryRun ? `${i + 1}.` : STEP_ICONS[step.status];
+    output += `${icon} \`${step.method} ${stepEndpoint(step)}\`\n`;
+    if (step.method !== 'DELETE' && Object.keys(step.params).length) {
+      output += `\`\`\`json\n${JSON.stringify(step.params, null, 2)}\n\`\`\`\n`;
+    }
+    if (step.upid) {
+      output += `   • Task UPID: \`${step.upid}\`\n`;
+    }
+  });
+
+  if (result.error) {
+    output += `\n**Error**: ${result.error}\n`;
+  }
+  if (result.dryRun && result.autoVmid) {
+    output += `\nVMID ${result.vmid} is the next free ID now; the real run picks it again unless you pass it explicitly.\n`;
+  }
+  return output;
+}
@@ -0,0 +1,189 @@
+// Proxmox VE API client shared by the REST and MCP servers.
+//
+// Authenticates with an API token (PVEAPIToken header) or, when a password is
+// configured instead, with a ticket from /access/ticket (see ticket-auth.js).
+// Failed calls throw the typed errors from errors.js; timeouts, retries and
+// the per-node circuit breaker are described in resilience.js.
+
+import fetch from 'node-fetch';
+import { loadTLSConfig, createProxmoxAgent, describeTLSConfig } from './tls.js';
+import { TicketSession } from './ticket-auth.js';
+import { errorFromResponse, errorFromNetwork } from './errors.js';
+import { CircuitBreaker, loadResilienceConfig, isTransient, backoffDelay, nodeOf, DEFAULT_REQUEST_TIMEOUT, DEFAULT_RETRIES } from './resilience.js';
+
+export const AUTH_MODES = ['token', 'ticket'];
+
+export class ProxmoxClient {
+  constructor({ host, port = 8006, user = 'root@pam', tokenName, tokenValue, password, realm, totpSecret, authMode, tls = {}, resilience = {} }) {
+    this.host = host;
+    this.port = port;
+    this.user = user;
+    this.tokenName = tokenName;
+    this.tokenValue = tokenValue;
+    this.password = password;
+
+    // Token auth unless only a password was given
+    this.authMode = authMode || (password && !tokenName && !tokenValue ? 'ticket' : 'token');
+    if (!AUTH_MODES.includes(this.authMode)) {
+      throw new Error(`Invalid PROXMOX_AUTH_MODE "${this.authMode}" (expected ${AUTH_MODES.join(' or ')})`);
+    }
+    this.ticketSession = this.authMode === 'ticket'
+      ? new TicketSession({ username: user, password, realm, totpSecret }, (endpoint, data) => this.send(endpoint, 'POST', data))
+      : null;
+
+    // Verifies the certificate (CA chain or pinned fingerprint) per shared/tls.js
+    this.tlsMode = describeTLSConfig(tls);
+    this.httpsAgent = createProxmoxAgent(tls);
+
+    this.timeoutSeconds = resilience.timeoutSeconds ?? DEFAULT_REQUEST_TIMEOUT;
+    this.retries = resilience.retries ?? DEFAULT_RETRIES;
+    this.breaker = new CircuitBreaker({ threshold: resilience.breakerThreshold, cooldownSeconds: resilience.breakerCooldownSeconds });
+
+    // Feature modules take a bare request(endpoint, method, data) function
+    this.request = this.request.bind(this);
+    this.observers = [];
+  }
+
+  // fn({ method, endpoint, status, durationMs, error }) after every API call
+  observe(fn) {
+    this.observers.push(fn);
+  }
+
+  static fromEnv(env = process.env) {
+    return new ProxmoxClient({
+      host: env.PROXMOX_HOST,
+      port: env.PROXMOX_PORT || '8006',
+      user: env.PROXMOX_USER || 'root@pam',
+      tokenName: env.PROXMOX_TOKEN_NAME,
+      tokenValue: env.PROXMOX_TOKEN_VALUE,
+      password: env.PROXMOX_PASSWORD,
+      realm: env.PROXMOX_REALM,
+      totpSecret: env.PROXMOX_TOTP_SECRET,
+      authMode: env.PROXMOX_AUTH_MODE,
+      tls: loadTLSConfig(env),
+      resilience: loadResilienceConfig(env)
+    });
+  }
+
+  get address() {
+    return `${this.host}:${this.port}`;
+  }
+
+  // The Proxmox user or API token calls run as, for permission hints
+  get principal() {
+    return this.authMode === 'token' ? `${this.user}!${this.tokenName}` : this.user;
+  }
+
+  // Names of required settings that are missing
+  missingSettings() {
+    const credentials = this.authMode === 'ticket'
+      ? [['PROXMOX_PASSWORD', this.password]]
+      : [['PROXMOX_TOKEN_NAME', this.tokenName], ['PROXMOX_TOKEN_VALUE', this.tokenValue]];
+
+    return [['PROXMOX_HOST', this.host], ...credentials]
+      .filter(([, value]) => !value)
+      .map(([name]) => name);
+  }
+
+  // One API call through the node's circuit breaker; GETs are retried on transient failures
+  async request(endpoint, method = 'GET', data = null) {
+    const node = nodeOf(endpoint);
+    this.breaker.check(node, { method, endpoint });
+
+    const attempts = method === 'GET' ? this.retries + 1 : 1;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.authenticated(endpoint, method, data);
+        this.breaker.record(node);
+        return result;
+      } catch (error) {
+        if (attempt >= attempts || !isTransient(error)) {
+          this.breaker.record(node, error);
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, backoffDelay(attempt)));
+      }
+    }
+  }
+
+  async authenticated(endpoint, method, data) {
+    if (this.authMode === 'token') {
+      return this.send(endpoint, method, data, {
+        'Authorization': `PVEAPIToken=${this.user}!${this.tokenName}=${this.tokenValue}`
+      });
+    }
+
+    const headers = await this.ticketSession.headers(method);
+    try {
+      return await this.send(endpoint, method, data, headers);
+    } catch (error) {
+      // The ticket may have been revoked or expired early: log in again once
+      if (error.status !== 401) throw error;
+      this.ticketSession.invalidate();
+      return this.send(endpoint, method, data, await this.ticketSession.headers(method));
+    }
+  }
+
+  // One unauthenticated-by-default API call; `authHeaders` come from request()
+  async send(endpoint, method = 'GET', data = null, authHeaders = {}) {
+    const url = `https://${this.address}/api2/json${endpoint}`;
+    const headers = { ...authHeaders };
+
+    // Covers the whole exchange, body included
+    const controller = new AbortController();
+    const timer = this.timeoutSeconds > 0 ? setTimeout(() => controller.abort(), this.timeoutSeconds * 1000) : null;
+    const options = {
+      method,
+      headers,
+      agent: this.httpsAgent,
+      signal: controller.signal
+    };
+
+    if (data && method !== 'GET') {
+      headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(data);
+    }
+
+    const startedAt = process.hrtime.bigint();
+    const report = (status, error) => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      for (const observer of this.observers) {
+        observer({ method, endpoint, status, durationMs, error });
+      }
+    };
+
+    let response;
+    let result;
+    let body = '';
+    try {
+      response = await fetch(url, options);
+      if (response.ok) {
+        result = await response.json();
+      } else {
+        body = await response.text().catch(() => '');
+      }
+    } catch (cause) {
+      const error = errorFromNetwork(cause, { method, endpoint, address: this.address, timeoutSeconds: this.timeoutSeconds });
+      report(response?.status ?? null, error);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const error = errorFromResponse({
+        status: response.status,
+        statusText: response.statusText,
+        body,
+        method,
+        endpoint,
+        principal: this.principal
+      });
+      report(response.status, error);
+      throw error;
+    }
+
+    report(response.status, null);
+    return result.data;
+  }
+}
@@ -0,0 +1,697 @@
+// Proxmox operations shared by the REST and MCP servers.
+//
+// Every method returns `{ content: [{ type: 'text', text }], ...data }` so the
+// REST routes can hand back the raw data and MCP tools the formatted text.
+// Results with `isError: true` describe a refused or failed operation.
+
+import { formatBytes, formatUptime, formatPercent, formatTimestamp, formatWarnings } from './format.js';
+import { runGuestCommand, formatGuestCommandResult, buildCommandArgv, resolveExecTimeout, DEFAULT_EXEC_TIMEOUT, DEFAULT_EXEC_MAX_TIMEOUT } from './guest-exec.js';
+import { runPowerAction, formatPowerActionResult } from './power.js';
+import { listSnapshots, createSnapshot, rollbackSnapshot, deleteSnapshot, formatSnapshotTree, formatSnapshotActionResult } from './snapshots.js';
+import { startBackup, listBackups, listBackupJobs, restoreBackup, checkRestore, archiveGuestType, toVmidList, formatBackupStarted, formatBackupList, formatBackupJobs, formatRestoreStarted } from './backups.js';
+import { cloneTemplate, createContainer, destroyGuest, formatProvisioningResult } from './provisioning.js';
+import { getGuestConfig, updateGuestConfig, formatGuestConfig, formatConfigChanges } from './guest-config.js';
+import { getMetrics, formatMetrics } from './metrics.js';
+import { Inventory, DEFAULT_CACHE_TTL, cacheInfo, formatCacheInfo, partialInfo, warningsFor } from './inventory.js';
+import { ConfirmationStore, formatPlan } from './confirmations.js';
+import { POLICY_ACTIONS, ELEVATED_ACTIONS, formatPolicyDecision } from './policy.js';
+import { ProxmoxError, ProxmoxNotFoundError, InvalidInputError } from './errors.js';
+import { listTasks, getTaskStatus, getTaskLog, waitForTask, formatTaskList, formatTaskStatus, formatTaskLog } from './tasks.js';
+
+export class ProxmoxService {
+  constructor(client, { name = 'default', allowElevated = false, policy = null, execTimeout = DEFAULT_EXEC_TIMEOUT, execMaxTimeout = DEFAULT_EXEC_MAX_TIMEOUT, cacheTtl = DEFAULT_CACHE_TTL, confirm } = {}) {
+    this.client = client;
+    this.name = name;
+    this.allowElevated = allowElevated;
+    this.policy = policy;
+    this.execTimeout = execTimeout;
+    this.execMaxTimeout = execMaxTimeout;
+    this.inventory = new Inventory(client.request, { ttlSeconds: cacheTtl });
+    this.confirmations = new ConfirmationStore(confirm);
+  }
+
+  // Name, node, pool and tags of a guest from fresh (uncached) inventory, or null
+  async findGuest(vmid) {
+    const { items: guests } = await this.inventory.load('vm');
+    const guest = guests.find(vm => String(vm.vmid) === String(vmid));
+    if (!guest) return null;
+    return {
+      name: guest.name,
+      type: guest.type,
+      node: guest.node,
+      status: guest.status,
+      uptime: guest.uptime,
+      pool: guest.pool || null,
+      tags: (guest.tags || '').split(/[;,\s]+/).filter(Boolean)
+    };
+  }
+
+  // The guest as its node reports it, or null when the node has none with
+  // that VMID. Without a type both kinds are tried. Failures other than
+  // "not found" are thrown, so an unreachable node never counts as empty.
+  async findGuestOnNode(node, vmid, type) {
+    for (const guestType of type ? [type] : ['qemu', 'lxc']) {
+      try {
+        const status = await this.client.request(`/nodes/${node}/${guestType}/${vmid}/status/current`);
+        return {
+          name: status.name,
+          type: guestType,
+          node: node,
+          status: status.status,
+          uptime: status.uptime,
+          pool: null,
+          tags: (status.tags || '').split(/[;,\s]+/).filter(Boolean)
+        };
+      } catch (error) {
+        if (!(error instanceof ProxmoxNotFoundError)) throw error;
+      }
+    }
+    return null;
+  }
+
+  // Whether `action` may run on the guest. With POLICY_FILE its rules decide;
+  // without one PROXMOX_ALLOW_ELEVATED gates the elevated actions.
+  async checkPolicy(action, { node, vmid, argv } = {}) {
+    const target = { action, vmid: vmid ? String(vmid) : null, node: node || null };
+    if (!this.policy) {
+      const allowed = this.allowElevated || !ELEVATED_ACTIONS.includes(action);
+      return {
+        ...target,
+        allowed,
+        rule: null,
+        reason: allowed
+          ? `No POLICY_FILE; ${action} is allowed${ELEVATED_ACTIONS.includes(action) ? ' because PROXMOX_ALLOW_ELEVATED=true' : ''}`
+          : `No POLICY_FILE; ${action} needs PROXMOX_ALLOW_ELEVATED=true`,
+        guest: null
+      };
+    }
+
+    const guest = vmid ? await this.findGuest(vmid) : null;
+    target.node = target.node || guest?.node || null;
+    return { ...target, ...this.policy.evaluate({ ...target, cluster: this.name, guest, argv }), guest };
+  }
+
+  // A refusal result when the call may not run, else null. Without a policy
+  // file `refusal()` gives the action's own PROXMOX_ALLOW_ELEVATED message.
+  async authorize(action, target, refusal) {
+    const decision = await this.checkPolicy(action, target);
+    if (decision.allowed) return null;
+    if (!this.policy && refusal) return refusal();
+
+    return {
+      content: [{ type: 'text', text: formatPolicyDecision(decision) }],
+      policy: decision,
+      isError: true
+    };
+  }
+
+  async explainPolicy(action, { node, vmid, command, args } = {}) {
+    if (!POLICY_ACTIONS.includes(action)) {
+      throw new InvalidInputError(`Unknown action: ${action} (expected ${POLICY_ACTIONS.join(', ')})`);
+    }
+    const argv = action === 'exec' && command ? buildCommandArgv(command, args || []) : undefined;
+    const decision = await this.checkPolicy(action, { node, vmid, argv });
+    return {
+      content: [{ type: 'text', text: formatPolicyDecision(decision) }],
+      policy: decision
+    };
+  }
+
+  // Run `run` now, or first return a plan and confirmation token when the
+  // action needs confirming. `target` holds every argument the token covers;
+  // `details()` lists extra plan lines and is only called for a new plan.
+  async withConfirmation({ action, target, details = async () => [] }, { confirmationToken, actor } = {}, run) {
+    if (!this.confirmations.requires(action, target)) {
+      return run();
+    }
+    if (confirmationToken) {
+      const plan = this.confirmations.redeem(confirmationToken, action, target, { actor });
+      return { ...(await run()), confirmedPlan: plan.id };
+    }
+
+    // A guest that doesn't exist has nothing to lose. The inventory may be
+    // stale or miss nodes it couldn't list, so the target node has the last word.
+    const guest = await this.findGuest(target.vmid) || await this.findGuestOnNode(target.node, target.vmid, target.type);
+    if (!guest) {
+      return run();
+    }
+
+    const plan = this.confirmations.propose(action, target, { actor, guest, details: await details() });
+    const { token, ...summary } = plan;
+    return {
+      content: [{ type: 'text', text: formatPlan(plan) }],
+      plan: summary,
+      confirmationToken: token
+    };
+  }
+
+  async getNodes() {
+    const entry = await this.inventory.get('node');
+    const nodes = [...entry.items].sort((a, b) => a.node.localeCompare(b.node));
+    const cache = cacheInfo(entry, this.inventory.ttlSeconds);
+    
+    let output = '🖥️  **Proxmox Cluster Nodes**\n\n';
+    
+    for (const node of nodes) {
+      const status = node.status === 'online' ? '🟢' : '🔴';
+      output += `${status} **${node.node}**\n`;
+      output += `   • Status: ${node.status}\n`;
+      output += `   • Uptime: ${node.uptime ? formatUptime(node.uptime) : 'N/A'}\n`;
+      output += `   • CPU: ${node.cpu ? `${(node.cpu * 100).toFixed(1)}%` : 'N/A'}\n`;
+      output += `   • Memory: ${node.mem && node.maxmem ? 
+        `${formatBytes(node.mem)} / ${formatBytes(node.maxmem)} (${((node.mem / node.maxmem) * 100).toFixed(1)}%)` : 'N/A'}\n`;
+      output += `   • Load: ${node.loadavg ? node.loadavg.join(', ') : 'N/A'}\n\n`;
+    }
+    
+    output += formatCacheInfo(cache);
+
+    return {
+      content: [{ type: 'text', text: output }],
+      nodes: nodes,
+      cache: cache
+    };
+  }
+
+  async getNodeStatus(nodeName) {
+    const nodeStatus = await this.client.request(`/nodes/${nodeName}/status`);
+    
+    let output = `🖥️  **Node: ${nodeName}**\n\n`;
+    output += `• **Status**: ${nodeStatus.uptime ? 'Online' : 'Offline'}\n`;
+    output += `• **Uptime**: ${nodeStatus.uptime ? formatUptime(nodeStatus.uptime) : 'N/A'}\n`;
+    output += `• **CPU Usage**: ${nodeStatus.cpu ? `${(nodeStatus.cpu * 100).toFixed(1)}%` : 'N/A'}\n`;
+    output += `• **Memory**: ${nodeStatus.memory ? 
+      `${formatBytes(nodeStatus.memory.used)} / ${formatBytes(nodeStatus.memory.total)} (${((nodeStatus.memory.used / nodeStatus.memory.total) * 100).toFixed(1)}%)` : 'N/A'}\n`;
+    output += `• **Load Average**: ${nodeStatus.loadavg ? nodeStatus.loadavg.join(', ') : 'N/A'}\n`;
+    output += `• **Root FS**: ${nodeStatus.rootfs ? 
+      `${formatBytes(nodeStatus.rootfs.used)} / ${formatBytes(nodeStatus.rootfs.total)} (${((nodeStatus.rootfs.used / nodeStatus.rootfs.total) * 100).toFixed(1)}%)` : 'N/A'}\n`;
+    
+    return {
+      content: [{ type: 'text', text: output }],
+      nodeStatus: nodeStatus
+    };
+  }
+
+  async getVMs(nodeName = null, type = 'all') {
+    const entry = await this.inventory.get('vm');
+    const cache = cacheInfo(entry, this.inventory.ttlSeconds);
+    const vms = entry.items.filter(vm =>
+      (!nodeName || vm.node === nodeName) &&
+      (type === 'all' || !type || vm.type === type)
+    );
+    
+    let output = '💻 **Virtual Machines**\n\n';
+    
+    // Sort VMs by ID
+    vms.sort((a, b) => a.vmid - b.vmid);
+    
+    for (const vm of vms) {
+      const status = vm.status === 'running' ? '🟢' : vm.status === 'stopped' ? '🔴' : '🟡';
+      const typeIcon = vm.type === 'qemu' ? '🖥️' : '📦';
+      
+      output += `${status} ${typeIcon} **${vm.name || `VM-${vm.vmid}`}** (ID: ${vm.vmid})\n`;
+      output += `   • Node: ${vm.node}\n`;
+      output += `   • Status: ${vm.status}\n`;
+      output += `   • Type: ${vm.type.toUpperCase()}\n`;
+      
+      if (vm.status === 'running') {
+        output += `   • Uptime: ${vm.uptime ? formatUptime(vm.uptime) : 'N/A'}\n`;
+        output += `   • CPU: ${vm.cpu ? `${(vm.cpu * 100).toFixed(1)}%` : 'N/A'}\n`;
+        output += `   • Memory: ${vm.mem && vm.maxmem ? 
+          `${formatBytes(vm.mem)} / ${formatBytes(vm.maxmem)}` : 'N/A'}\n`;
+      }
+      
+      output += '\n';
+    }
+    
+    const warnings = warningsFor(entry.warnings, nodeName);
+    output += formatWarnings(warnings);
+    output += formatCacheInfo(cache);
+
+    return {
+      content: [{ type: 'text', text: output }],
+      vms: vms,
+      ...partialInfo(warnings),
+      cache: cache
+    };
+  }
+
+  async getVMStatus(node, vmid, type = 'qemu') {
+    const vmStatus = await this.client.request(`/nodes/${node}/${type}/${vmid}/status/current`);
+    
+    const status = vmStatus.status === 'running' ? '🟢' : vmStatus.status === 'stopped' ? '🔴' : '🟡';
+    const typeIcon = type === 'qemu' ? '🖥️' : '📦';
+    
+    let output = `${status} ${typeIcon} **${vmStatus.name || `VM-${vmid}`}** (ID: ${vmid})\n\n`;
+    output += `• **Node**: ${node}\n`;
+    output += `• **Status**: ${vmStatus.status}\n`;
+    output += `• **Type**: ${type.toUpperCase()}\n`;
+    
+    if (vmStatus.status === 'running') {
+      output += `• **Uptime**: ${vmStatus.uptime ? formatUptime(vmStatus.uptime) : 'N/A'}\n`;
+      output += `• **CPU Usage**: ${vmStatus.cpu ? `${(vmStatus.cpu * 100).toFixed(1)}%` : 'N/A'}\n`;
+      output += `• **Memory**: ${vmStatus.mem && vmStatus.maxmem ? 
+        `${formatBytes(vmStatus.mem)} / ${formatBytes(vmStatus.maxmem)} (${((vmStatus.mem / vmStatus.maxmem) * 100).toFixed(1)}%)` : 'N/A'}\n`;
+      output += `• **Disk Read**: ${vmStatus.diskread ? formatBytes(vmStatus.diskread) : 'N/A'}\n`;
+      output += `• **Disk Write**: ${vmStatus.diskwrite ? formatBytes(vmStatus.diskwrite) : 'N/A'}\n`;
+      output += `• **Network In**: ${vmStatus.netin ? formatBytes(vmStatus.netin) : 'N/A'}\n`;
+      output += `• **Network Out**: ${vmStatus.netout ? formatBytes(vmStatus.netout) : 'N/A'}\n`;
+    }
+    
+    return {
+      content: [{ type: 'text', text: output }],
+      vmStatus: vmStatus
+    };
+  }
+
+  async getVMConfig(node, vmid, type = 'qemu') {
+    const result = await getGuestConfig(this.client.request, node, vmid, type);
+
+    return {
+      content: [{ type: 'text', text: formatGuestConfig(result) }],
+      config: result.config,
+      pending: result.pending,
+      status: result.status
+    };
+  }
+
+  async updateVMConfig(node, vmid, type = 'qemu', changes = {}, options = {}) {
+    const refusal = await this.authorize('config', { node, vmid }, () => ({
+      content: [{
+        type: 'text',
+        text: `⚠️  **Configuration Changes Require Elevated Permissions**\n\nTo change guest configuration (including previews), set \`PROXMOX_ALLOW_ELEVATED=true\` in your .env file and ensure your API token has the VM.Config.* privileges.\n\n**Current permissions**: Basic (VM listing only)\n**Requested action**: change configuration of ${vmid}`
+      }],
+      isError: true
+    }));
+    if (refusal) return refusal;
+
+    const result = await updateGuestConfig(this.client.request, node, vmid, type, changes, options);
+    if (!result.dryRun) {
+      this.inventory.invalidate();
+    }
+
+    return {
+      content: [{ type: 'text', text: formatConfigChanges(result) }],
+      result: result
+    };
+  }
+
+  async executeVMCommand(node, vmid, command, type = 'qemu', options = {}) {
+    const commandText = Array.isArray(command) ? command.join(' ') : command;
+    const timeout = resolveExecTimeout(options.timeout, { fallback: this.execTimeout, max: this.execMaxTimeout });
+
+    const refusal = await this.authorize('exec', { node, vmid, argv: buildCommandArgv(command, options.args || []) }, () => ({
+      content: [{ 
+        type: 'text', 
+        text: `⚠️  **VM Command Execution Requires Elevated Permissions**\n\nTo execute commands on VMs, set \`PROXMOX_ALLOW_ELEVATED=true\` in your .env file and ensure your API token has appropriate VM permissions.\n\n**Current permissions**: Basic (VM listing only)\n**Requested command**: \`${commandText}\``
+      }],
+      isError: true
+    }));
+    if (refusal) return refusal;
+
+    // Proxmox has no API for running commands inside LXC containers
+    if (type !== 'qemu') {
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ **Command execution not supported for containers**\n\nThe Proxmox API only supports command execution through the QEMU guest agent. Use \`pct exec ${vmid}\` on node ${node} for LXC containers.`
+        }],
+        isError: true
+      };
+    }
+    
+    const target = { node, vmid, command, args: options.args, input: options.input };
+    const details = async () => [`**Command**: \`${[commandText, ...(options.args || [])].join(' ')}\`${options.input ? ' (with input on stdin)' : ''}`];
+    return this.withConfirmation({ action: 'exec', target, details }, options, async () => {
+      try {
+        const result = await runGuestCommand(this.client.request, node, vmid, {
+          command,
+          args: options.args,
+          input: options.input,
+          timeout,
+          onProgress: options.onProgress
+        });
+
+        return {
+          content: [{ type: 'text', text: formatGuestCommandResult(vmid, result) }],
+          result: result
+        };
+      } catch (error) {
+        // Typed failures (permission, not found, unreachable...) keep their status;
+        // what's left is usually the guest agent refusing the command
+        if (error instanceof ProxmoxError && error.type !== 'proxmox') throw error;
+        return {
+          content: [{ 
+            type: 'text', 
+            text: `❌ **Command execution failed**\n\n**Error**: ${error.message}\n\n*Note: Ensure the VM has guest agent installed and running (for QEMU VMs)*`
+          }],
+          isError: true
+        };
+      }
+    });
+  }
+
+  async runVMPowerAction(node, vmid, action, type = 'qemu', options = {}) {
+    const refusal = await this.authorize(action, { node, vmid }, () => ({
+      content: [{
+        type: 'text',
+        text: `⚠️  **Power Actions Require Elevated Permissions**\n\nTo ${action} VMs and containers, set \`PROXMOX_ALLOW_ELEVATED=true\` in your .env file and ensure your API token has the VM.PowerMgmt privilege.\n\n**Current permissions**: Basic (VM listing only)\n**Requested action**: \`${action}\` on ${vmid}`
+      }],
+      isError: true
+    }));
+    if (refusal) return refusal;
+
+    const target = { node, vmid, type, action, timeout: options.timeout, forceStop: options.forceStop };
+    return this.withConfirmation({ action, target }, options, async () => {
+      const result = await runPowerAction(this.client.request, node, vmid, type, action, options);
+      this.inventory.invalidate();
+
+      return {
+        content: [{ type: 'text', text: formatPowerActionResult(result) }],
+        result: result
+      };
+    });
+  }
+
+  async getSnapshots(node, vmid, type = 'qemu') {
+    const result = await listSnapshots(this.client.request, node, vmid, type);
+
+    return {
+      content: [{ type: 'text', text: formatSnapshotTree(result) }],
+      snapshots: result.snapshots
+    };
+  }
+
+  async createVMSnapshot(node, vmid, type = 'qemu', options = {}) {
+    const refusal = await this.authorize('snapshot', { node, vmid });
+    if (refusal) return refusal;
+
+    const result = await createSnapshot(this.client.request, node, vmid, type, options);
+
+    return {
+      content: [{ type: 'text', text: formatSnapshotActionResult(result) }],
+      result: result
+    };
+  }
+
+  async rollbackVMSnapshot(node, vmid, name, type = 'qemu', options = {}) {
+    const refusal = await this.authorize('rollback', { node, vmid }, () => this.snapshotRefusal('roll back', vmid, name));
+    if (refusal) return refusal;
+
+    const target = { node, vmid, type, name };
+    return this.withConfirmation({ action: 'rollback', target, details: () => this.snapshotDetails(node, vmid, type, name) }, options, async () => {
+      const result = await rollbackSnapshot(this.client.request, node, vmid, type, name);
+      this.inventory.invalidate();
+
+      return {
+        content: [{ type: 'text', text: formatSnapshotActionResult(result) }],
+        result: result
+      };
+    });
+  }
+
+  async deleteVMSnapshot(node, vmid, name, type = 'qemu', options = {}) {
+    const refusal = await this.authorize('delete_snapshot', { node, vmid }, () => this.snapshotRefusal('delete', vmid, name));
+    if (refusal) return refusal;
+
+    const target = { node, vmid, type, name };
+    return this.withConfirmation({ action: 'delete_snapshot', target, details: () => this.snapshotDetails(node, vmid, type, name) }, options, async () => {
+      const result = await deleteSnapshot(this.client.request, node, vmid, type, name);
+
+      return {
+        content: [{ type: 'text', text: formatSnapshotActionResult(result) }],
+        result: result
+      };
+    });
+  }
+
+  // Plan lines naming the snapshot and when it was taken
+  async snapshotDetails(node, vmid, type, name) {
+    const { snapshots } = await listSnapshots(this.client.request, node, vmid, type);
+    const snapshot = snapshots.find(snap => snap.name === name);
+    if (!snapshot) {
+      return [`**Snapshot**: \`${name}\` (not found; the call will fail)`];
+    }
+    return [`**Snapshot**: \`${name}\`${snapshot.snaptime ? `, taken ${formatTimestamp(snapshot.snaptime)}` : ''}${snapshot.vmstate ? ' with RAM state' : ''}`];
+  }
+
+  snapshotRefusal(verb, vmid, name) {
+    return {
+      content: [{
+        type: 'text',
+        text: `⚠️  **Snapshot ${verb === 'delete' ? 'Deletion' : 'Rollback'} Requires Elevated Permissions**\n\nTo ${verb} snapshots, set \`PROXMOX_ALLOW_ELEVATED=true\` in your .env file and ensure your API token has the ${verb === 'delete' ? 'VM.Snapshot' : 'VM.Snapshot.Rollback'} privilege.\n\n**Current permissions**: Basic (VM listing only)\n**Requested action**: ${verb} snapshot \`${name}\` of ${vmid}`
+      }],
+      isError: true
+    };
+  }
+
+  async startBackup(options = {}) {
+    for (const vmid of toVmidList(options.vmids)) {
+      const refusal = await this.authorize('backup', { node: options.node, vmid });
+      if (refusal) return refusal;
+    }
+
+    const result = await startBackup(this.client.request, options);
+
+    return {
+      content: [{ type: 'text', text: formatBackupStarted(result) }],
+      result: result
+    };
+  }
+
+  async getBackups(node, storage, vmid) {
+    const result = await listBackups(this.client.request, node, storage, { vmid });
+
+    return {
+      content: [{ type: 'text', text: formatBackupList(result) }],
+      archives: result.archives
+    };
+  }
+
+  async getBackupJobs() {
+    const jobs = await listBackupJobs(this.client.request);
+
+    return {
+      content: [{ type: 'text', text: formatBackupJobs(jobs) }],
+      jobs: jobs
+    };
+  }
+
+  async restoreBackup(node, options = {}) {
+    checkRestore(options);
+    const refusal = await this.authorize('restore', { node, vmid: options.vmid }, () => ({
+      content: [{
+        type: 'text',
+        text: `⚠️  **Restore Requires Elevated Permissions**\n\nTo restore backups, set \`PROXMOX_ALLOW_ELEVATED=true\` in your .env file and ensure your API token has the VM.Backup and VM.Allocate privileges.\n\n**Current permissions**: Basic (VM listing only)\n**Requested action**: restore \`${options.archive}\` to ${options.vmid}`
+      }],
+      isError: true
+    }));
+    if (refusal) return refusal;
+
+    const { archive, vmid, storage, force, start } = options;
+    const target = { node, archive, vmid, storage, force, start };
+    const details = async () => [`**Archive**: \`${archive}\` (${archiveGuestType(archive) === 'lxc' ? 'container' : 'VM'} backup)`];
+    return this.withConfirmation({ action: 'restore', target, details }, options, async () => {
+      const result = await restoreBackup(this.client.request, node, options);
+      this.inventory.invalidate();
+
+      return {
+        content: [{ type: 'text', text: formatRestoreStarted(result) }],
+        result: result
+      };
+    });
+  }
+
+  async cloneVM(node, vmid, options = {}) {
+    const refusal = await this.authorize('clone', { node, vmid }, () => this.provisioningRefusal(`clone VM ${vmid}`));
+    if (refusal) return refusal;
+    return this.provisioned(await cloneTemplate(this.client.request, node, vmid, options));
+  }
+
+  async createContainer(node, options = {}) {
+    const refusal = await this.authorize('create', { node, vmid: options.vmid }, () => this.provisioningRefusal(`create a container from \`${options.ostemplate}\``));
+    if (refusal) return refusal;
+    return this.provisioned(await createContainer(this.client.request, node, options));
+  }
+
+  async destroyGuest(node, vmid, type = 'qemu', options = {}) {
+    const refusal = await this.authorize('destroy', { node, vmid }, () => this.provisioningRefusal(`destroy ${vmid}`));
+    if (refusal) return refusal;
+
+    // A dry run only previews the calls, so it needs no confirmation
+    const target = { node, vmid, type, purge: options.purge };
+    const details = async () => (options.purge ? ['**Purge**: also removed from backup jobs, replication and HA'] : []);
+    const action = options.dryRun ? null : 'destroy';
+    return this.withConfirmation({ action, target, details }, options, async () => (
+      this.provisioned(await destroyGuest(this.client.request, node, vmid, type, options))
+    ));
+  }
+
+  provisioned(result) {
+    if (!result.dryRun) {
+      this.inventory.invalidate();
+    }
+
+    return {
+      content: [{ type: 'text', text: formatProvisioningResult(result) }],
+      result: result,
+      ...(result.error ? { isError: true } : {})
+    };
+  }
+
+  provisioningRefusal(action) {
+    return {
+      content: [{
+        type: 'text',
+        text: `⚠️  **Provisioning Requires Elevated Permissions**\n\nTo create, clone or destroy guests (including dry runs), set \`PROXMOX_ALLOW_ELEVATED=true\` in your .env file and ensure your API token has the VM.Allocate, VM.Clone, VM.Config.* and Datastore.AllocateSpace privileges.\n\n**Current permissions**: Basic (VM listing only)\n**Requested action**: ${action}`
+      }],
+      isError: true
+    };
+  }
+
+  async getMetrics(options = {}) {
+    const metrics = await getMetrics(this.client.request, options);
+
+    return {
+      content: [{ type: 'text', text: formatMetrics(metrics) }],
+      metrics: metrics
+    };
+  }
+
+  async getTasks(filters = {}) {
+    const result = await listTasks(this.client.request, filters);
+
+    return {
+      content: [{ type: 'text', text: formatTaskList(result) }],
+      tasks: result.tasks,
+      ...partialInfo(result.warnings)
+    };
+  }
+
+  async getTaskStatus(upid) {
+    const taskStatus = await getTaskStatus(this.client.request, upid);
+
+    return {
+      content: [{ type: 'text', text: formatTaskStatus(taskStatus) }],
+      taskStatus: taskStatus
+    };
+  }
+
+  async getTaskLog(upid, options = {}) {
+    const log = await getTaskLog(this.client.request, upid, options);
+
+    return {
+      content: [{ type: 'text', text: formatTaskLog(log) }],
+      log: log
+    };
+  }
+
+  async waitForTask(upid, timeout, onProgress) {
+    const taskStatus = await waitForTask(this.client.request, upid, {
+      timeout: timeout ? parseInt(timeout, 10) : undefined,
+      onProgress
+    });
+    // The task may have changed guest state
+    if (taskStatus.status === 'stopped') {
+      this.inventory.invalidate();
+    }
+
+    return {
+      content: [{ type: 'text', text: formatTaskStatus(taskStatus) }],
+      taskStatus: taskStatus
+    };
+  }
+
+  async getStorage(nodeName = null) {
+    const entry = await this.inventory.get('storage');
+    const cache = cacheInfo(entry, this.inventory.ttlSeconds);
+
+    // Same shape as /nodes/{node}/storage
+    const storages = entry.items
+      .filter(item => !nodeName || item.node === nodeName)
+      .map(item => ({
+        storage: item.storage,
+        node: item.node,
+        type: item.plugintype,
+        active: item.status === 'available' ? 1 : 0,
+        used: item.disk,
+        total: item.maxdisk,
+        content: item.content,
+        shared: item.shared
+      }));
+    
+    let output = '💾 **Storage Pools**\n\n';
+    
+    for (const storage of storages) {
+      const usagePercent = storage.total ? ((storage.used / storage.total) * 100).toFixed(1) : 'N/A';
+      
+      output += `📁 **${storage.storage}** (${storage.node})\n`;
+      output += `   • Type: ${storage.type}\n`;
+      output += `   • Status: ${storage.active ? '🟢 Active' : '🔴 Inactive'}\n`;
+      output += `   • Used: ${storage.used ? formatBytes(storage.used) : 'N/A'}\n`;
+      output += `   • Total: ${storage.total ? formatBytes(storage.total) : 'N/A'}\n`;
+      output += `   • Usage: ${usagePercent}%\n\n`;
+    }
+    
+    const warnings = warningsFor(entry.warnings, nodeName);
+    output += formatWarnings(warnings);
+    output += formatCacheInfo(cache);
+
+    return {
+      content: [{ type: 'text', text: output }],
+      storages: storages,
+      ...partialInfo(warnings),
+      cache: cache
+    };
+  }
+
+  async getClusterStatus() {
+    const [entry, clusterStatus] = await Promise.all([
+      this.inventory.get('node'),
+      this.client.request('/cluster/status')
+    ]);
+    const nodes = [...entry.items].sort((a, b) => a.node.localeCompare(b.node));
+    const cache = cacheInfo(entry, this.inventory.ttlSeconds);
+    
+    let output = '🏗️  **Proxmox Cluster Status**\n\n';
+    
+    // Cluster overview
+    const onlineNodes = nodes.filter(node => node.status === 'online').length;
+    const totalNodes = nodes.length;
+    
+    output += `**Cluster Health**: ${onlineNodes === totalNodes ? '🟢 Healthy' : '⚠️  Degraded'}\n`;
+    output += `**Nodes**: ${onlineNodes}/${totalNodes} online\n\n`;
+    
+    // Resource summary
+    let totalCPU = 0, usedCPU = 0, totalMem = 0, usedMem = 0;
+    
+    for (const node of nodes) {
+      if (node.status === 'online') {
+        totalCPU += node.maxcpu || 0;
+        usedCPU += (node.cpu || 0) * (node.maxcpu || 0);
+        totalMem += node.maxmem || 0;
+        usedMem += node.mem || 0;
+      }
+    }
+    
+    output += `**Resource Usage**:\n`;
+    output += `• CPU: ${usedCPU.toFixed(1)}/${totalCPU} cores (${formatPercent(usedCPU, totalCPU)})\n`;
+    output += `• Memory: ${formatBytes(usedMem)} / ${formatBytes(totalMem)} (${formatPercent(usedMem, totalMem)})\n\n`;
+    
+    // Node details
+    output += `**Node Details**:\n`;
+    for (const node of nodes) {
+      const status = node.status === 'online' ? '🟢' : '🔴';
+      output += `${status} ${node.node}: ${node.status}\n`;
+    }
+    
+    output += formatCacheInfo(cache);
+
+    return {
+      content: [{ type: 'text', text: output }],
+      nodes: nodes,
+      // Not `cluster`: ClusterRegistry labels every result with the cluster name under that key
+      clusterStatus: clusterStatus,
+      cache: cache
+    };
+  }
+}
@@ -0,0 +1,118 @@
+// Timeouts, retries and a per-node circuit breaker for Proxmox API calls.
+//
+// Every request is aborted after PROXMOX_REQUEST_TIMEOUT seconds. GETs are
+// idempotent, so one failing with a transient error (node unreachable,
+// timeout, 502-504) is retried up to PROXMOX_RETRIES times with exponential
+// backoff and jitter. Writes are never retried: a timed-out POST may still
+// have gone through.
+//
+// Calls under /nodes/{node}/ also pass that node's circuit breaker. After
+// PROXMOX_BREAKER_THRESHOLD failed calls in a row the circuit opens, and
+// calls to the node fail at once for PROXMOX_BREAKER_COOLDOWN seconds
+// instead of each waiting out the timeout. After the cooldown one call is
+// let through as a probe: success closes the circuit, failure reopens it.
+
+import { ProxmoxError, ProxmoxUnreachableError, ProxmoxTimeoutError } from './errors.js';
+
+export const DEFAULT_REQUEST_TIMEOUT = 15;
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_BREAKER_THRESHOLD = 3;
+export const DEFAULT_BREAKER_COOLDOWN = 30;
+
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = 4000;
+
+export function loadResilienceConfig(env = process.env) {
+  const number = (name, fallback) => {
+    const value = env[name] === undefined || env[name] === '' ? fallback : Number(env[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative number, got "${env[name]}"`);
+    }
+    return value;
+  };
+
+  return {
+    timeoutSeconds: number('PROXMOX_REQUEST_TIMEOUT', DEFAULT_REQUEST_TIMEOUT),
+    retries: Math.floor(number('PROXMOX_RETRIES', DEFAULT_RETRIES)),
+    breakerThreshold: Math.floor(number('PROXMOX_BREAKER_THRESHOLD', DEFAULT_BREAKER_THRESHOLD)),
+    breakerCooldownSeconds: number('PROXMOX_BREAKER_COOLDOWN', DEFAULT_BREAKER_COOLDOWN)
+  };
+}
+
+// Failures worth retrying, and that count against a node's circuit
+export function isTransient(error) {
+  return error instanceof ProxmoxUnreachableError ||
+    error instanceof ProxmoxTimeoutError ||
+    (error instanceof ProxmoxError && [502, 503, 504].includes(error.status));
+}
+
+// Delay before retry `attempt` (1-based): doubling from 250 ms, capped, with full jitter
+export function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// The node an endpoint addresses, or null for cluster-wide endpoints
+export function nodeOf(endpoint) {
+  const match = /^\/nodes\/([^/?]+)/.exec(endpoint);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+export class CircuitBreaker {
+  // A threshold of 0 disables the breaker
+  constructor({ threshold = DEFAULT_BREAKER_THRESHOLD, cooldownSeconds = DEFAULT_BREAKER_COOLDOWN } = {}) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownSeconds * 1000;
+    this.nodes = new Map();
+  }
+
+  // Throws when calls to `node` should fail fast; otherwise lets the call through
+  check(node, { method, endpoint } = {}) {
+    const state = node && this.nodes.get(node);
+    if (!state || !state.openUntil) return;
+
+    const now = Date.now();
+    if (now >= state.openUntil && !state.probing) {
+      state.probing = true;
+      return;
+    }
+
+    const retryIn = Math.max(1, Math.ceil((state.openUntil - now) / 1000));
+    throw new ProxmoxUnreachableError(`Node ${node} is skipped after ${state.failures} failed calls in a row (last: ${state.lastError})`, {
+      method,
+      endpoint,
+      hint: `Calls to ${node} fail fast for ${retryIn}s more, then one call probes whether it is back. Check that the node is up (pvecm status).`
+    });
+  }
+
+  // Outcome of a call to `node`; only transient failures count against it
+  record(node, error = null) {
+    if (!node || this.threshold === 0) return;
+
+    if (!error || !isTransient(error)) {
+      this.nodes.delete(node);
+      return;
+    }
+
+    const state = this.nodes.get(node) || { failures: 0, openUntil: null, probing: false, lastError: null };
+    state.failures++;
+    state.lastError = error.message;
+    if (state.probing || state.failures >= this.threshold) {
+      state.openUntil = Date.now() + this.cooldownMs;
+      state.probing = false;
+    }
+    this.nodes.set(node, state);
+  }
+
+  // Nodes whose circuit is open, for cluster listings
+  openCircuits() {
+    return [...this.nodes.entries()]
+      .filter(([, state]) => state.openUntil)
+      .map(([node, state]) => ({
+        node,
+        failures: state.failures,
+        lastError: state.lastError,
+        retryAt: new Date(state.openUntil).toISOString()
+      }));
+  }
+}
@@ -0,0 +1,127 @@
+// Snapshot management for QEMU VMs and LXC containers.
+//
+// Snapshots live under /nodes/{node}/{type}/{vmid}/snapshot. Create, rollback
+// and delete start a Proxmox task and return its UPID. The list includes a
+// pseudo-snapshot named "current" whose parent is the snapshot the guest is
+// running from.
+
+import { formatTimestamp, guestTypeIcon } from './format.js';
+import { InvalidInputError } from './errors.js';
+
+const CURRENT = 'current';
+
+// Proxmox snapshot names: a letter followed by letters, digits, - or _
+const SNAPSHOT_NAME = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+
+function snapshotPath(node, vmid, type) {
+  if (type !== 'qemu' && type !== 'lxc') {
+    throw new InvalidInputError(`Unknown guest type: ${type}`);
+  }
+  return `/nodes/${node}/${type}/${vmid}/snapshot`;
+}
+
+function checkSnapshotName(name) {
+  if (typeof name !== 'string' || !SNAPSHOT_NAME.test(name) || name === CURRENT) {
+    throw new InvalidInputError(`Invalid snapshot name: ${name} (must start with a letter and contain only letters, digits, - and _)`);
+  }
+}
+
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function listSnapshots(request, node, vmid, type) {
+  const snapshots = await request(snapshotPath(node, vmid, type));
+  return { node, vmid, type, snapshots };
+}
+
+export async function createSnapshot(request, node, vmid, type, { name, description, vmstate } = {}) {
+  checkSnapshotName(name);
+
+  const params = { snapname: name };
+  if (description) {
+    params.description = description;
+  }
+  if (vmstate) {
+    if (type !== 'qemu') {
+      throw new InvalidInputError('RAM state can only be saved for QEMU VMs');
+    }
+    params.vmstate = 1;
+  }
+
+  const upid = await request(snapshotPath(node, vmid, type), 'POST', params);
+  return { node, vmid, type, action: 'create', name, upid };
+}
+
+export async function rollbackSnapshot(request, node, vmid, type, name) {
+  checkSnapshotName(name);
+
+  const upid = await request(`${snapshotPath(node, vmid, type)}/${encodeURIComponent(name)}/rollback`, 'POST');
+  return { node, vmid, type, action: 'rollback', name, upid };
+}
+
+export async function deleteSnapshot(request, node, vmid, type, name) {
+  checkSnapshotName(name);
+
+  const upid = await request(`${snapshotPath(node, vmid, type)}/${encodeURIComponent(name)}`, 'DELETE');
+  return { node, vmid, type, action: 'delete', name, upid };
+}
+
+// Render snapshots as a tree following their parent links. Snapshots whose
+// parent is missing (already deleted) are shown as roots.
+export function formatSnapshotTree({ vmid, type, node, snapshots }) {
+  const byName = new Map(snapshots.map(snapshot => [snapshot.name, snapshot]));
+  const children = new Map();
+  const roots = [];
+
+  for (const snapshot of snapshots) {
+    if (snapshot.parent && byName.has(snapshot.parent)) {
+      if (!children.has(snapshot.parent)) children.set(snapshot.parent, []);
+      children.get(snapshot.parent).push(snapshot);
+    } else {
+      roots.push(snapshot);
+    }
+  }
+
+  // Oldest first; "current" has no snaptime and sorts last
+  const byTime = (a, b) => (a.snaptime ?? Infinity) - (b.snaptime ?? Infinity);
+
+  const lines = [];
+  const walk = (snapshot, prefix, isLast, depth) => {
+    const branch = depth === 0 ? '' : isLast ? '└─ ' : '├─ ';
+    if (snapshot.name === CURRENT) {
+      lines.push(`${prefix}${branch}📍 **NOW** (running state)`);
+    } else {
+      let line = `${prefix}${branch}📸 **${snapshot.name}** (${formatTimestamp(snapshot.snaptime)})`;
+      if (snapshot.vmstate) line += ' 💾 RAM';
+      if (snapshot.description) line += ` — ${snapshot.description.trim().replace(/\s+/g, ' ')}`;
+      lines.push(line);
+    }
+
+    const kids = (children.get(snapshot.name) || []).sort(byTime);
+    const childPrefix = depth === 0 ? prefix : prefix + (isLast ? '   ' : '│  ');
+    kids.forEach((kid, index) => walk(kid, childPrefix, index === kids.length - 1, depth + 1));
+  };
+  roots.sort(byTime).forEach((root, index) => walk(root, '', index === roots.length - 1, 0));
+
+  const count = snapshots.filter(snapshot => snapshot.name !== CURRENT).length;
+  let output = `${guestTypeIcon(type)} **Snapshots of ${type === 'qemu' ? 'VM' : 'container'} ${vmid}** (${node})\n\n`;
+  if (count === 0) {
+    output += 'No snapshots.\n';
+  } else {
+    output += lines.join('\n') + '\n';
+  }
+
+  return output;
+}
+
+export function formatSnapshotActionResult(result) {
+  const verbs = {
+    create: 'Snapshot requested',
+    rollback: 'Rollback requested',
+    delete: 'Snapshot deletion requested'
+  };
+
+  let output = `📸 **${verbs[result.action]}: ${result.name}** (${result.type === 'qemu' ? 'VM' : 'container'} ${result.vmid})\n\n`;
+  output += `• **Node**: ${result.node}\n`;
+  output += `• **Task UPID**: \`${result.upid || 'N/A'}\`\n`;
+
+  return output;
+}
@@ -0,0 +1,212 @@
+// Proxmox task (UPID) tracking: listing, status, incremental logs and waiting.
+//
+// Every mutating Proxmox call returns a UPID of the form
+//   UPID:{node}:{pid}:{pstart}:{starttime}:{type}:{id}:{user}:
+// which is all we need to find the task again on its node.
+
+import { formatTimestamp, formatWarnings } from './format.js';
+import { failureWarning } from './inventory.js';
+import { InvalidInputError } from './errors.js';
+
+export const DEFAULT_TASK_WAIT_TIMEOUT = 120;
+const POLL_INTERVAL_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function buildQuery(params) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, String(value));
+    }
+  }
+  const text = query.toString();
+  return text ? `?${text}` : '';
+}
+
+export function parseUPID(upid) {
+  const parts = typeof upid === 'string' ? upid.split(':') : [];
+  if (parts.length < 8 || parts[0] !== 'UPID') {
+    throw new InvalidInputError(`Invalid UPID: ${upid}`);
+  }
+
+  return {
+    upid,
+    node: parts[1],
+    pid: parseInt(parts[2], 16),
+    pstart: parseInt(parts[3], 16),
+    starttime: parseInt(parts[4], 16),
+    type: parts[5],
+    id: parts[6],
+    user: parts[7]
+  };
+}
+
+function taskPath(upid) {
+  const { node } = parseUPID(upid);
+  return `/nodes/${node}/tasks/${encodeURIComponent(upid)}`;
+}
+
+function isTruthy(value) {
+  return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+// List tasks on one node, or on every online node when `node` is omitted.
+// `request` is ProxmoxClient.request(endpoint, method, data).
+export async function listTasks(request, { node, user, type, vmid, errors, running, limit = 50 } = {}) {
+  const query = buildQuery({
+    userfilter: user,
+    typefilter: type,
+    vmid,
+    errors: isTruthy(errors) ? 1 : undefined,
+    source: isTruthy(running) ? 'active' : undefined,
+    limit
+  });
+
+  const tasks = [];
+  const warnings = [];
+
+  let nodeNames;
+  if (node) {
+    nodeNames = [node];
+  } else {
+    const nodes = await request('/nodes');
+    nodeNames = nodes.filter(n => n.status === 'online').map(n => n.node);
+    for (const offline of nodes.filter(n => n.status !== 'online')) {
+      warnings.push({ node: offline.node, type: 'offline', error: `Node is ${offline.status || 'unknown'}; its tasks are not listed` });
+    }
+  }
+
+  await Promise.all(nodeNames.map(async (nodeName) => {
+    try {
+      const nodeTasks = await request(`/nodes/${nodeName}/tasks${query}`);
+      tasks.push(...nodeTasks.map(task => ({ ...task, node: task.node || nodeName })));
+    } catch (error) {
+      if (node) throw error;
+      warnings.push(failureWarning(nodeName, error, 'its tasks are not listed'));
+    }
+  }));
+
+  tasks.sort((a, b) => (b.starttime || 0) - (a.starttime || 0));
+
+  return {
+    tasks: limit ? tasks.slice(0, parseInt(limit, 10)) : tasks,
+    warnings
+  };
+}
+
+export async function getTaskStatus(request, upid) {
+  const status = await request(`${taskPath(upid)}/status`);
+  return { ...status, upid };
+}
+
+// Read task log lines starting at line `start`. Callers follow a running task
+// by passing the returned `nextStart` back in on the next call.
+export async function getTaskLog(request, upid, { start = 0, limit = 500 } = {}) {
+  const startLine = parseInt(start, 10) || 0;
+  const lines = await request(`${taskPath(upid)}/log${buildQuery({ start: startLine, limit })}`);
+  const status = await getTaskStatus(request, upid);
+
+  return {
+    upid,
+    lines: lines || [],
+    start: startLine,
+    nextStart: startLine + (lines || []).length,
+    running: status.status === 'running',
+    exitstatus: status.exitstatus ?? null
+  };
+}
+
+// Block until the task stops or `timeout` seconds have passed.
+// `onProgress(elapsed, timeout, message)` is called on every poll.
+export async function waitForTask(request, upid, { timeout = DEFAULT_TASK_WAIT_TIMEOUT, onProgress } = {}) {
+  const startedAt = Date.now();
+  const deadline = startedAt + timeout * 1000;
+
+  while (true) {
+    const status = await getTaskStatus(request, upid);
+
+    if (status.status !== 'running') {
+      return {
+        ...status,
+        finished: true,
+        timedOut: false,
+        success: status.exitstatus === 'OK',
+        waitedMs: Date.now() - startedAt
+      };
+    }
+
+    if (Date.now() >= deadline) {
+      return {
+        ...status,
+        finished: false,
+        timedOut: true,
+        success: false,
+        waitedMs: Date.now() - startedAt
+      };
+    }
+
+    onProgress?.(Math.round((Date.now() - startedAt) / 1000), timeout, `Task ${status.type || upid} still running`);
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+function taskIcon(task) {
+  if (!task.endtime) return '🔄';
+  return task.status === 'OK' ? '🟢' : '🔴';
+}
+
+export function formatTaskList({ tasks, warnings }) {
+  let output = '📋 **Proxmox Tasks**\n\n';
+
+  if (tasks.length === 0) {
+    output += 'No matching tasks.\n';
+  }
+
+  for (const task of tasks) {
+    const duration = task.endtime ? `${task.endtime - task.starttime}s` : 'running';
+
+    output += `${taskIcon(task)} **${task.type}**${task.id ? ` (${task.id})` : ''} on ${task.node}\n`;
+    output += `   • Started: ${formatTimestamp(task.starttime)} by ${task.user}\n`;
+    output += `   • Duration: ${duration}\n`;
+    if (task.endtime) {
+      output += `   • Result: ${task.status}\n`;
+    }
+    output += `   • UPID: \`${task.upid}\`\n\n`;
+  }
+
+  return output + formatWarnings(warnings);
+}
+
+export function formatTaskStatus(status) {
+  const running = status.status === 'running';
+  const icon = running ? '🔄' : status.exitstatus === 'OK' ? '🟢' : '🔴';
+
+  let output = `${icon} **Task ${status.type || ''}${status.id ? ` (${status.id})` : ''}**\n\n`;
+  output += `• **UPID**: \`${status.upid}\`\n`;
+  output += `• **Node**: ${status.node}\n`;
+  output += `• **User**: ${status.user}\n`;
+  output += `• **Started**: ${formatTimestamp(status.starttime)}\n`;
+  output += `• **Status**: ${status.status}\n`;
+  if (!running) {
+    output += `• **Exit Status**: ${status.exitstatus ?? 'N/A'}\n`;
+  }
+  if (status.timedOut) {
+    output += `\n*Still running after waiting ${(status.waitedMs / 1000).toFixed(0)}s*\n`;
+  }
+
+  return output;
+}
+
+export function formatTaskLog(log) {
+  let output = `📜 **Task Log** (lines ${log.start}–${log.nextStart})\n\n`;
+  output += log.lines.length > 0
+    ? `\`\`\`\n${log.lines.map(line => line.t).join('\n')}\n\`\`\`\n`
+    : '_(no new lines)_\n';
+  output += `\n**State**: ${log.running ? 'running' : `finished (${log.exitstatus})`}\n`;
+  if (log.running) {
+    output += `*Continue from line ${log.nextStart} to follow the log*\n`;
+  }
+
+  return output;
+}
@@ -0,0 +1,144 @@
+// Username/password ("ticket") authentication for the Proxmox API.
+//
+// POST /access/ticket exchanges credentials for a PVEAuthCookie ticket and a
+// CSRFPreventionToken that must accompany every write. Tickets are valid for
+// two hours; we renew them (using the current ticket as the password, which
+// needs no second factor) once they are TICKET_RENEW_AFTER_MS old, and fall
+// back to a full login when that fails or the ticket has expired.
+//
+// Accounts with TOTP get a partial ticket and `NeedTFA` on the first call; the
+// code is then sent with `tfa-challenge` (Proxmox VE 7.2+).
+
+import crypto from 'crypto';
+import { ProxmoxAuthError } from './errors.js';
+
+const TICKET_LIFETIME_MS = 2 * 60 * 60 * 1000;
+const TICKET_RENEW_AFTER_MS = 90 * 60 * 1000;
+
+function base32Decode(input) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error('PROXMOX_TOTP_SECRET is not valid base32');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = bits.match(/.{8}/g) || [];
+  return Buffer.from(bytes.map(byte => parseInt(byte, 2)));
+}
+
+// RFC 6238 code for a base32 secret, as shown by authenticator apps
+export function totpCode(secret, now = Date.now(), step = 30, digits = 6) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 1000 / step)));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** digits);
+  return String(value).padStart(digits, '0');
+}
+
+export class TicketSession {
+  // `post(endpoint, data)` sends an unauthenticated POST and returns `data`
+  constructor({ username, password, realm, totpSecret }, post) {
+    this.username = username;
+    this.password = password;
+    this.realm = realm;
+    this.totpSecret = totpSecret;
+    this.post = post;
+    this.ticket = null;
+    this.csrfToken = null;
+    this.issuedAt = 0;
+    this.pending = null;
+  }
+
+  invalidate() {
+    this.ticket = null;
+    this.csrfToken = null;
+    this.issuedAt = 0;
+  }
+
+  // Headers for a request, logging in or renewing first when needed
+  async headers(method) {
+    await this.ensureTicket();
+    const headers = { 'Cookie': `PVEAuthCookie=${encodeURIComponent(this.ticket)}` };
+    if (method !== 'GET') {
+      headers['CSRFPreventionToken'] = this.csrfToken;
+    }
+    return headers;
+  }
+
+  async ensureTicket() {
+    const age = Date.now() - this.issuedAt;
+    if (this.ticket && age < TICKET_RENEW_AFTER_MS) {
+      return;
+    }
+
+    // Concurrent requests share one login
+    if (!this.pending) {
+      const renew = this.ticket && age < TICKET_LIFETIME_MS;
+      this.pending = (renew ? this.renew() : this.login()).finally(() => {
+        this.pending = null;
+      });
+    }
+    await this.pending;
+  }
+
+  async renew() {
+    try {
+      this.store(await this.post('/access/ticket', { username: this.username, password: this.ticket }));
+    } catch (error) {
+      this.invalidate();
+      await this.login();
+    }
+  }
+
+  async login() {
+    const params = { username: this.username, password: this.password };
+    if (this.realm) params.realm = this.realm;
+
+    let result;
+    try {
+      result = await this.post('/access/ticket', params);
+    } catch (error) {
+      if (error.status === 401) {
+        throw new ProxmoxAuthError(`Proxmox login failed for ${this.username}`, {
+          status: 401,
+          method: 'POST',
+          endpoint: '/access/ticket',
+          cause: error,
+          hint: 'Check PROXMOX_USER, PROXMOX_PASSWORD and PROXMOX_REALM, and PROXMOX_TOTP_SECRET if the account uses two-factor authentication.'
+        });
+      }
+      throw error;
+    }
+
+    if (result.NeedTFA) {
+      if (!this.totpSecret) {
+        throw new ProxmoxAuthError(`Proxmox user ${this.username} requires a second factor`, {
+          method: 'POST',
+          endpoint: '/access/ticket',
+          hint: 'Set PROXMOX_TOTP_SECRET to the account\'s base32 TOTP secret, or use an API token instead.'
+        });
+      }
+      result = await this.post('/access/ticket', {
+        username: this.username,
+        'tfa-challenge': result.ticket,
+        password: `totp:${totpCode(this.totpSecret)}`
+      });
+    }
+
+    this.store(result);
+  }
+
+  store(result) {
+    if (!result || !result.ticket || !result.CSRFPreventionToken) {
+      throw new Error('Proxmox login did not return a ticket');
+    }
+    this.ticket = result.ticket;
+    this.csrfToken = result.CSRFPreventionToken;
+    this.issuedAt = Date.now();
+  }
+}
@@ -0,0 +1,120 @@
+// TLS verification for outbound Proxmox API connections.
+//
+// Three modes, chosen from the environment:
+//   - PROXMOX_FINGERPRINT: accept only a certificate with one of the given
+//     SHA-256 fingerprints. Works with Proxmox's default self-signed certificate.
+//   - PROXMOX_VERIFY_SSL (default true): verify the chain against the system
+//     roots, or against PROXMOX_CA_FILE when set, and check the hostname.
+//   - PROXMOX_VERIFY_SSL=false: no verification.
+//
+// Verification happens before the socket is handed to the HTTP request, so
+// no credentials are sent to a server that fails it. Failures report the
+// fingerprint the server presented so it can be checked and pinned.
+
+import https from 'https';
+import { readFileSync } from 'fs';
+
+export class TLSVerificationError extends Error {
+  constructor(address, reason, fingerprint) {
+    let message = `TLS verification failed for ${address}: ${reason}.`;
+    if (fingerprint) {
+      message += ` Server presented certificate with SHA-256 fingerprint ${fingerprint}.` +
+        ' If this is your Proxmox host, set PROXMOX_FINGERPRINT to pin it or PROXMOX_CA_FILE to trust its CA.';
+    }
+    super(message);
+    this.name = 'TLSVerificationError';
+    this.code = 'ERR_PROXMOX_TLS_VERIFICATION';
+    this.fingerprint = fingerprint || null;
+  }
+}
+
+// "AB:CD:..." in upper case, whatever separators and case were supplied
+export function normalizeFingerprint(value) {
+  const hex = String(value).replace(/^sha256[:=]?/i, '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+  if (hex.length !== 64) {
+    throw new Error(`Invalid SHA-256 certificate fingerprint: ${value}`);
+  }
+  return hex.match(/../g).join(':');
+}
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return !/^(false|0|no|off)$/i.test(String(value).trim());
+}
+
+export function loadTLSConfig(env = process.env) {
+  const fingerprints = (env.PROXMOX_FINGERPRINT || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(normalizeFingerprint);
+
+  return {
+    verify: parseBoolean(env.PROXMOX_VERIFY_SSL, true),
+    caFile: env.PROXMOX_CA_FILE || null,
+    fingerprints
+  };
+}
+
+// Short description for startup logs
+export function describeTLSConfig({ verify = true, caFile = null, fingerprints = [] } = {}) {
+  if (fingerprints.length > 0) return 'fingerprint';
+  if (!verify) return 'disabled';
+  return caFile ? 'ca-file' : 'system-ca';
+}
+
+// https.Agent that enforces the configured TLS mode
+export function createProxmoxAgent({ verify = true, caFile = null, fingerprints = [] } = {}) {
+  const mode = describeTLSConfig({ verify, caFile, fingerprints });
+  const ca = caFile ? readFileSync(caFile) : undefined;
+
+  class ProxmoxAgent extends https.Agent {
+    // Node's https.Agent ignores the callback; we call it only once the
+    // certificate has been checked.
+    createConnection(options, callback) {
+      const socket = super.createConnection(options);
+      if (mode === 'disabled') {
+        return socket;
+      }
+
+      const address = `${options.host}:${options.port}`;
+      let settled = false;
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        if (error) {
+          socket.destroy();
+          callback(error);
+        } else {
+          callback(null, socket);
+        }
+      };
+
+      socket.once('secureConnect', () => {
+        const cert = socket.getPeerCertificate();
+        const presented = cert && cert.fingerprint256 ? cert.fingerprint256.toUpperCase() : null;
+
+        if (mode === 'fingerprint') {
+          if (!presented || !fingerprints.includes(presented)) {
+            return settle(new TLSVerificationError(address, 'certificate does not match PROXMOX_FINGERPRINT', presented));
+          }
+        } else if (!socket.authorized) {
+          // authorizationError covers both the chain and the hostname check
+          return settle(new TLSVerificationError(address, `certificate not trusted (${socket.authorizationError})`, presented));
+        }
+        settle(null);
+      });
+      socket.once('error', settle);
+
+      return undefined;
+    }
+  }
+
+  // Certificates are checked on every handshake, so keep the TLS layer from
+  // rejecting first and skip session resumption (which hides the peer cert).
+  return new ProxmoxAgent({
+    rejectUnauthorized: false,
+    ca,
+    maxCachedSessions: 0
+  });
+}
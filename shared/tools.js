@@ -0,0 +1,1040 @@
+// Tool registry: the single list of operations exposed over MCP.
+//
+// Each tool names the API key scope it needs, its JSON Schema input and a
+// handler that calls the shared ProxmoxService, which the REST routes use too.
+// Handlers get the service of the selected cluster; `aggregate` tools can run
+// on every cluster at once and `global` tools are not tied to a cluster.
+
+import { POWER_ACTIONS } from './power.js';
+import { DEFAULT_EXEC_TIMEOUT, DEFAULT_EXEC_MAX_TIMEOUT } from './guest-exec.js';
+import { DEFAULT_TASK_WAIT_TIMEOUT } from './tasks.js';
+import { BACKUP_MODES, BACKUP_COMPRESSIONS } from './backups.js';
+import { ALL_CLUSTERS } from './clusters.js';
+import { TIMEFRAMES, CONSOLIDATIONS } from './metrics.js';
+import { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT } from './output.js';
+import { CONFIRMABLE_ACTIONS } from './confirmations.js';
+import { POLICY_ACTIONS } from './policy.js';
+
+const nodeProperty = {
+  type: 'string',
+  description: 'Node name'
+};
+
+const vmidProperty = {
+  type: 'string',
+  description: 'VM or container ID'
+};
+
+const guestTypeProperty = {
+  type: 'string',
+  enum: ['qemu', 'lxc'],
+  description: 'Guest type (default qemu)'
+};
+
+// Destructive actions listed in CONFIRM_ACTIONS first return a plan with a token
+const confirmationTokenProperty = {
+  type: 'string',
+  description: 'Token from the plan returned by a first call without it; repeat that call with the same arguments plus this token to run the action'
+};
+
+const snapshotNameProperty = {
+  type: 'string',
+  description: 'Snapshot name: a letter followed by letters, digits, - or _'
+};
+
+export const TOOLS = [
+  {
+    name: 'proxmox_list_clusters',
+    description: 'List the Proxmox clusters this server manages, with address, auth and TLS mode, reachability and version',
+    scope: 'read-only',
+    global: true,
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    handler: (service, args, { clusters }) => clusters.describe()
+  },
+  {
+    name: 'proxmox_get_alerts',
+    description: 'List alerts that are firing right now (offline nodes, full storage, memory pressure, unexpectedly stopped guests, failed backups) and recently resolved ones',
+    scope: 'read-only',
+    global: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cluster: {
+          type: 'string',
+          description: 'Only alerts of this cluster (optional, every cluster when omitted)'
+        }
+      },
+      required: []
+    },
+    handler: (service, args, { alerts }) => alerts.report({ cluster: args.cluster })
+  },
+  {
+    name: 'proxmox_get_audit_log',
+    description: 'Read the audit log of mutating calls (power actions, commands, snapshots, backups, provisioning, config changes): who called, from where, with which arguments, the tasks started and their final status',
+    scope: 'elevated',
+    global: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: {
+          type: 'string',
+          description: 'Only calls at or after this time: an ISO date or a duration ago such as 30m, 12h, 7d (optional)'
+        },
+        until: {
+          type: 'string',
+          description: 'Only calls at or before this time, same forms as since (optional)'
+        },
+        vmid: {
+          type: 'string',
+          description: 'Only calls touching this VM or container ID (optional)'
+        },
+        actor: {
+          type: 'string',
+          description: 'Only calls made with this API key name (optional)'
+        },
+        action: {
+          type: 'string',
+          description: 'Only calls whose tool name or REST route contains this text, e.g. exec or snapshot (optional)'
+        },
+        status: {
+          type: 'string',
+          enum: ['succeeded', 'failed', 'running', 'denied', 'proposed'],
+          description: 'Only calls with this final status (optional)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of entries, newest first (default 100)'
+        }
+      },
+      required: []
+    },
+    handler: (service, args, { audit }) => audit.report(args)
+  },
+  {
+    name: 'proxmox_check_policy',
+    description: 'Check whether an action on a guest would be allowed by the access policy (POLICY_FILE, or PROXMOX_ALLOW_ELEVATED without one) and which rule decides, without running anything',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: POLICY_ACTIONS,
+          description: 'Action to check'
+        },
+        node: {
+          type: 'string',
+          description: 'Node name (optional, the guest\'s node when omitted)'
+        },
+        vmid: {
+          type: 'string',
+          description: 'VM or container ID (optional for cluster-wide checks)'
+        },
+        command: {
+          type: 'string',
+          description: 'For exec: the command line to check against the command allowlist'
+        },
+        args: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'For exec: extra arguments (optional)'
+        }
+      },
+      required: ['action']
+    },
+    handler: (service, args) => service.explainPolicy(args.action, {
+      node: args.node,
+      vmid: args.vmid,
+      command: args.command,
+      args: args.args
+    })
+  },
+  {
+    name: 'proxmox_get_nodes',
+    description: 'List all Proxmox cluster nodes with their status and resource usage',
+    scope: 'read-only',
+    aggregate: true,
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    handler: (service) => service.getNodes()
+  },
+  {
+    name: 'proxmox_get_node_status',
+    description: 'Get detailed status of one node: uptime, CPU, memory, load and root filesystem',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty
+      },
+      required: ['node']
+    },
+    handler: (service, args) => service.getNodeStatus(args.node)
+  },
+  {
+    name: 'proxmox_get_vms',
+    description: 'List all virtual machines across the cluster',
+    scope: 'read-only',
+    aggregate: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: {
+          type: 'string',
+          description: 'Filter by specific node (optional)'
+        },
+        type: {
+          type: 'string',
+          enum: ['qemu', 'lxc', 'all'],
+          description: 'Filter by VM type (optional)'
+        }
+      },
+      required: []
+    },
+    handler: (service, args) => service.getVMs(args.node, args.type)
+  },
+  {
+    name: 'proxmox_get_vm_status',
+    description: 'Get the current status of a VM or container: state, uptime, CPU, memory, disk and network I/O',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: vmidProperty,
+        type: guestTypeProperty
+      },
+      required: ['node', 'vmid']
+    },
+    handler: (service, args) => service.getVMStatus(args.node, args.vmid, args.type)
+  },
+  {
+    name: 'proxmox_get_vm_config',
+    description: 'Get the configuration of a VM or container: CPU, memory, disks, network devices, boot order, tags, description and changes pending until reboot',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: vmidProperty,
+        type: guestTypeProperty
+      },
+      required: ['node', 'vmid']
+    },
+    handler: (service, args) => service.getVMConfig(args.node, args.vmid, args.type)
+  },
+  {
+    name: 'proxmox_update_vm_config',
+    description: 'Change CPU cores, memory, balloon, network devices, disk sizes, tags or description of a VM or container and show a before/after diff noting which changes need a reboot (requires elevated mode). Use dryRun to preview',
+    scope: 'elevated',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: vmidProperty,
+        type: guestTypeProperty,
+        cores: {
+          type: 'number',
+          description: 'CPU cores (optional)'
+        },
+        sockets: {
+          type: 'number',
+          description: 'CPU sockets, VMs only (optional)'
+        },
+        memory: {
+          type: 'number',
+          description: 'Memory in MiB (optional)'
+        },
+        balloon: {
+          type: 'number',
+          description: 'Minimum balloon memory in MiB, 0 disables ballooning; VMs only (optional)'
+        },
+        addNics: {
+          type: 'array',
+          description: 'Network devices to add (optional)',
+          items: {
+            type: 'object',
+            properties: {
+              bridge: { type: 'string', description: 'Bridge (default vmbr0)' },
+              model: { type: 'string', description: 'NIC model for VMs (default virtio)' },
+              vlan: { type: 'number', description: 'VLAN tag' },
+              firewall: { type: 'boolean', description: 'Enable the Proxmox firewall' },
+              ip: { type: 'string', description: 'Containers only: "dhcp" or "10.0.0.5/24" (default dhcp)' }
+            }
+          }
+        },
+        removeNics: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Network devices to remove, e.g. ["net1"] (optional)'
+        },
+        resizeDisks: {
+          type: 'array',
+          description: 'Disks to grow (optional)',
+          items: {
+            type: 'object',
+            properties: {
+              disk: { type: 'string', description: 'Disk key, e.g. scsi0 or rootfs' },
+              size: { type: 'string', description: 'New size ("64G") or increment ("+10G")' }
+            },
+            required: ['disk', 'size']
+          }
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Replace all tags (optional)'
+        },
+        addTags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags to add (optional)'
+        },
+        removeTags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Tags to remove (optional)'
+        },
+        description: {
+          type: 'string',
+          description: 'New description (optional)'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Show the diff without changing anything (optional)'
+        }
+      },
+      required: ['node', 'vmid']
+    },
+    handler: (service, args) => service.updateVMConfig(args.node, args.vmid, args.type, {
+      cores: args.cores,
+      sockets: args.sockets,
+      memory: args.memory,
+      balloon: args.balloon,
+      addNics: args.addNics,
+      removeNics: args.removeNics,
+      resizeDisks: args.resizeDisks,
+      tags: args.tags,
+      addTags: args.addTags,
+      removeTags: args.removeTags,
+      description: args.description
+    }, { dryRun: args.dryRun })
+  },
+  {
+    name: 'proxmox_get_storage',
+    description: 'List storage pools with type, status and usage',
+    scope: 'read-only',
+    aggregate: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: {
+          type: 'string',
+          description: 'Filter by specific node (optional)'
+        }
+      },
+      required: []
+    },
+    handler: (service, args) => service.getStorage(args.node)
+  },
+  {
+    name: 'proxmox_get_cluster_status',
+    description: 'Get overall cluster status including nodes and resource usage',
+    scope: 'read-only',
+    aggregate: true,
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    handler: (service) => service.getClusterStatus()
+  },
+  {
+    name: 'proxmox_get_metrics',
+    description: 'Historical CPU, memory, disk and network metrics for a node, guest (with vmid) or storage (with storage): min/avg/p95/max, peak time and a sparkline per metric',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: {
+          type: 'string',
+          description: 'VM or container ID for guest metrics (optional)'
+        },
+        type: guestTypeProperty,
+        storage: {
+          type: 'string',
+          description: 'Storage name for storage metrics (optional)'
+        },
+        timeframe: {
+          type: 'string',
+          enum: TIMEFRAMES,
+          description: 'Period to cover (default hour)'
+        },
+        cf: {
+          type: 'string',
+          enum: CONSOLIDATIONS,
+          description: 'Consolidation of each step: AVERAGE or MAX (default AVERAGE)'
+        }
+      },
+      required: ['node']
+    },
+    handler: (service, args) => service.getMetrics({
+      node: args.node,
+      vmid: args.vmid,
+      type: args.type,
+      storage: args.storage,
+      timeframe: args.timeframe,
+      cf: args.cf
+    })
+  },
+  {
+    name: 'proxmox_exec_command',
+    description: 'Run a command inside a QEMU VM via the guest agent and wait for its exit code, stdout and stderr (requires elevated mode)',
+    scope: 'elevated',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: {
+          type: 'string',
+          description: 'Node the VM runs on'
+        },
+        vmid: {
+          type: 'string',
+          description: 'VM ID'
+        },
+        command: {
+          oneOf: [
+            { type: 'string' },
+            { type: 'array', items: { type: 'string' } }
+          ],
+          description: 'Command to run, either a string or an argv array'
+        },
+        args: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Extra arguments appended to the command (optional)'
+        },
+        input: {
+          type: 'string',
+          description: 'Data passed to the command on stdin (optional)'
+        },
+        timeout: {
+          type: 'number',
+          description: `Seconds to wait for the command to exit (default PROXMOX_EXEC_TIMEOUT, ${DEFAULT_EXEC_TIMEOUT}; capped at PROXMOX_EXEC_MAX_TIMEOUT, ${DEFAULT_EXEC_MAX_TIMEOUT})`
+        },
+        confirmationToken: confirmationTokenProperty
+      },
+      required: ['node', 'vmid', 'command']
+    },
+    handler: (service, args, { onProgress, actor }) => service.executeVMCommand(args.node, args.vmid, args.command, 'qemu', {
+      args: args.args,
+      input: args.input,
+      timeout: args.timeout,
+      onProgress,
+      confirmationToken: args.confirmationToken,
+      actor
+    })
+  },
+  ...Object.entries(POWER_ACTIONS).map(([action, { description }]) => ({
+    name: `proxmox_${action}_vm`,
+    description: `${description} (needs an operator API key, and PROXMOX_ALLOW_ELEVATED=true or a POLICY_FILE rule allowing it). Returns the Proxmox task UPID`,
+    scope: 'operator',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: {
+          type: 'string',
+          description: 'Node the guest runs on'
+        },
+        vmid: vmidProperty,
+        type: guestTypeProperty,
+        ...(action === 'shutdown' ? {
+          timeout: {
+            type: 'number',
+            description: 'Seconds to wait for a clean shutdown (optional)'
+          },
+          forceStop: {
+            type: 'boolean',
+            description: 'Hard-stop the guest if it has not shut down within the timeout (optional)'
+          }
+        } : {}),
+        ...(CONFIRMABLE_ACTIONS[action] ? { confirmationToken: confirmationTokenProperty } : {})
+      },
+      required: ['node', 'vmid']
+    },
+    handler: (service, args, { actor }) => service.runVMPowerAction(args.node, args.vmid, action, args.type, {
+      timeout: args.timeout,
+      forceStop: args.forceStop,
+      confirmationToken: args.confirmationToken,
+      actor
+    })
+  })),
+  {
+    name: 'proxmox_list_snapshots',
+    description: 'List the snapshots of a VM or container as a tree showing parent relationships and the current state',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: vmidProperty,
+        type: guestTypeProperty
+      },
+      required: ['node', 'vmid']
+    },
+    handler: (service, args) => service.getSnapshots(args.node, args.vmid, args.type)
+  },
+  {
+    name: 'proxmox_create_snapshot',
+    description: 'Take a snapshot of a VM or container. Returns the Proxmox task UPID',
+    scope: 'operator',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: vmidProperty,
+        type: guestTypeProperty,
+        name: snapshotNameProperty,
+        description: {
+          type: 'string',
+          description: 'Snapshot description (optional)'
+        },
+        vmstate: {
+          type: 'boolean',
+          description: 'Include the RAM state so the VM resumes running on rollback (QEMU only, optional)'
+        }
+      },
+      required: ['node', 'vmid', 'name']
+    },
+    handler: (service, args) => service.createVMSnapshot(args.node, args.vmid, args.type, {
+      name: args.name,
+      description: args.description,
+      vmstate: args.vmstate
+    })
+  },
+  {
+    name: 'proxmox_rollback_snapshot',
+    description: 'Roll a VM or container back to a snapshot, discarding changes made since (requires elevated mode). Returns the Proxmox task UPID',
+    scope: 'elevated',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: vmidProperty,
+        type: guestTypeProperty,
+        name: snapshotNameProperty,
+        confirmationToken: confirmationTokenProperty
+      },
+      required: ['node', 'vmid', 'name']
+    },
+    handler: (service, args, { actor }) => service.rollbackVMSnapshot(args.node, args.vmid, args.name, args.type, {
+      confirmationToken: args.confirmationToken,
+      actor
+    })
+  },
+  {
+    name: 'proxmox_delete_snapshot',
+    description: 'Delete a snapshot of a VM or container (requires elevated mode). Returns the Proxmox task UPID',
+    scope: 'elevated',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: vmidProperty,
+        type: guestTypeProperty,
+        name: snapshotNameProperty,
+        confirmationToken: confirmationTokenProperty
+      },
+      required: ['node', 'vmid', 'name']
+    },
+    handler: (service, args, { actor }) => service.deleteVMSnapshot(args.node, args.vmid, args.name, args.type, {
+      confirmationToken: args.confirmationToken,
+      actor
+    })
+  },
+  {
+    name: 'proxmox_start_backup',
+    description: 'Start an on-demand vzdump backup of one or more guests. Returns one task UPID per node',
+    scope: 'operator',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        vmids: {
+          oneOf: [
+            { type: 'string' },
+            { type: 'array', items: { type: 'string' } }
+          ],
+          description: 'Guest IDs to back up, as an array or comma-separated string'
+        },
+        node: {
+          type: 'string',
+          description: 'Node the guests run on (optional, looked up when omitted)'
+        },
+        storage: {
+          type: 'string',
+          description: 'Target backup storage (optional, node default when omitted)'
+        },
+        mode: {
+          type: 'string',
+          enum: BACKUP_MODES,
+          description: 'Backup mode (default snapshot)'
+        },
+        compress: {
+          type: 'string',
+          enum: BACKUP_COMPRESSIONS,
+          description: 'Compression (default zstd, 0 for none)'
+        },
+        notes: {
+          type: 'string',
+          description: 'Notes attached to the archive; supports {{guestname}}, {{vmid}}, {{node}}, {{cluster}} (optional)'
+        }
+      },
+      required: ['vmids']
+    },
+    handler: (service, args) => service.startBackup({
+      node: args.node,
+      vmids: args.vmids,
+      storage: args.storage,
+      mode: args.mode,
+      compress: args.compress,
+      notes: args.notes
+    })
+  },
+  {
+    name: 'proxmox_list_backups',
+    description: 'List backup archives on a storage with guest, date and size, newest first',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        storage: {
+          type: 'string',
+          description: 'Storage holding the backups'
+        },
+        vmid: {
+          type: 'string',
+          description: 'Only list backups of this guest (optional)'
+        }
+      },
+      required: ['node', 'storage']
+    },
+    handler: (service, args) => service.getBackups(args.node, args.storage, args.vmid)
+  },
+  {
+    name: 'proxmox_list_backup_jobs',
+    description: 'List the scheduled backup jobs configured for the cluster',
+    scope: 'read-only',
+    aggregate: true,
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    handler: (service) => service.getBackupJobs()
+  },
+  {
+    name: 'proxmox_restore_backup',
+    description: 'Restore a vzdump archive to a new or existing VM/container ID (requires elevated mode). Returns the Proxmox task UPID',
+    scope: 'elevated',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: {
+          type: 'string',
+          description: 'Node to restore onto'
+        },
+        archive: {
+          type: 'string',
+          description: 'Archive volume ID, e.g. local:backup/vzdump-qemu-100-2024_01_01-00_00_00.vma.zst'
+        },
+        vmid: {
+          type: 'string',
+          description: 'Target VM or container ID'
+        },
+        storage: {
+          type: 'string',
+          description: 'Storage for the restored disks (optional, original storage when omitted)'
+        },
+        force: {
+          type: 'boolean',
+          description: 'Overwrite the guest if the target ID already exists (optional)'
+        },
+        start: {
+          type: 'boolean',
+          description: 'Start the guest once the restore finishes (optional)'
+        },
+        confirmationToken: confirmationTokenProperty
+      },
+      required: ['node', 'archive', 'vmid']
+    },
+    handler: (service, args, { actor }) => service.restoreBackup(args.node, {
+      archive: args.archive,
+      vmid: args.vmid,
+      storage: args.storage,
+      force: args.force,
+      start: args.start,
+      confirmationToken: args.confirmationToken,
+      actor
+    })
+  },
+  {
+    name: 'proxmox_clone_vm',
+    description: 'Clone a QEMU VM or template to a new VM, optionally applying cloud-init settings and starting it (requires elevated mode). Use dryRun to see the exact API calls first',
+    scope: 'elevated',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: {
+          type: 'string',
+          description: 'Node the source VM or template is on'
+        },
+        vmid: {
+          type: 'string',
+          description: 'Source VM or template ID'
+        },
+        newid: {
+          type: 'string',
+          description: 'ID for the new VM (optional, next free ID when omitted)'
+        },
+        name: {
+          type: 'string',
+          description: 'Name of the new VM (optional)'
+        },
+        target: {
+          type: 'string',
+          description: 'Node to create the clone on (optional, same node when omitted)'
+        },
+        storage: {
+          type: 'string',
+          description: 'Storage for the clone\'s disks; full clones only (optional)'
+        },
+        full: {
+          type: 'boolean',
+          description: 'Full copy instead of a linked clone (optional; Proxmox links template clones by default)'
+        },
+        pool: {
+          type: 'string',
+          description: 'Resource pool to add the VM to (optional)'
+        },
+        description: {
+          type: 'string',
+          description: 'VM description (optional)'
+        },
+        cloudInit: {
+          type: 'object',
+          description: 'Cloud-init settings applied once the clone finishes (optional)',
+          properties: {
+            user: { type: 'string', description: 'Default user' },
+            password: { type: 'string', description: 'Password for the default user' },
+            sshKeys: { type: 'array', items: { type: 'string' }, description: 'Public SSH keys' },
+            ipConfig: { type: 'array', items: { type: 'string' }, description: 'One "ip=10.0.0.5/24,gw=10.0.0.1" or "ip=dhcp" entry per network device' },
+            nameserver: { type: 'string', description: 'DNS server' },
+            searchdomain: { type: 'string', description: 'DNS search domain' }
+          }
+        },
+        start: {
+          type: 'boolean',
+          description: 'Start the VM once it is ready (optional)'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Return the API calls that would be made without sending them (optional)'
+        }
+      },
+      required: ['node', 'vmid']
+    },
+    handler: (service, args, { onProgress }) => service.cloneVM(args.node, args.vmid, {
+      newid: args.newid,
+      name: args.name,
+      target: args.target,
+      storage: args.storage,
+      full: args.full,
+      pool: args.pool,
+      description: args.description,
+      cloudInit: args.cloudInit,
+      start: args.start,
+      dryRun: args.dryRun,
+      onProgress
+    })
+  },
+  {
+    name: 'proxmox_create_container',
+    description: 'Create an LXC container from a template in storage content (requires elevated mode). Use dryRun to see the exact API call first',
+    scope: 'elevated',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        ostemplate: {
+          type: 'string',
+          description: 'Template volume ID, e.g. local:vztmpl/debian-12-standard_12.2-1_amd64.tar.zst'
+        },
+        vmid: {
+          type: 'string',
+          description: 'Container ID (optional, next free ID when omitted)'
+        },
+        hostname: {
+          type: 'string',
+          description: 'Container hostname (optional)'
+        },
+        storage: {
+          type: 'string',
+          description: 'Storage for the root disk (default local-lvm)'
+        },
+        diskSize: {
+          type: 'number',
+          description: 'Root disk size in GiB (default 8)'
+        },
+        cores: {
+          type: 'number',
+          description: 'CPU cores (default 1)'
+        },
+        memory: {
+          type: 'number',
+          description: 'Memory in MiB (default 512)'
+        },
+        swap: {
+          type: 'number',
+          description: 'Swap in MiB (default 512)'
+        },
+        password: {
+          type: 'string',
+          description: 'Root password (optional)'
+        },
+        sshKeys: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Public SSH keys for root (optional)'
+        },
+        bridge: {
+          type: 'string',
+          description: 'Network bridge (default vmbr0)'
+        },
+        ipConfig: {
+          type: 'string',
+          description: 'Network settings such as "ip=10.0.0.5/24,gw=10.0.0.1" (default ip=dhcp)'
+        },
+        unprivileged: {
+          type: 'boolean',
+          description: 'Unprivileged container (default true)'
+        },
+        pool: {
+          type: 'string',
+          description: 'Resource pool to add the container to (optional)'
+        },
+        start: {
+          type: 'boolean',
+          description: 'Start the container once it is created (optional)'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Return the API call that would be made without sending it (optional)'
+        }
+      },
+      required: ['node', 'ostemplate']
+    },
+    handler: (service, args) => service.createContainer(args.node, {
+      ostemplate: args.ostemplate,
+      vmid: args.vmid,
+      hostname: args.hostname,
+      storage: args.storage,
+      diskSize: args.diskSize,
+      cores: args.cores,
+      memory: args.memory,
+      swap: args.swap,
+      password: args.password,
+      sshKeys: args.sshKeys,
+      bridge: args.bridge,
+      ipConfig: args.ipConfig,
+      unprivileged: args.unprivileged,
+      pool: args.pool,
+      start: args.start,
+      dryRun: args.dryRun
+    })
+  },
+  {
+    name: 'proxmox_destroy_guest',
+    description: 'Permanently delete a stopped VM or container and its disks (requires elevated mode). Use dryRun to see the exact API call first',
+    scope: 'elevated',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: nodeProperty,
+        vmid: vmidProperty,
+        type: guestTypeProperty,
+        purge: {
+          type: 'boolean',
+          description: 'Also remove the guest from backup jobs, replication and HA (optional)'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Return the API call that would be made without sending it (optional)'
+        },
+        confirmationToken: confirmationTokenProperty
+      },
+      required: ['node', 'vmid']
+    },
+    handler: (service, args, { actor }) => service.destroyGuest(args.node, args.vmid, args.type || 'qemu', {
+      purge: args.purge,
+      dryRun: args.dryRun,
+      confirmationToken: args.confirmationToken,
+      actor
+    })
+  },
+  {
+    name: 'proxmox_list_tasks',
+    description: 'List recent or running Proxmox tasks across the cluster',
+    scope: 'read-only',
+    aggregate: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node: {
+          type: 'string',
+          description: 'Only list tasks from this node (optional)'
+        },
+        user: {
+          type: 'string',
+          description: 'Filter by user, e.g. root@pam (optional)'
+        },
+        type: {
+          type: 'string',
+          description: 'Filter by task type, e.g. qmstart, vzdump (optional)'
+        },
+        vmid: {
+          type: 'string',
+          description: 'Filter by VM or container ID (optional)'
+        },
+        errors: {
+          type: 'boolean',
+          description: 'Only show failed tasks (optional)'
+        },
+        running: {
+          type: 'boolean',
+          description: 'Only show tasks that are still running (optional)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of tasks to return (default 50)'
+        }
+      },
+      required: []
+    },
+    handler: (service, args) => service.getTasks(args)
+  },
+  {
+    name: 'proxmox_get_task_status',
+    description: 'Get the status and exit status of a Proxmox task by UPID',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        upid: {
+          type: 'string',
+          description: 'Task UPID returned by a mutating action'
+        }
+      },
+      required: ['upid']
+    },
+    handler: (service, args) => service.getTaskStatus(args.upid)
+  },
+  {
+    name: 'proxmox_get_task_log',
+    description: 'Read a Proxmox task log incrementally, starting at a given line',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        upid: {
+          type: 'string',
+          description: 'Task UPID'
+        },
+        start: {
+          type: 'number',
+          description: 'Line to start reading from (default 0). Pass the previous nextStart to follow the log'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of lines to return (default 500)'
+        }
+      },
+      required: ['upid']
+    },
+    handler: (service, args) => service.getTaskLog(args.upid, { start: args.start, limit: args.limit })
+  },
+  {
+    name: 'proxmox_wait_for_task',
+    description: 'Wait until a Proxmox task finishes (or the timeout passes) and report whether it succeeded',
+    scope: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        upid: {
+          type: 'string',
+          description: 'Task UPID'
+        },
+        timeout: {
+          type: 'number',
+          description: `Seconds to wait before giving up (default ${DEFAULT_TASK_WAIT_TIMEOUT})`
+        }
+      },
+      required: ['upid']
+    },
+    handler: (service, args, { onProgress }) => service.waitForTask(args.upid, args.timeout, onProgress)
+  }
+].map(withClusterArgument).map(withFormatArgument);
+
+// Every cluster-scoped tool takes an optional `cluster`; listings also accept "all"
+function withClusterArgument(tool) {
+  if (tool.global) return tool;
+
+  const cluster = {
+    type: 'string',
+    description: tool.aggregate
+      ? `Cluster name from proxmox_list_clusters, or "${ALL_CLUSTERS}" to combine every cluster (optional, default cluster when omitted)`
+      : 'Cluster name from proxmox_list_clusters (optional, default cluster when omitted)'
+  };
+
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, cluster }
+    }
+  };
+}
+
+// Every tool takes an optional output `format`
+function withFormatArgument(tool) {
+  const format = {
+    type: 'string',
+    enum: OUTPUT_FORMATS,
+    description: `Output format: markdown text, plain text, a compact table, CSV or the raw JSON data (default ${DEFAULT_OUTPUT_FORMAT})`
+  };
+
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, format }
+    }
+  };
+}
+
+export function findTool(name) {
+  return TOOLS.find(tool => tool.name === name) || null;
+}
+
+// Required arguments that are missing or empty
+export function missingArguments(tool, args = {}) {
+  return (tool.inputSchema.required || []).filter(name => args[name] === undefined || args[name] === null || args[name] === '');
+}
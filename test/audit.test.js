@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AuditLog, parseAuditTime, loadAuditConfig, DEFAULT_AUDIT_FILE } from '../shared/audit.js';
+import { InvalidInputError } from '../shared/errors.js';
+
+const clusters = { defaultName: 'default', get: () => ({ client: null }) };
+const logger = { warn() {}, error() {} };
+const operator = { actor: 'ops', scope: 'operator', ip: '127.0.0.1', via: 'mcp' };
+
+let dir;
+before(async () => { dir = await mkdtemp(join(tmpdir(), 'audit-test-')); });
+after(() => rm(dir, { recursive: true, force: true }));
+
+let files = 0;
+const auditLog = (options = {}) => new AuditLog(clusters, { file: join(dir, `audit-${++files}.jsonl`), logger, ...options });
+
+describe('loadAuditConfig', () => {
+  it('keeps command lines out of the log unless asked to record them', () => {
+    assert.equal(loadAuditConfig({}).file, DEFAULT_AUDIT_FILE);
+    assert.equal(loadAuditConfig({}).recordCommands, false);
+    assert.equal(loadAuditConfig({ AUDIT_RECORD_COMMANDS: 'true' }).recordCommands, true);
+    assert.equal(loadAuditConfig({ AUDIT_MAX_FILES: '0' }).maxFiles, 1);
+  });
+});
+
+describe('parseAuditTime', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  it('reads durations before now and absolute dates', () => {
+    assert.equal(parseAuditTime('30m', now), now - 30 * 60 * 1000);
+    assert.equal(parseAuditTime('7d', now), now - 7 * 86400 * 1000);
+    assert.equal(parseAuditTime('2026-10-01T00:00:00Z', now), Date.parse('2026-10-01T00:00:00Z'));
+    assert.equal(parseAuditTime('', now), null);
+  });
+
+  it('rejects anything else as invalid input', () => {
+    assert.throws(() => parseAuditTime('yesterday'), InvalidInputError);
+  });
+});
+
+describe('AuditLog.recordCall', () => {
+  const exec = { ...operator, action: 'proxmox_execute_vm_command', args: { node: 'pve1', vmid: 101, command: 'cat', args: ['/etc/shadow'], input: 'secret stdin', token: 'abc' } };
+
+  it('redacts secrets, command lines and stdin by default', async () => {
+    const audit = auditLog();
+    const entry = audit.recordCall(exec, { result: { content: [] }, durationMs: 5 });
+    assert.deepEqual(entry.args, { node: 'pve1', vmid: 101, command: '[REDACTED]', args: '[REDACTED]', input: '[REDACTED]', token: '[REDACTED]' });
+    assert.deepEqual(entry.vmids, ['101']);
+    assert.equal(entry.cluster, 'default');
+    await audit.writing;
+    assert.doesNotMatch(await readFile(audit.file, 'utf8'), /shadow|secret stdin/);
+  });
+
+  it('records command lines with recordCommands, but never stdin', () => {
+    const entry = auditLog({ recordCommands: true }).recordCall(exec, { result: { content: [] }, durationMs: 5 });
+    assert.equal(entry.args.command, 'cat');
+    assert.deepEqual(entry.args.args, ['/etc/shadow']);
+    assert.equal(entry.args.input, '[REDACTED]');
+  });
+
+  it('derives the status from the result', () => {
+    const audit = auditLog();
+    const record = result => audit.recordCall({ ...operator, action: 'x', args: {} }, { result, durationMs: 0 }).status;
+    assert.equal(record({ content: [] }), 'succeeded');
+    assert.equal(record({ isError: true, content: [{ type: 'text', text: 'boom' }] }), 'failed');
+    assert.equal(record({ policy: { allowed: false, reason: 'no' } }), 'denied');
+    assert.equal(record({ plan: { id: 'p1' } }), 'proposed');
+  });
+});
+
+describe('AuditLog rotation', () => {
+  it('rotates by size and keeps AUDIT_MAX_FILES old files', async () => {
+    const audit = auditLog({ maxBytes: 100, maxFiles: 2 });
+    const line = { event: 'call', padding: 'x'.repeat(40) };
+    for (let i = 0; i < 5; i++) audit.write({ ...line, n: i });
+    await audit.writing;
+
+    const name = audit.file.split('/').pop();
+    const kept = (await readdir(dir)).filter(file => file.startsWith(name)).sort();
+    assert.deepEqual(kept, [name, `${name}.1`, `${name}.2`]);
+    // Entries 0 and 1 went out with the third rotation; the rest read oldest first
+    assert.deepEqual((await audit.readEntries()).map(entry => entry.n), [2, 3, 4]);
+  });
+});
+
+describe('AuditLog.query and report', () => {
+  it('filters calls, newest first, and folds task results into their status', async (t) => {
+    const audit = auditLog();
+    let now = '2026-10-19T10:00:00.000Z';
+    t.mock.method(Date.prototype, 'toISOString', () => now);
+    const call = (action, args, result = { content: [] }) => audit.recordCall({ ...operator, action, args }, { result, durationMs: 1 });
+
+    call('proxmox_start_vm', { node: 'pve1', vmid: 101 });
+    now = '2026-10-19T11:00:00.000Z';
+    call('proxmox_stop_vm', { node: 'pve1', vmid: 102 });
+    now = '2026-10-19T12:00:00.000Z';
+    const running = call('proxmox_stop_vm', { node: 'pve1', vmid: 101 }, { content: [], result: { upid: 'UPID:pve1:1' } });
+    assert.equal(running.status, 'running');
+    // clusters.get() has no client, so the test writes the task's end itself
+    audit.write({ time: now, event: 'task', ref: running.id, upid: 'UPID:pve1:1', status: 'failed', exitstatus: 'VM is locked' });
+
+    const stops = await audit.query({ action: 'stop' });
+    assert.deepEqual(stops.entries.map(entry => [entry.vmids[0], entry.status]), [['101', 'failed'], ['102', 'succeeded']]);
+    assert.equal((await audit.query({ vmid: 101, since: '2026-10-19T10:30:00Z' })).total, 1);
+    assert.equal((await audit.query({ until: '2026-10-19T10:30:00Z' })).entries[0].action, 'proxmox_start_vm');
+    assert.equal((await audit.query({ limit: 1 })).entries.length, 1);
+
+    const report = await audit.report({ status: 'failed' });
+    assert.equal(report.total, 1);
+    assert.match(report.content[0].text, /^📜 \*\*Audit Log\*\* \(status=failed\)/);
+    assert.match(report.content[0].text, /• Task: `UPID:pve1:1` VM is locked/);
+  });
+});
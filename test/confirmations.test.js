@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ConfirmationStore,
+  loadConfirmConfig,
+  formatPlan,
+  CONFIRMABLE_ACTIONS,
+  DEFAULT_CONFIRM_ACTIONS,
+  DEFAULT_CONFIRM_TTL
+} from '../shared/confirmations.js';
+import { ConfirmationError } from '../shared/errors.js';
+
+const stop = { node: 'pve1', vmid: 101 };
+const operator = { actor: 'ops' };
+
+describe('loadConfirmConfig', () => {
+  it('confirms the most destructive actions by default', () => {
+    assert.deepEqual(loadConfirmConfig({}), { actions: DEFAULT_CONFIRM_ACTIONS, ttlSeconds: DEFAULT_CONFIRM_TTL });
+  });
+
+  it('accepts a list, all or none and rejects unknown actions', () => {
+    assert.deepEqual(loadConfirmConfig({ CONFIRM_ACTIONS: ' stop, reboot ' }).actions, ['stop', 'reboot']);
+    assert.deepEqual(loadConfirmConfig({ CONFIRM_ACTIONS: 'all' }).actions, Object.keys(CONFIRMABLE_ACTIONS));
+    assert.deepEqual(loadConfirmConfig({ CONFIRM_ACTIONS: 'none' }).actions, []);
+    assert.equal(loadConfirmConfig({ CONFIRM_TOKEN_TTL: '60' }).ttlSeconds, 60);
+    assert.throws(() => loadConfirmConfig({ CONFIRM_ACTIONS: 'stop,format' }), /CONFIRM_ACTIONS: unknown action format/);
+  });
+});
+
+describe('ConfirmationStore.requires', () => {
+  it('asks only for the configured actions', () => {
+    const store = new ConfirmationStore({ actions: ['stop', 'restore'] });
+    assert.equal(store.requires('stop', stop), true);
+    assert.equal(store.requires('reboot', stop), false);
+  });
+
+  it('asks for restores only when they overwrite a guest', () => {
+    const store = new ConfirmationStore();
+    assert.equal(store.requires('restore', { vmid: 101, archive: 'local:backup/x.vma.zst' }), false);
+    assert.equal(store.requires('restore', { vmid: 101, archive: 'local:backup/x.vma.zst', force: true }), true);
+  });
+});
+
+describe('ConfirmationStore tokens', () => {
+  it('issues a plan whose token confirms the same call once', () => {
+    const store = new ConfirmationStore();
+    const plan = store.propose('stop', stop, operator);
+    assert.match(plan.token, /^[0-9a-f]{32}$/);
+    assert.equal(plan.vmid, '101');
+    assert.equal(plan.effect, CONFIRMABLE_ACTIONS.stop.effect);
+
+    assert.equal(store.redeem(plan.token, 'stop', { vmid: 101, node: 'pve1' }, operator), plan);
+    assert.throws(() => store.redeem(plan.token, 'stop', stop, operator), /unknown, expired or already used/);
+  });
+
+  it('refuses a token for another action, actor or arguments and keeps it usable', () => {
+    const store = new ConfirmationStore();
+    const plan = store.propose('stop', stop, operator);
+    const mismatch = error => error instanceof ConfirmationError && /issued for a different call \(stop of 101\)/.test(error.message);
+
+    assert.throws(() => store.redeem(plan.token, 'destroy', stop, operator), mismatch);
+    assert.throws(() => store.redeem(plan.token, 'stop', stop, { actor: 'someone-else' }), mismatch);
+    assert.throws(() => store.redeem(plan.token, 'stop', { ...stop, vmid: 102 }, operator), mismatch);
+    assert.throws(() => store.redeem(plan.token, 'stop', { ...stop, skiplock: true }, operator), mismatch);
+    assert.equal(store.redeem(plan.token, 'stop', stop, operator).id, plan.id);
+  });
+
+  it('ignores undefined arguments and the order of nested keys', () => {
+    const store = new ConfirmationStore();
+    const target = { node: 'pve1', vmid: 101, command: 'systemctl', args: ['restart', 'nginx'], options: { a: 1, b: 2 } };
+    const plan = store.propose('exec', target, operator);
+    const reordered = { options: { b: 2, a: 1 }, args: ['restart', 'nginx'], command: 'systemctl', vmid: 101, node: 'pve1', timeout: undefined };
+    assert.equal(store.redeem(plan.token, 'exec', reordered, operator).id, plan.id);
+  });
+
+  it('expires tokens after the TTL', (t) => {
+    let now = Date.parse('2026-10-19T12:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const store = new ConfirmationStore({ ttlSeconds: 60 });
+    const plan = store.propose('stop', stop, operator);
+    assert.equal(plan.expiresAt, '2026-10-19T12:01:00.000Z');
+
+    now += 59_000;
+    store.prune();
+    assert.equal(store.plans.size, 1);
+    now += 1_000;
+    assert.throws(() => store.redeem(plan.token, 'stop', stop, operator), ConfirmationError);
+    assert.equal(store.plans.size, 0);
+  });
+});
+
+describe('formatPlan', () => {
+  it('shows the guest state, the effect and how to confirm', () => {
+    const store = new ConfirmationStore();
+    const plan = store.propose('stop', stop, {
+      ...operator,
+      guest: { name: 'web', status: 'running', uptime: 3600 },
+      details: ['**Type**: qemu']
+    });
+    const text = formatPlan(plan);
+    assert.match(text, /^✋ \*\*Confirmation required: Stop 101 \(web\)\*\*/);
+    assert.match(text, /Nothing has been done yet/);
+    assert.match(text, /• \*\*Current state\*\*: running, up /);
+    assert.match(text, /• \*\*Type\*\*: qemu/);
+    assert.ok(text.includes(`\`confirmationToken\` set to \`${plan.token}\``));
+  });
+});
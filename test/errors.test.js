@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ProxmoxError,
+  ProxmoxAuthError,
+  ProxmoxPermissionError,
+  ProxmoxNotFoundError,
+  ProxmoxValidationError,
+  ProxmoxUnreachableError,
+  ProxmoxTimeoutError,
+  InvalidInputError,
+  ConfirmationError,
+  errorFromResponse,
+  errorFromNetwork,
+  httpStatusOf,
+  formatError
+} from '../shared/errors.js';
+
+const call = { method: 'POST', endpoint: '/nodes/pve1/qemu/101/status/stop' };
+
+describe('errorFromResponse', () => {
+  it('classifies 401 as an auth failure of the server, answered with 502', () => {
+    const error = errorFromResponse({ ...call, status: 401, statusText: 'authentication failure', body: '' });
+    assert.ok(error instanceof ProxmoxAuthError);
+    assert.equal(error.type, 'auth');
+    assert.equal(error.httpStatus, 502);
+    assert.equal(error.rpcCode, -32010);
+    assert.equal(error.status, 401);
+  });
+
+  it('names the ACL path and privilege of a 403', () => {
+    const error = errorFromResponse({
+      ...call,
+      status: 403,
+      statusText: 'Permission check failed (/vms/101, VM.PowerMgmt)',
+      body: '{"data":null}',
+      principal: 'root@pam!claude'
+    });
+    assert.ok(error instanceof ProxmoxPermissionError);
+    assert.equal(error.httpStatus, 403);
+    assert.equal(error.path, '/vms/101');
+    assert.equal(error.privilege, 'VM.PowerMgmt');
+    assert.match(error.hint, /root@pam!claude/);
+    assert.match(error.message, /returned 403\)$/);
+  });
+
+  it('keeps the per-parameter errors of a 400', () => {
+    const body = JSON.stringify({ data: null, errors: { snapname: 'invalid format\n' } });
+    const error = errorFromResponse({ ...call, status: 400, statusText: 'Parameter verification failed.', body });
+    assert.ok(error instanceof ProxmoxValidationError);
+    assert.deepEqual(error.fields, { snapname: 'invalid format\n' });
+    assert.match(error.message, /snapname: invalid format/);
+    assert.equal(error.toJSON().fields.snapname, 'invalid format\n');
+  });
+
+  it('maps Proxmox proxy statuses 595 and 596', () => {
+    assert.ok(errorFromResponse({ ...call, status: 595, statusText: 'Connection refused', body: '' }) instanceof ProxmoxUnreachableError);
+    assert.ok(errorFromResponse({ ...call, status: 596, statusText: 'Connection timed out', body: '' }) instanceof ProxmoxTimeoutError);
+  });
+
+  it('recognises missing objects by status or message', () => {
+    assert.ok(errorFromResponse({ ...call, status: 501, statusText: 'Method not implemented', body: '' }) instanceof ProxmoxNotFoundError);
+    const body = JSON.stringify({ data: null, message: "Configuration file 'nodes/pve1/qemu-server/999.conf' does not exist\n" });
+    const error = errorFromResponse({ ...call, status: 500, statusText: 'Internal Server Error', body });
+    assert.ok(error instanceof ProxmoxNotFoundError);
+    assert.match(error.message, /^Configuration file .* does not exist \(POST/);
+  });
+
+  it('falls back to a generic Proxmox error with a plain-text body', () => {
+    const error = errorFromResponse({ ...call, status: 500, statusText: 'Internal Server Error', body: 'vm locked' });
+    assert.equal(error.constructor, ProxmoxError);
+    assert.equal(error.type, 'proxmox');
+    assert.equal(error.httpStatus, 502);
+    assert.match(error.message, /^vm locked/);
+  });
+});
+
+describe('errorFromNetwork', () => {
+  const where = { ...call, address: 'pve1:8006', timeoutSeconds: 15 };
+
+  it('turns an abort into a timeout naming the limit', () => {
+    const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    const error = errorFromNetwork(abort, where);
+    assert.ok(error instanceof ProxmoxTimeoutError);
+    assert.match(error.message, /within 15s/);
+    assert.equal(error.cause, abort);
+  });
+
+  it('turns refused connections into unreachable errors, also when the code is on the cause', () => {
+    const refused = Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+    const error = errorFromNetwork(refused, where);
+    assert.ok(error instanceof ProxmoxUnreachableError);
+    assert.equal(error.httpStatus, 503);
+    assert.match(error.hint, /pve1:8006/);
+  });
+
+  it('returns other failures unchanged', () => {
+    const tls = Object.assign(new Error('self-signed certificate'), { code: 'DEPTH_ZERO_SELF_SIGNED_CERT' });
+    assert.equal(errorFromNetwork(tls, where), tls);
+  });
+});
+
+describe('errors raised by the server itself', () => {
+  it('reports invalid arguments as validation errors without a Proxmox status', () => {
+    const error = new InvalidInputError('Invalid VMID: 12x', { fields: { vmid: 'a number' } });
+    assert.ok(error instanceof ProxmoxValidationError);
+    assert.equal(error.httpStatus, 400);
+    assert.equal(error.rpcCode, -32602);
+    assert.deepEqual(error.toJSON(), {
+      type: 'validation',
+      message: 'Invalid VMID: 12x',
+      proxmoxStatus: null,
+      fields: { vmid: 'a number' },
+      hint: 'Correct the arguments and try again.'
+    });
+  });
+
+  it('answers rejected confirmation tokens with 409', () => {
+    const error = new ConfirmationError('Confirmation token is unknown');
+    assert.equal(error.type, 'confirmation');
+    assert.equal(error.httpStatus, 409);
+    assert.equal(error.rpcCode, -32014);
+  });
+});
+
+describe('httpStatusOf and formatError', () => {
+  it('answers errors that are not typed with 500', () => {
+    assert.equal(httpStatusOf(new Error('boom')), 500);
+    assert.equal(httpStatusOf(new ProxmoxNotFoundError('gone')), 404);
+  });
+
+  it('lists the missing privilege, the fields and the hint', () => {
+    const denied = new ProxmoxPermissionError('Permission check failed (/vms/101, VM.Audit)');
+    assert.match(formatError(denied), /\*\*Missing privilege\*\*: VM\.Audit on \/vms\/101/);
+
+    const invalid = new InvalidInputError('Bad', { fields: { name: 'must start with a letter' } });
+    const text = formatError(invalid);
+    assert.match(text, /Invalid parameters/);
+    assert.match(text, /\*\*name\*\*: must start with a letter/);
+    assert.match(text, /💡 Correct the arguments/);
+
+    assert.equal(formatError(new Error('plain')), '❌ **Error**\n\nplain\n');
+  });
+});
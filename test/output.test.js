@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderText, tabulate, formatTable, formatCsv, plainText, resultData, resultWarnings } from '../shared/output.js';
+
+const vms = {
+  content: [{ type: 'text', text: '🖥️ **Virtual Machines**\n\n🟢 **web** (ID: 101)\n   • Node: `pve1`' }],
+  cluster: 'default',
+  vms: [
+    { vmid: 101, name: 'web', type: 'qemu', node: 'pve1', status: 'running', cpu: 0.125, mem: 1073741824, maxmem: 2147483648, uptime: 90000 },
+    { vmid: 102, name: 'db, primary', type: 'lxc', node: 'pve2', status: 'stopped', cpu: 0, mem: 0, maxmem: 536870912, uptime: 0 }
+  ]
+};
+
+describe('renderText', () => {
+  it('returns the service markdown unchanged by default', () => {
+    assert.equal(renderText(vms), vms.content[0].text);
+  });
+
+  it('strips emoji and markup for text', () => {
+    assert.equal(renderText(vms, 'text'), 'Virtual Machines\n\nweb (ID: 101)\n   • Node: pve1\n');
+  });
+
+  it('returns the data alone for json', () => {
+    const data = JSON.parse(renderText(vms, 'json'));
+    assert.equal(data.content, undefined);
+    assert.deepEqual(data.vms, vms.vms);
+  });
+
+  it('renders tables with display values and CSV with raw, quoted values', () => {
+    const table = renderText(vms, 'table').split('\n');
+    assert.equal(table[0], 'VMID  NAME         TYPE  NODE  STATUS   CPU    MEM   MAXMEM  UPTIME');
+    assert.match(table[2], /^101 {3}web .* 12\.5% +1 GB +2 GB +1d 1h 0m$/);
+
+    const csv = renderText(vms, 'csv').split('\r\n');
+    assert.equal(csv[0], 'vmid,name,type,node,status,cpu,mem,maxmem,uptime');
+    assert.equal(csv[2], '102,"db, primary",lxc,pve2,stopped,0,0,536870912,0');
+  });
+
+  it('shows failures as plain text except in json', () => {
+    const failed = { isError: true, content: [{ type: 'text', text: '❌ **Error**\n\nVM 999 not found' }] };
+    assert.equal(renderText(failed, 'table'), 'Error\n\nVM 999 not found\n');
+    assert.deepEqual(JSON.parse(renderText(failed, 'json')), { isError: true, error: 'Error\n\nVM 999 not found\n' });
+  });
+
+  it('appends node warnings to tables only', () => {
+    const partial = { ...vms, warnings: [{ node: 'pve3', error: 'unreachable' }] };
+    assert.match(renderText(partial, 'table'), /\n\nWARNING: pve3: unreachable\n$/);
+    assert.doesNotMatch(renderText(partial, 'csv'), /WARNING/);
+  });
+});
+
+describe('tabulate', () => {
+  it('shows results without a list as setting/value rows', () => {
+    const status = { content: [], cluster: 'default', cache: { hit: true }, vmid: 101, ha: { managed: 0 }, tags: ['a', 'b'] };
+    const { columns, rows } = tabulate(status);
+    assert.deepEqual(columns.map(col => col.header), ['setting', 'value']);
+    assert.deepEqual(rows, [{ setting: 'vmid', value: 101 }, { setting: 'ha.managed', value: 0 }, { setting: 'tags', value: 'a b' }]);
+  });
+
+  it('adds a cluster column to aggregated results and prefixes their warnings', () => {
+    const aggregated = {
+      content: [],
+      failedClusters: [],
+      clusters: [
+        { cluster: 'east', vms: [vms.vms[0]], warnings: [{ node: 'pve3', error: 'unreachable' }] },
+        { cluster: 'west', vms: [vms.vms[1]] }
+      ]
+    };
+    const { columns, rows } = tabulate(aggregated);
+    assert.equal(columns[0].header, 'cluster');
+    assert.deepEqual(rows.map(row => [row.cluster, row.vmid]), [['east', 101], ['west', 102]]);
+    assert.deepEqual(resultWarnings(aggregated), [{ node: 'east/pve3', error: 'unreachable' }]);
+  });
+});
+
+describe('formatTable and formatCsv', () => {
+  const columns = [{ header: 'line', raw: row => row.line, display: row => row.line }];
+
+  it('keeps every table row on one line', () => {
+    assert.equal(formatTable({ columns, rows: [{ line: 'a\nb' }, { line: null }] }), 'LINE\n----\na b\n\n');
+  });
+
+  it('escapes quotes and line breaks in CSV', () => {
+    assert.equal(formatCsv({ columns, rows: [{ line: 'say "hi"\nbye' }] }), 'line\r\n"say ""hi""\nbye"\r\n');
+  });
+});
+
+describe('plainText and resultData', () => {
+  it('drops code fences and underscores around whole lines', () => {
+    assert.equal(plainText([{ text: '```\nuptime\n```\n_no output_' }]), 'uptime\nno output\n');
+  });
+
+  it('leaves the data of successful results as they are', () => {
+    assert.deepEqual(resultData({ content: [], vmid: 101 }), { vmid: 101 });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Policy, loadPolicy, formatPolicyDecision, POLICY_ACTIONS, ELEVATED_ACTIONS } from '../shared/policy.js';
+
+// Saturday 04:30 in Berlin (02:30 UTC, summer time)
+const SATURDAY_NIGHT = new Date('2026-10-17T02:30:00Z');
+
+const sandbox = { pool: 'dev', tags: ['sandbox', 'web'] };
+
+describe('Policy rules', () => {
+  const policy = new Policy({
+    default: 'deny',
+    rules: [
+      { name: 'no-prod', effect: 'deny', actions: ['*'], pools: ['prod'] },
+      { name: 'sandbox-services', effect: 'allow', actions: ['exec'], tags: ['sandbox'],
+        commands: [{ command: 'systemctl', args: '(status|restart) [\\w@.-]+' }, { command: 'uptime' }] },
+      { name: 'lab-power', effect: 'allow', actions: ['start', 'stop'], vmids: ['100-199', '300'], nodes: ['pve1'] }
+    ]
+  });
+
+  it('lets the first matching rule decide', () => {
+    const decision = policy.evaluate({ action: 'start', node: 'pve1', vmid: '150', guest: { pool: 'prod', tags: [] } });
+    assert.deepEqual(decision, { allowed: false, rule: 'no-prod', reason: 'Rule "no-prod" denies start on guest 150 on pve1' });
+  });
+
+  it('matches VMID ranges and single IDs on the listed nodes', () => {
+    assert.equal(policy.evaluate({ action: 'stop', node: 'pve1', vmid: '199' }).rule, 'lab-power');
+    assert.equal(policy.evaluate({ action: 'stop', node: 'pve1', vmid: '300' }).allowed, true);
+    assert.equal(policy.evaluate({ action: 'stop', node: 'pve1', vmid: '200' }).allowed, false);
+    assert.equal(policy.evaluate({ action: 'stop', node: 'pve2', vmid: '150' }).allowed, false);
+    assert.equal(policy.evaluate({ action: 'reboot', node: 'pve1', vmid: '150' }).allowed, false);
+  });
+
+  it('falls back to the default and says so', () => {
+    const decision = policy.evaluate({ action: 'destroy', node: 'pve1', vmid: '500' });
+    assert.equal(decision.allowed, false);
+    assert.equal(decision.rule, null);
+    assert.equal(decision.reason, 'No rule matches destroy on guest 500 on pve1; the default is deny');
+  });
+
+  it('checks exec commands against the allowlist, matching the arguments in full', () => {
+    const exec = argv => policy.evaluate({ action: 'exec', node: 'pve1', vmid: '100', guest: sandbox, argv });
+    assert.equal(exec(['systemctl', 'restart', 'nginx']).allowed, true);
+    assert.equal(exec(['uptime']).allowed, true);
+    assert.equal(exec(['systemctl', 'restart', 'nginx;', 'reboot']).allowed, false);
+    assert.equal(exec(['uptime', '-p']).allowed, true);
+  });
+
+  it('explains an exec denied only by its command with the closest rule', () => {
+    const decision = policy.evaluate({ action: 'exec', node: 'pve1', vmid: '100', guest: sandbox, argv: ['rm', '-rf', '/'] });
+    assert.equal(decision.allowed, false);
+    assert.match(decision.reason, /\(command `rm -rf \/`\)/);
+    assert.match(decision.reason, /Rule "sandbox-services" covers this guest but only allows: systemctl \(status\|restart\) \[\\w@\.-\]\+; uptime$/);
+  });
+
+  it('only matches pools and tags of guests that carry them', () => {
+    assert.equal(policy.evaluate({ action: 'exec', node: 'pve1', vmid: '100', guest: null, argv: ['uptime'] }).allowed, false);
+    assert.equal(policy.evaluate({ action: 'exec', node: 'pve1', vmid: '100', guest: { pool: 'dev', tags: ['web'] }, argv: ['uptime'] }).allowed, false);
+  });
+
+  it('rejects unknown actions', () => {
+    assert.throws(() => policy.evaluate({ action: 'format', vmid: '100' }), /Unknown action: format/);
+  });
+});
+
+describe('Policy time windows', () => {
+  it('uses the rule timezone and wraps windows past midnight', () => {
+    const policy = new Policy({
+      default: 'allow',
+      rules: [{ name: 'quiet-night', effect: 'deny', actions: ['*'], time: { days: ['sat'], from: '22:00', to: '05:00', timezone: 'Europe/Berlin' } }]
+    });
+    assert.equal(policy.evaluate({ action: 'start', vmid: '100' }, SATURDAY_NIGHT).rule, 'quiet-night');
+    // 05:30 in Berlin is outside the window
+    assert.equal(policy.evaluate({ action: 'start', vmid: '100' }, new Date('2026-10-17T03:30:00Z')).allowed, true);
+    // 22:30 on Friday in Berlin: inside the hours, but Friday is not a listed day
+    assert.equal(policy.evaluate({ action: 'start', vmid: '100' }, new Date('2026-10-16T20:30:00Z')).allowed, true);
+  });
+
+  it('defaults to the whole day in UTC', () => {
+    const policy = new Policy({ rules: [{ effect: 'allow', actions: ['snapshot'], time: { days: ['sat'] } }] });
+    const decision = policy.evaluate({ action: 'snapshot', vmid: '100' }, SATURDAY_NIGHT);
+    assert.equal(decision.allowed, true);
+    assert.equal(decision.rule, 'rule 1');
+  });
+});
+
+describe('Policy validation', () => {
+  const load = rules => () => new Policy({ rules }, 'policy.json');
+
+  it('names the file and rule of a bad setting', () => {
+    assert.throws(load([{ name: 'typo', effect: 'allow', action: ['start'] }]), /^Error: policy\.json: rule "typo": unknown setting "action"$/);
+    assert.throws(load([{ effect: 'maybe' }]), /policy\.json: rule 1: effect must be "allow" or "deny"/);
+    assert.throws(load([{ effect: 'allow', actions: 'start' }]), /actions must be an array/);
+    assert.throws(load([{ effect: 'allow', actions: ['format'] }]), /unknown action format/);
+    assert.throws(load([{ effect: 'allow', vmids: ['100-'] }]), /expected a VMID or range/);
+    assert.throws(load([{ effect: 'allow', time: { days: ['someday'] } }]), /unknown day someday/);
+    assert.throws(load([{ effect: 'allow', time: { from: '7am' } }]), /expected a time as HH:MM, got "7am"/);
+    assert.throws(load([{ effect: 'allow', time: { timezone: 'Mars/Olympus' } }]), /unknown timezone "Mars\/Olympus"/);
+    assert.throws(load([{ effect: 'allow', commands: [{ args: '.*' }] }]), /every commands entry needs a "command"/);
+    assert.throws(load([{ effect: 'allow', commands: [{ command: 'ls', args: '(' }] }]), /invalid args pattern for ls/);
+  });
+
+  it('rejects a bad default or rules that are not a list', () => {
+    assert.throws(() => new Policy({ default: 'ask' }), /default must be "allow" or "deny"/);
+    assert.throws(() => new Policy({ rules: {} }), /rules must be an array/);
+  });
+
+  it('is off without POLICY_FILE', () => {
+    assert.equal(loadPolicy({}), null);
+  });
+});
+
+describe('POLICY_ACTIONS', () => {
+  it('treats every action except snapshots and backups as elevated', () => {
+    assert.deepEqual(POLICY_ACTIONS.filter(action => !ELEVATED_ACTIONS.includes(action)), ['snapshot', 'backup']);
+  });
+});
+
+describe('formatPolicyDecision', () => {
+  it('shows the verdict, reason, rule and guest', () => {
+    const text = formatPolicyDecision({
+      action: 'stop',
+      vmid: '100',
+      allowed: true,
+      rule: 'lab-power',
+      reason: 'Rule "lab-power" allows stop on guest 100 on pve1',
+      guest: { name: 'web', node: 'pve1', pool: null, tags: [] }
+    });
+    assert.match(text, /^✅ \*\*Allowed: stop on 100\*\*/);
+    assert.match(text, /• \*\*Rule\*\*: lab-power/);
+    assert.match(text, /• \*\*Guest\*\*: web on pve1, pool none, tags none/);
+  });
+});
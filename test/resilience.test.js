@@ -0,0 +1,179 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadResilienceConfig,
+  isTransient,
+  backoffDelay,
+  nodeOf,
+  CircuitBreaker,
+  DEFAULT_REQUEST_TIMEOUT,
+  DEFAULT_RETRIES
+} from '../shared/resilience.js';
+import {
+  ProxmoxError,
+  ProxmoxUnreachableError,
+  ProxmoxTimeoutError,
+  ProxmoxPermissionError,
+  ProxmoxNotFoundError
+} from '../shared/errors.js';
+import { ProxmoxClient } from '../shared/proxmox-client.js';
+
+const unreachable = () => new ProxmoxUnreachableError('Connection refused', { status: 595 });
+
+describe('loadResilienceConfig', () => {
+  it('uses the defaults for unset or empty settings', () => {
+    const config = loadResilienceConfig({ PROXMOX_RETRIES: '' });
+    assert.equal(config.timeoutSeconds, DEFAULT_REQUEST_TIMEOUT);
+    assert.equal(config.retries, DEFAULT_RETRIES);
+  });
+
+  it('rounds counts down and rejects negative or non-numeric values', () => {
+    assert.equal(loadResilienceConfig({ PROXMOX_RETRIES: '2.7' }).retries, 2);
+    assert.throws(() => loadResilienceConfig({ PROXMOX_REQUEST_TIMEOUT: '-1' }), /PROXMOX_REQUEST_TIMEOUT must be a non-negative number/);
+    assert.throws(() => loadResilienceConfig({ PROXMOX_BREAKER_COOLDOWN: 'soon' }), /PROXMOX_BREAKER_COOLDOWN/);
+  });
+});
+
+describe('isTransient', () => {
+  it('retries unreachable nodes, timeouts and 502-504', () => {
+    assert.ok(isTransient(unreachable()));
+    assert.ok(isTransient(new ProxmoxTimeoutError('slow')));
+    assert.ok(isTransient(new ProxmoxError('Bad gateway', { status: 502 })));
+  });
+
+  it('does not retry refusals, missing objects or errors that are not typed', () => {
+    assert.ok(!isTransient(new ProxmoxPermissionError('Permission check failed (/, Sys.Audit)', { status: 403 })));
+    assert.ok(!isTransient(new ProxmoxNotFoundError('gone', { status: 404 })));
+    assert.ok(!isTransient(new ProxmoxError('locked', { status: 500 })));
+    assert.ok(!isTransient(new Error('ECONNREFUSED')));
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles from 250 ms with jitter in the upper half, capped at 4 s', (t) => {
+    t.mock.method(Math, 'random', () => 0);
+    assert.deepEqual([1, 2, 3].map(backoffDelay), [125, 250, 500]);
+    t.mock.method(Math, 'random', () => 1);
+    assert.deepEqual([1, 2, 10].map(backoffDelay), [250, 500, 4000]);
+  });
+});
+
+describe('nodeOf', () => {
+  it('finds the node of node-scoped endpoints only', () => {
+    assert.equal(nodeOf('/nodes/pve1/qemu/100/status/current'), 'pve1');
+    assert.equal(nodeOf('/nodes/pve%2D2?x=1'), 'pve-2');
+    assert.equal(nodeOf('/nodes'), null);
+    assert.equal(nodeOf('/cluster/resources?type=vm'), null);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('opens after the threshold of transient failures in a row and fails fast', () => {
+    const breaker = new CircuitBreaker({ threshold: 2, cooldownSeconds: 30 });
+    breaker.record('pve2', unreachable());
+    breaker.check('pve2');
+    breaker.record('pve2', unreachable());
+
+    assert.throws(() => breaker.check('pve2', { method: 'GET', endpoint: '/nodes/pve2/status' }), (error) => {
+      assert.ok(error instanceof ProxmoxUnreachableError);
+      assert.match(error.message, /Node pve2 is skipped after 2 failed calls/);
+      assert.equal(error.endpoint, '/nodes/pve2/status');
+      return true;
+    });
+    assert.deepEqual(breaker.openCircuits().map(circuit => circuit.node), ['pve2']);
+    // Other nodes and cluster-wide calls are unaffected
+    breaker.check('pve1');
+    breaker.check(null);
+  });
+
+  it('resets the count on success or a non-transient failure', () => {
+    const breaker = new CircuitBreaker({ threshold: 2, cooldownSeconds: 30 });
+    breaker.record('pve2', unreachable());
+    breaker.record('pve2', new ProxmoxNotFoundError('gone'));
+    breaker.record('pve2', unreachable());
+    breaker.check('pve2');
+    breaker.record('pve2');
+    assert.deepEqual(breaker.openCircuits(), []);
+  });
+
+  it('lets one probe through after the cooldown; its outcome closes or reopens the circuit', (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker({ threshold: 1, cooldownSeconds: 30 });
+    breaker.record('pve2', unreachable());
+    assert.throws(() => breaker.check('pve2'), error => /fail fast for 30s more/.test(error.hint));
+
+    now += 30_000;
+    breaker.check('pve2');
+    // Only the one probe while it is in flight
+    assert.throws(() => breaker.check('pve2'));
+
+    breaker.record('pve2', unreachable());
+    assert.throws(() => breaker.check('pve2'));
+    now += 30_000;
+    breaker.check('pve2');
+    breaker.record('pve2');
+    breaker.check('pve2');
+    assert.deepEqual(breaker.openCircuits(), []);
+  });
+
+  it('never opens with a threshold of 0', () => {
+    const breaker = new CircuitBreaker({ threshold: 0 });
+    for (let i = 0; i < 5; i++) breaker.record('pve2', unreachable());
+    breaker.check('pve2');
+  });
+});
+
+describe('ProxmoxClient.request', () => {
+  const client = (retries = 2) => new ProxmoxClient({
+    host: 'pve.example',
+    tokenName: 'test',
+    tokenValue: 'secret',
+    resilience: { retries, breakerThreshold: 3 }
+  });
+
+  it('retries a GET on transient failures until it succeeds', async (t) => {
+    t.mock.method(Math, 'random', () => 0);
+    const proxmox = client();
+    let calls = 0;
+    t.mock.method(proxmox, 'authenticated', async () => {
+      if (++calls < 3) throw unreachable();
+      return { uptime: 1 };
+    });
+
+    assert.deepEqual(await proxmox.request('/nodes/pve1/status'), { uptime: 1 });
+    assert.equal(calls, 3);
+    assert.deepEqual(proxmox.breaker.openCircuits(), []);
+  });
+
+  it('gives up after the configured retries and counts one failure against the node', async (t) => {
+    t.mock.method(Math, 'random', () => 0);
+    const proxmox = client(1);
+    const authenticated = t.mock.method(proxmox, 'authenticated', async () => { throw unreachable(); });
+
+    await assert.rejects(proxmox.request('/nodes/pve2/status'), ProxmoxUnreachableError);
+    assert.equal(authenticated.mock.callCount(), 2);
+    assert.equal(proxmox.breaker.nodes.get('pve2').failures, 1);
+  });
+
+  it('never retries writes or non-transient failures', async (t) => {
+    const proxmox = client();
+    const authenticated = t.mock.method(proxmox, 'authenticated', async () => { throw unreachable(); });
+    await assert.rejects(proxmox.request('/nodes/pve1/qemu/100/status/stop', 'POST'), ProxmoxUnreachableError);
+    assert.equal(authenticated.mock.callCount(), 1);
+
+    authenticated.mock.mockImplementation(async () => { throw new ProxmoxPermissionError('Permission check failed (/, Sys.Audit)'); });
+    await assert.rejects(proxmox.request('/nodes/pve1/status'), ProxmoxPermissionError);
+    assert.equal(authenticated.mock.callCount(), 2);
+  });
+
+  it('fails fast without calling Proxmox while the node circuit is open', async (t) => {
+    const proxmox = client(0);
+    const authenticated = t.mock.method(proxmox, 'authenticated', async () => { throw unreachable(); });
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(proxmox.request('/nodes/pve2/status'));
+    }
+    await assert.rejects(proxmox.request('/nodes/pve2/status'), /is skipped after 3 failed calls/);
+    assert.equal(authenticated.mock.callCount(), 3);
+  });
+});